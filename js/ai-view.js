@@ -0,0 +1,63 @@
+/**
+ * NEXUS AI - AI View Model
+ * What the AI cards show for an inference result: the risk band of the health score,
+ * the driver badge colour and the anomaly monitor's status and entries. No DOM here;
+ * js/ui/dashboard.js renders it, with text as catalog keys for the page's language.
+ */
+
+export const SEVERITY_COLORS = { normal: '#00e5ff', info: '#00e5ff', warning: '#ffc800', critical: '#ff2a2a' };
+
+const MONITOR_ICONS = { coolant: 'thermostat', battery: 'bolt', rpm: 'speed', load: 'speed' };
+
+/** Risk band of an overall health score; level is the risk.<level> catalog key. */
+export function healthRisk(score) {
+    if (score < 60) return { level: 'High', color: '#ff2a2a' };
+    if (score < 80) return { level: 'Medium', color: '#ffc800' };
+    return { level: 'Low', color: '#00ff41' };
+}
+
+export function driverColor(type) {
+    if (type.includes('AGGRESSIVE')) return '#ff2a2a';
+    if (type.includes('ECO')) return '#00ff41';
+    return '#fff';
+}
+
+/**
+ * Anomaly monitor: the worst of the detector findings and the active alerts sets the
+ * status, and each becomes an entry, followed by the detector's own state.
+ * Entries: { icon, class, anomaly } | { icon, class, alert } | { icon, class, message }.
+ */
+export function monitorStatus(result) {
+    let status = 'monitor.normal';
+    let statusClass = '';
+    const items = [];
+    const raise = (severity) => {
+        if (severity === 'critical') {
+            status = 'monitor.anomaly';
+            statusClass = 'critical';
+        } else if (severity === 'warning' && statusClass !== 'critical') {
+            status = 'monitor.warning';
+            statusClass = 'warning';
+        }
+    };
+    const entry = (finding) => ({
+        icon: MONITOR_ICONS[finding.channel] || 'warning',
+        class: finding.severity === 'critical' ? 'issue critical' : 'issue'
+    });
+
+    // Findings below critical are still worth a warning
+    result.anomalies.forEach(a => {
+        raise(a.severity === 'critical' ? 'critical' : 'warning');
+        items.push({ ...entry(a), anomaly: a });
+    });
+    if (!result.anomalyModel.warm) {
+        items.push({ icon: 'hourglass_top', class: 'check', message: { key: 'monitor.learning', params: { pct: Math.round(result.anomalyModel.progress * 100) } } });
+    } else if (!result.anomaly) {
+        items.push({ icon: 'check_circle', class: 'check', message: { key: 'monitor.withinBaseline' } });
+    }
+    result.alerts.forEach(a => {
+        raise(a.severity);
+        items.push({ ...entry(a), alert: a });
+    });
+    return { status, statusClass, items };
+}
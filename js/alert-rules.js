@@ -0,0 +1,251 @@
+/**
+ * NEXUS AI - Alert Rules Engine
+ * Thresholds, hold durations, hysteresis and severities are data (a per-vehicle
+ * rule set); the engine turns them into alerts with a raised -> acknowledged ->
+ * cleared lifecycle and keeps the history.
+ */
+
+import { CHANNELS } from './telemetry-source.js';
+
+const ALERT_HISTORY_SIZE = 100;
+const ALERT_SEVERITIES = ['info', 'warning', 'critical'];
+const ALERT_OPS = {
+    '>': (a, b) => a > b,
+    '>=': (a, b) => a >= b,
+    '<': (a, b) => a < b,
+    '<=': (a, b) => a <= b
+};
+
+/**
+ * A rule fires once `channel op value` has held for `forSec` seconds and clears
+ * when the reading backs off by `hysteresis` past the threshold.
+ * `gaugeBands` colour the cockpit gauges: the last band whose `from` is reached wins.
+ */
+export const DEFAULT_ALERT_RULESET = {
+    version: 1,
+    rules: [
+        { id: 'coolant-high', label: 'Thermal Threshold Exceeded', channel: 'coolant', op: '>', value: 100, forSec: 0, hysteresis: 3, severity: 'warning' },
+        { id: 'coolant-overheat', label: 'Engine Overheating', channel: 'coolant', op: '>', value: 105, forSec: 30, hysteresis: 3, severity: 'critical' },
+        { id: 'battery-low', label: 'Voltage Drop Detected', channel: 'battery', op: '<', value: 12.5, forSec: 5, hysteresis: 0.2, severity: 'warning' },
+        { id: 'battery-critical', label: 'Charging System Failure', channel: 'battery', op: '<', value: 11.8, forSec: 10, hysteresis: 0.3, severity: 'critical' },
+        { id: 'rpm-redline', label: 'Sustained High RPM', channel: 'rpm', op: '>', value: 5500, forSec: 5, hysteresis: 300, severity: 'info' }
+    ],
+    gaugeBands: {
+        coolant: [{ from: 90, severity: 'warning' }, { from: 100, severity: 'critical' }]
+    }
+};
+
+/** Throws with a readable message if a rule set cannot be used as-is. */
+export function validateAlertRuleSet(ruleSet) {
+    if (!ruleSet || !Array.isArray(ruleSet.rules)) throw new Error('Rule set needs a "rules" array');
+    const ids = new Set();
+    ruleSet.rules.forEach((r, i) => {
+        const where = `Rule ${i + 1}${r && r.id ? ` (${r.id})` : ''}`;
+        if (!r || typeof r.id !== 'string' || !r.id) throw new Error(`${where}: "id" is required`);
+        if (ids.has(r.id)) throw new Error(`${where}: duplicate id`);
+        ids.add(r.id);
+        if (!CHANNELS.includes(r.channel)) throw new Error(`${where}: unknown channel "${r.channel}"`);
+        if (!ALERT_OPS[r.op]) throw new Error(`${where}: op must be one of ${Object.keys(ALERT_OPS).join(' ')}`);
+        if (typeof r.value !== 'number') throw new Error(`${where}: "value" must be a number`);
+        if (!ALERT_SEVERITIES.includes(r.severity)) throw new Error(`${where}: severity must be ${ALERT_SEVERITIES.join(', ')}`);
+        if (r.forSec !== undefined && !(r.forSec >= 0)) throw new Error(`${where}: "forSec" must be >= 0`);
+        if (r.hysteresis !== undefined && !(r.hysteresis >= 0)) throw new Error(`${where}: "hysteresis" must be >= 0`);
+    });
+    Object.entries(ruleSet.gaugeBands || {}).forEach(([ch, bands]) => {
+        if (!CHANNELS.includes(ch) || !Array.isArray(bands)) throw new Error(`gaugeBands.${ch} must be an array for a known channel`);
+    });
+    return ruleSet;
+}
+
+/**
+ * An alert's (or alert marker's) label for the reader: built-in rules have catalog
+ * entries, a label the user wrote is shown as written. i18n: a Translator.
+ */
+export function alertRuleLabel(alert, i18n) {
+    const builtIn = DEFAULT_ALERT_RULESET.rules.find(r => r.id === alert.ruleId);
+    return builtIn && builtIn.label === alert.label ? i18n.label('alert.rule', alert.ruleId, alert.label) : alert.label;
+}
+
+export class AlertEngine {
+    constructor(ruleSet) {
+        this.active = new Map(); // ruleId -> alert
+        this.history = [];
+        this.pending = {}; // ruleId -> t the condition started holding
+        this.listeners = { raised: [], acknowledged: [], cleared: [] };
+        this.setRules(ruleSet || DEFAULT_ALERT_RULESET);
+    }
+
+    setRules(ruleSet) {
+        this.ruleSet = validateAlertRuleSet(JSON.parse(JSON.stringify(ruleSet)));
+        this.pending = {};
+        // Alerts whose rule disappeared can never clear on their own.
+        const ids = new Set(this.ruleSet.rules.map(r => r.id));
+        [...this.active.keys()].filter(id => !ids.has(id)).forEach(id => this.clear(this.active.get(id), Date.now()));
+    }
+
+    /** Hold timers only make sense on a continuous timeline, e.g. not across a replay seek. */
+    resetTimers() { this.pending = {}; }
+
+    evaluate(sample) {
+        this.ruleSet.rules.forEach(rule => {
+            const value = sample[rule.channel];
+            if (value === undefined) return;
+            const alert = this.active.get(rule.id);
+
+            if (!alert) {
+                if (!ALERT_OPS[rule.op](value, rule.value)) {
+                    delete this.pending[rule.id];
+                    return;
+                }
+                if (this.pending[rule.id] === undefined) this.pending[rule.id] = sample.t;
+                if (sample.t - this.pending[rule.id] >= (rule.forSec || 0) * 1000) this.raise(rule, value, sample.t);
+                return;
+            }
+
+            const rising = rule.op.startsWith('>');
+            alert.peak = rising ? Math.max(alert.peak, value) : Math.min(alert.peak, value);
+            alert.value = value;
+            const h = rule.hysteresis || 0;
+            const clearAt = rising ? rule.value - h : rule.value + h;
+            if (rising ? value <= clearAt : value >= clearAt) this.clear(alert, sample.t);
+        });
+    }
+
+    raise(rule, value, t) {
+        delete this.pending[rule.id];
+        const alert = {
+            id: `${rule.id}-${t}`,
+            ruleId: rule.id,
+            label: rule.label || rule.id,
+            severity: rule.severity,
+            channel: rule.channel,
+            threshold: `${rule.channel} ${rule.op} ${rule.value}${rule.forSec ? ` for ${rule.forSec}s` : ''}`,
+            limit: rule.value,
+            state: 'raised',
+            value,
+            peak: value,
+            raisedAt: t,
+            ackedAt: null,
+            clearedAt: null
+        };
+        this.active.set(rule.id, alert);
+        this.emit('raised', alert);
+    }
+
+    clear(alert, t) {
+        alert.state = 'cleared';
+        alert.clearedAt = t;
+        this.active.delete(alert.ruleId);
+        this.history.unshift({ ...alert });
+        if (this.history.length > ALERT_HISTORY_SIZE) this.history.length = ALERT_HISTORY_SIZE;
+        this.emit('cleared', alert);
+    }
+
+    acknowledge(alertId) {
+        const alert = [...this.active.values()].find(a => a.id === alertId);
+        if (!alert || alert.state !== 'raised') return;
+        alert.state = 'acknowledged';
+        alert.ackedAt = Date.now();
+        this.emit('acknowledged', alert);
+    }
+
+    /** Active alerts, most severe and then most recent first. */
+    getActive() {
+        return [...this.active.values()].map(a => ({ ...a })).sort((a, b) =>
+            (ALERT_SEVERITIES.indexOf(b.severity) - ALERT_SEVERITIES.indexOf(a.severity)) || (b.raisedAt - a.raisedAt));
+    }
+
+    /** Severity band a gauge reading falls into, or 'normal'. */
+    gaugeSeverity(channel, value) {
+        const bands = (this.ruleSet.gaugeBands || {})[channel] || [];
+        let severity = 'normal';
+        bands.forEach(b => { if (value > b.from) severity = b.severity; });
+        return severity;
+    }
+
+    snapshot() { return { history: this.history.slice() }; }
+    restore(snapshot) { this.history = (snapshot && snapshot.history) ? snapshot.history.slice() : []; }
+
+    on(event, fn) { this.listeners[event].push(fn); }
+    emit(event, alert) { this.listeners[event].forEach(fn => fn(alert)); }
+}
+
+const ALERT_NOTIFY_KEY = 'nexus.alerts.notify';
+
+/**
+ * Surfaces critical alerts outside the page: a Web Notification plus a two-tone chime.
+ * Browsers only allow both after a user gesture, so the opt-in is remembered and the
+ * audio context is unlocked again by the first tap on every page.
+ */
+export class AlertNotifier {
+    constructor(engine, i18n) {
+        this.i18n = i18n;
+        this.enabled = false;
+        try {
+            this.enabled = localStorage.getItem(ALERT_NOTIFY_KEY) === '1';
+        } catch (err) {
+            console.warn('Alert notification opt-in unavailable:', err.message); // Storage blocked: treat as off
+        }
+        this.audio = null;
+        engine.on('raised', alert => {
+            if (alert.severity === 'critical') this.notify(alert);
+        });
+        if (this.enabled) document.addEventListener('pointerdown', () => this.unlockAudio(), { once: true });
+    }
+
+    unlockAudio() {
+        const Ctx = window.AudioContext || window.webkitAudioContext;
+        if (!this.audio && Ctx) this.audio = new Ctx();
+        if (this.audio && this.audio.state === 'suspended') return this.audio.resume();
+    }
+
+    async enable() {
+        await this.unlockAudio();
+        if ('Notification' in window && Notification.permission === 'default') await Notification.requestPermission();
+        this.enabled = true;
+        this.remember(true);
+    }
+
+    disable() {
+        this.enabled = false;
+        this.remember(false);
+    }
+
+    /** Without storage the opt-in still holds for this page, it just is not remembered. */
+    remember(enabled) {
+        try {
+            if (enabled) localStorage.setItem(ALERT_NOTIFY_KEY, '1');
+            else localStorage.removeItem(ALERT_NOTIFY_KEY);
+        } catch (err) {
+            console.warn('Alert notification opt-in not saved:', err.message);
+        }
+    }
+
+    notify(alert) {
+        if (!this.enabled) return;
+        this.chime();
+        if ('Notification' in window && Notification.permission === 'granted') {
+            new Notification(`NEXUS AI: ${alertRuleLabel(alert, this.i18n)}`, {
+                body: this.i18n.t('alerts.notifyBody', { channel: alert.channel, value: alert.value, limit: alert.limit }),
+                tag: alert.ruleId, // Re-raising the same rule replaces, not stacks
+                requireInteraction: true
+            });
+        }
+    }
+
+    chime() {
+        if (!this.audio) return;
+        const now = this.audio.currentTime;
+        [880, 660].forEach((freq, i) => {
+            const osc = this.audio.createOscillator();
+            const gain = this.audio.createGain();
+            osc.frequency.value = freq;
+            gain.gain.setValueAtTime(0.0001, now + i * 0.25);
+            gain.gain.exponentialRampToValueAtTime(0.3, now + i * 0.25 + 0.02);
+            gain.gain.exponentialRampToValueAtTime(0.0001, now + i * 0.25 + 0.22);
+            osc.connect(gain).connect(this.audio.destination);
+            osc.start(now + i * 0.25);
+            osc.stop(now + i * 0.25 + 0.25);
+        });
+    }
+}
@@ -0,0 +1,225 @@
+/**
+ * NEXUS AI - Anomaly Detector
+ * Per-channel rolling baselines (EWMA z-score for spikes, CUSUM for slow drift)
+ * plus cross-channel checks that no single threshold can express. Findings carry
+ * their message as { key, params } for the page to render (js/i18n.js).
+ */
+
+export const ANOMALY_HOLD_MS = 5000; // Findings stay visible this long after the last offending sample
+export const ANOMALY_WARMUP_SAMPLES = 100;
+
+/**
+ * `signal: 'delta'` scores the sample-to-sample change (channels the driver moves
+ * on purpose), `signal: 'level'` scores the value itself (channels that should sit still).
+ * `minStd` keeps a very quiet baseline from turning noise into huge z-scores.
+ * CUSUM watches both directions unless `sides` is 'high' or 'low'.
+ */
+const ANOMALY_CHANNELS = {
+    rpm: { signal: 'delta', alpha: 0.01, minStd: 25, zWarn: 6, zCrit: 12 },
+    load: { signal: 'delta', alpha: 0.01, minStd: 0.6, zWarn: 6, zCrit: 12 },
+    coolant: {
+        signal: 'level', alpha: 0.005, minStd: 2, zWarn: 4, zCrit: 8,
+        cusum: { k: 1, h: 50 }, activeWhen: (s) => s.coolant >= 85 // Ignore the warm-up climb
+    },
+    battery: {
+        signal: 'level', alpha: 0.005, minStd: 0.15, zWarn: 4, zCrit: 8,
+        // Only sagging matters here; climbing back after a cold start is just the alternator catching up.
+        cusum: { k: 1, h: 50, sides: 'low' }, activeWhen: (s) => s.rpm > 600
+    }
+};
+
+class EwmaBaseline {
+    constructor(alpha, minStd) {
+        this.alpha = alpha;
+        this.minStd = minStd;
+        this.mean = null;
+        this.variance = 0;
+        this.n = 0;
+    }
+    std() { return Math.max(Math.sqrt(this.variance), this.minStd); }
+    zScore(x) { return this.mean === null ? 0 : (x - this.mean) / this.std(); }
+    update(x) {
+        if (this.mean === null) {
+            this.mean = x;
+        } else {
+            const diff = x - this.mean;
+            this.mean += this.alpha * diff;
+            this.variance = (1 - this.alpha) * (this.variance + this.alpha * diff * diff);
+        }
+        this.n++;
+    }
+}
+
+// Two-sided tabular CUSUM over z-scores.
+class Cusum {
+    constructor(k, h, sides) {
+        this.k = k;
+        this.h = h;
+        this.sides = sides || 'both';
+        this.reset();
+    }
+    reset() { this.high = 0; this.low = 0; }
+    update(z) {
+        if (this.sides !== 'low') this.high = Math.max(0, this.high + z - this.k);
+        if (this.sides !== 'high') this.low = Math.max(0, this.low - z - this.k);
+    }
+}
+
+export class AnomalyDetector {
+    constructor(channels) {
+        this.config = channels || ANOMALY_CHANNELS;
+        this.reset();
+    }
+
+    reset() {
+        this.channels = {};
+        Object.entries(this.config).forEach(([ch, cfg]) => {
+            this.channels[ch] = {
+                baseline: new EwmaBaseline(cfg.alpha, cfg.minStd),
+                cusum: cfg.cusum ? new Cusum(cfg.cusum.k, cfg.cusum.h, cfg.cusum.sides) : null,
+                last: null
+            };
+        });
+        this.window = []; // Recent samples for the cross-channel checks
+        this.gearRatios = {}; // Learned rpm/speed per (speed, throttle) bucket
+        this.findings = new Map();
+        this.samples = 0;
+    }
+
+    isWarm() { return this.samples >= ANOMALY_WARMUP_SAMPLES; }
+    warmupProgress() { return Math.min(1, this.samples / ANOMALY_WARMUP_SAMPLES); }
+
+    update(sample) {
+        this.samples++;
+        this.window.push(sample);
+        if (this.window.length > 100) this.window.shift();
+
+        Object.entries(this.config).forEach(([ch, cfg]) => this.scoreChannel(ch, cfg, sample));
+        this.checkCoolantUnderLowLoad(sample);
+        this.checkGearDivergence(sample);
+
+        for (const [id, f] of this.findings) {
+            if (sample.t - f.lastSeen > ANOMALY_HOLD_MS) this.findings.delete(id);
+        }
+    }
+
+    scoreChannel(ch, cfg, sample) {
+        const state = this.channels[ch];
+        const value = sample[ch];
+        if (value === undefined || (cfg.activeWhen && !cfg.activeWhen(sample))) {
+            state.last = null;
+            if (state.cusum) state.cusum.reset();
+            return;
+        }
+        const x = cfg.signal === 'delta' ? (state.last === null ? null : value - state.last) : value;
+        state.last = value;
+        if (x === null) return;
+
+        const { baseline, cusum } = state;
+        const z = baseline.zScore(x);
+        const learned = baseline.n >= ANOMALY_WARMUP_SAMPLES;
+
+        if (learned && Math.abs(z) >= cfg.zWarn) {
+            const expected = baseline.mean;
+            this.raise(sample, {
+                id: `${ch}-spike`, channel: ch, kind: 'spike', value: x, expected,
+                deviation: x - expected, score: Math.abs(z),
+                severity: Math.abs(z) >= cfg.zCrit ? 'critical' : 'warning',
+                message: cfg.signal === 'delta'
+                    ? { key: 'anomaly.jump', params: { channel: ch, delta: x, z } }
+                    : { key: 'anomaly.spike', params: { channel: ch, value, expected, z } }
+            });
+        } else {
+            // Outliers must not drag the baseline towards themselves.
+            baseline.update(x);
+        }
+
+        if (cusum && learned) {
+            cusum.update(z);
+            const side = cusum.high >= cusum.low ? 'up' : 'down';
+            const stat = Math.max(cusum.high, cusum.low);
+            if (stat >= cusum.h) {
+                this.raise(sample, {
+                    id: `${ch}-drift`, channel: ch, kind: 'drift', value, expected: baseline.mean,
+                    deviation: value - baseline.mean, score: stat / cusum.h,
+                    severity: stat >= cusum.h * 2 ? 'critical' : 'warning',
+                    message: { key: `anomaly.drift.${side}`, params: { channel: ch, delta: value - baseline.mean } }
+                });
+            }
+        }
+    }
+
+    /** Coolant climbing while the engine is barely working points at the cooling system. */
+    checkCoolantUnderLowLoad(sample) {
+        if (this.window.length < 50 || sample.coolant < 90) return; // Below this the thermostat is still closed by design
+        const recent = this.window.slice(-50); // ~5 s
+        const slope = this.slopePerSecond(recent, 'coolant');
+        const meanLoad = recent.reduce((a, s) => a + s.load, 0) / recent.length;
+        if (meanLoad < 45 && slope > 0.1) {
+            this.raise(sample, {
+                id: 'coolant-low-load', channel: 'coolant', kind: 'correlation',
+                value: slope, expected: 0, deviation: slope, score: slope / 0.1,
+                severity: slope > 0.3 ? 'critical' : 'warning',
+                message: { key: 'anomaly.coolantLowLoad', params: { channel: 'coolant', rate: slope, load: meanLoad } }
+            });
+        }
+    }
+
+    /**
+     * RPM and speed are locked together in any given gear. We learn rpm/speed for each
+     * (speed, throttle) bucket - which is how an automatic picks its gear - and flag
+     * sustained flares above it, e.g. a slipping clutch or torque converter.
+     */
+    checkGearDivergence(sample) {
+        if (sample.speed < 20) return;
+        const key = `${Math.floor(sample.speed / 10)}:${Math.floor(sample.throttle / 20)}`;
+        const bucket = this.gearRatios[key] || (this.gearRatios[key] = { baseline: new EwmaBaseline(0.05, 0.5), streak: 0 });
+        const ratio = sample.rpm / sample.speed;
+        const expected = bucket.baseline.mean;
+        const divergence = expected ? (ratio - expected) / expected : 0;
+
+        if (bucket.baseline.n >= 30 && divergence > 0.2) {
+            bucket.streak++;
+            if (bucket.streak >= 20) {
+                this.raise(sample, {
+                    id: 'rpm-speed-divergence', channel: 'rpm', kind: 'correlation',
+                    value: ratio, expected, deviation: ratio - expected, score: divergence / 0.2,
+                    severity: divergence > 0.4 ? 'critical' : 'warning',
+                    message: { key: 'anomaly.gearSlip', params: { pct: divergence * 100 } }
+                });
+            }
+            return;
+        }
+        bucket.streak = 0;
+        bucket.baseline.update(ratio);
+    }
+
+    slopePerSecond(samples, ch) {
+        // Least-squares slope against timestamps
+        const n = samples.length;
+        const t0 = samples[0].t;
+        let sx = 0, sy = 0, sxy = 0, sxx = 0;
+        samples.forEach(s => {
+            const x = (s.t - t0) / 1000;
+            sx += x; sy += s[ch]; sxy += x * s[ch]; sxx += x * x;
+        });
+        const denom = n * sxx - sx * sx;
+        return denom === 0 ? 0 : (n * sxy - sx * sy) / denom;
+    }
+
+    raise(sample, finding) {
+        const prev = this.findings.get(finding.id);
+        // Keep the worst reading while the finding is held
+        if (prev && prev.score > finding.score) {
+            prev.lastSeen = sample.t;
+            return;
+        }
+        this.findings.set(finding.id, { ...finding, firstSeen: prev ? prev.firstSeen : sample.t, lastSeen: sample.t });
+    }
+
+    /** Active findings, most severe first. */
+    getFindings() {
+        const rank = { critical: 2, warning: 1 };
+        return [...this.findings.values()].map(f => ({ ...f })).sort((a, b) => (rank[b.severity] - rank[a.severity]) || (b.score - a.score));
+    }
+}
@@ -0,0 +1,86 @@
+/**
+ * NEXUS AI - Display Settings
+ * Language and units for this browser, shared by every page and tab. Panels render
+ * through display.t() and display.units and re-render when display.onChange fires.
+ */
+
+import { DEFAULT_LOCALE, Translator } from './i18n.js';
+import { UNIT_PRESETS, UnitConverter } from './units.js';
+
+export const DISPLAY_SETTINGS_KEY = 'nexus.display';
+
+class DisplaySettings {
+    constructor(settings) {
+        this.listeners = [];
+        this.set(settings);
+    }
+
+    /** Saved settings, else the browser's language (when we ship it) and metric units. */
+    static load() {
+        let saved = null;
+        try {
+            saved = JSON.parse(localStorage.getItem(DISPLAY_SETTINGS_KEY));
+        } catch (err) {
+            console.warn('Discarding saved display settings:', err.message);
+        }
+        const browser = typeof navigator !== 'undefined' && navigator.language ? navigator.language.slice(0, 2) : DEFAULT_LOCALE;
+        return new DisplaySettings({ locale: browser, units: UNIT_PRESETS.metric, ...saved });
+    }
+
+    set(settings) {
+        this.units = new UnitConverter(settings.units);
+        this.i18n = new Translator(settings.locale, this.units);
+        this.settings = { locale: this.i18n.locale, units: { ...this.units.choices } };
+    }
+
+    /**
+     * changes: { locale?, units?: { speed?, distance?, temperature?, economy? } }
+     * Without storage the settings still apply to this page, they just are not remembered.
+     */
+    update(changes) {
+        this.set({ locale: changes.locale || this.settings.locale, units: { ...this.settings.units, ...changes.units } });
+        try {
+            localStorage.setItem(DISPLAY_SETTINGS_KEY, JSON.stringify(this.settings));
+        } catch (err) {
+            console.warn('Display settings not saved:', err.message);
+        }
+        this.listeners.forEach(fn => fn(this));
+    }
+
+    /** Another tab changed the settings. */
+    reload() {
+        this.set(DisplaySettings.load().settings);
+        this.listeners.forEach(fn => fn(this));
+    }
+
+    onChange(fn) { this.listeners.push(fn); }
+
+    /** Preset the current units match, or 'custom'. */
+    preset() {
+        const u = this.settings.units;
+        const match = Object.entries(UNIT_PRESETS).find(([, p]) => Object.keys(p).every(q => p[q] === u[q]));
+        return match ? match[0] : 'custom';
+    }
+
+    t(key, params) { return this.i18n.t(key, params); }
+    plural(key, n, params) { return this.i18n.plural(key, n, params); }
+    format(message) { return this.i18n.format(message); }
+    label(prefix, id, fallback, params) { return this.i18n.label(prefix, id, fallback, params); }
+    number(value, digits) { return this.i18n.number(value, digits); }
+    quantity(quantity, value, digits) { return this.i18n.quantity(quantity, value, digits); }
+    reading(ch, value, digits) { return this.i18n.reading(ch, value, digits); }
+
+    /**
+     * Static markup: data-i18n sets the text, data-i18n-title / data-i18n-placeholder the
+     * attribute, and data-unit="<quantity>" shows that quantity's display unit.
+     */
+    apply(root) {
+        document.documentElement.lang = this.settings.locale;
+        root.querySelectorAll('[data-i18n]').forEach(el => { el.textContent = this.t(el.dataset.i18n); });
+        root.querySelectorAll('[data-i18n-title]').forEach(el => { el.title = this.t(el.dataset.i18nTitle); });
+        root.querySelectorAll('[data-i18n-placeholder]').forEach(el => { el.placeholder = this.t(el.dataset.i18nPlaceholder); });
+        root.querySelectorAll('[data-unit]').forEach(el => { el.textContent = this.units.label(el.dataset.unit); });
+    }
+}
+
+export const display = DisplaySettings.load();
@@ -0,0 +1,165 @@
+/**
+ * NEXUS AI - Driver Classifier
+ * Windowed driving-style features (jerk, pedal rates, shift points, speed spread)
+ * fed through a small neural network whose weights are loaded from JSON.
+ */
+
+const DRIVER_WINDOW_MS = 30000;
+const DRIVER_GRID_MS = 500; // Samples are resampled to this grid so ELM polling rate doesn't matter
+export const DRIVER_MIN_WINDOW_MS = 15000; // Classify only once this much of the window is filled...
+export const DRIVER_MIN_MOVING = 0.5; // ...and the car moved for at least this share of it
+export const DRIVER_MODEL_URL = 'models/driver-classifier.json';
+
+// Order matters: it is the column order of the model weights. `quantity` marks features
+// shown in the reader's units (see js/units.js).
+export const DRIVER_FEATURES = [
+    { id: 'jerkRms', label: 'Jerk', unit: 'm/s³' },
+    { id: 'throttleRiseP90', label: 'Throttle rise p90', unit: '%/s' },
+    { id: 'brakeP90', label: 'Braking p90', unit: 'm/s²' },
+    { id: 'shiftRpm', label: 'Upshift RPM', unit: 'rpm' },
+    { id: 'speedStd', label: 'Speed spread', unit: 'km/h', quantity: 'speed' },
+    { id: 'throttleReversals', label: 'Pedal reversals', unit: '/min' }
+];
+
+function percentile(values, p) {
+    if (!values.length) return 0;
+    const sorted = values.slice().sort((a, b) => a - b);
+    return sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+}
+
+export class DriverFeatureExtractor {
+    constructor() { this.reset(); }
+
+    reset() { this.samples = []; }
+
+    update(sample) {
+        this.samples.push({ t: sample.t, speed: sample.speed, rpm: sample.rpm, throttle: sample.throttle });
+        while (this.samples.length && sample.t - this.samples[0].t > DRIVER_WINDOW_MS) this.samples.shift();
+    }
+
+    /** Last-value-hold resampling onto a fixed grid. */
+    grid() {
+        const out = [];
+        if (this.samples.length < 2) return out;
+        let i = 0;
+        for (let t = this.samples[0].t; t <= this.samples[this.samples.length - 1].t; t += DRIVER_GRID_MS) {
+            while (i + 1 < this.samples.length && this.samples[i + 1].t <= t) i++;
+            out.push(this.samples[i]);
+        }
+        return out;
+    }
+
+    /** { ready, moving, values: { id: number }, vector: [...] in DRIVER_FEATURES order } */
+    extract() {
+        const g = this.grid();
+        const dt = DRIVER_GRID_MS / 1000;
+        const spanMs = g.length * DRIVER_GRID_MS;
+        const moving = g.length ? g.filter(s => s.speed > 5).length / g.length : 0;
+
+        // Central differences over one second smooth out coarse (integer km/h) speed readings.
+        const accel = [];
+        for (let k = 1; k + 1 < g.length; k++) accel.push(((g[k + 1].speed - g[k - 1].speed) / 3.6) / (2 * dt));
+        const jerk = [];
+        for (let k = 1; k + 1 < accel.length; k++) jerk.push((accel[k + 1] - accel[k - 1]) / (2 * dt));
+
+        const throttleRate = [];
+        for (let k = 1; k < g.length; k++) throttleRate.push((g[k].throttle - g[k - 1].throttle) / dt);
+        let reversals = 0;
+        let lastDir = 0;
+        throttleRate.forEach(r => {
+            const dir = r > 5 ? 1 : (r < -5 ? -1 : 0);
+            if (dir && lastDir && dir !== lastDir) reversals++;
+            if (dir) lastDir = dir;
+        });
+
+        // Upshift: RPM falls >12% within a second while the car is not slowing down.
+        const shifts = [];
+        for (let k = 2; k < g.length; k++) {
+            const before = g[k - 2], after = g[k];
+            if (before.speed > 5 && after.speed >= before.speed - 0.5 && after.rpm < before.rpm * 0.88) {
+                if (!shifts.length || shifts[shifts.length - 1].k < k - 2) shifts.push({ k, rpm: before.rpm });
+            }
+        }
+        const movingRpm = g.filter(s => s.speed > 5).map(s => s.rpm);
+
+        const speeds = g.map(s => s.speed);
+        const meanSpeed = speeds.reduce((a, b) => a + b, 0) / (speeds.length || 1);
+        const values = {
+            jerkRms: Math.sqrt(jerk.reduce((a, j) => a + j * j, 0) / (jerk.length || 1)),
+            throttleRiseP90: percentile(throttleRate.filter(r => r > 2), 0.9), // How fast the pedal goes down when it does
+            brakeP90: percentile(accel.filter(a => a < -0.3).map(a => -a), 0.9),
+            shiftRpm: shifts.length ? shifts.reduce((a, s) => a + s.rpm, 0) / shifts.length : percentile(movingRpm, 0.9),
+            speedStd: Math.sqrt(speeds.reduce((a, v) => a + (v - meanSpeed) ** 2, 0) / (speeds.length || 1)),
+            throttleReversals: spanMs > 0 ? reversals / (spanMs / 60000) : 0
+        };
+        return {
+            ready: spanMs >= DRIVER_MIN_WINDOW_MS && moving >= DRIVER_MIN_MOVING,
+            moving,
+            values,
+            vector: DRIVER_FEATURES.map(f => values[f.id])
+        };
+    }
+}
+
+/**
+ * Feed-forward classifier from a weights file:
+ * { type: 'mlp', classes, features: [ids], mean, std, layers: [{ weights: [[in] per unit], bias, activation }] }
+ * Hidden layers use 'tanh' or 'relu'; the last layer is 'softmax'. A single softmax
+ * layer is plain multinomial logistic regression.
+ */
+export class DriverClassifier {
+    constructor(model) {
+        const ids = DRIVER_FEATURES.map(f => f.id).join(',');
+        if (!model || model.type !== 'mlp' || !Array.isArray(model.layers) || !model.layers.length) {
+            throw new Error('Driver model must be of type "mlp" with at least one layer');
+        }
+        if ((model.features || []).join(',') !== ids) throw new Error(`Driver model features must be ${ids}`);
+        let width = DRIVER_FEATURES.length;
+        model.layers.forEach((layer, i) => {
+            if (!Array.isArray(layer.weights) || layer.weights.some(w => w.length !== width) || (layer.bias || []).length !== layer.weights.length) {
+                throw new Error(`Driver model layer ${i + 1} does not take ${width} inputs`);
+            }
+            width = layer.weights.length;
+        });
+        if (width !== model.classes.length) throw new Error('Driver model output does not match its classes');
+        this.model = model;
+    }
+
+    static async load(url) {
+        const res = await fetch(url || DRIVER_MODEL_URL);
+        if (!res.ok) throw new Error(`Driver model: HTTP ${res.status}`);
+        return new DriverClassifier(await res.json());
+    }
+
+    describe() { return this.model.description || `${this.model.layers.length}-layer network, ${DRIVER_FEATURES.length} features`; }
+
+    /** Standardized inputs -> class probabilities. */
+    forward(x) {
+        return this.model.layers.reduce((input, layer) => {
+            const z = layer.weights.map((w, u) => w.reduce((a, wi, i) => a + wi * input[i], layer.bias[u]));
+            if (layer.activation === 'tanh') return z.map(Math.tanh);
+            if (layer.activation === 'relu') return z.map(v => Math.max(v, 0));
+            const max = Math.max(...z);
+            const exp = z.map(v => Math.exp(v - max));
+            const sum = exp.reduce((a, b) => a + b, 0);
+            return exp.map(e => e / sum);
+        }, x);
+    }
+
+    /**
+     * Class probabilities, plus the feature the winning class leans on most: the one
+     * whose replacement by its training mean costs that class the most probability.
+     */
+    predict(vector) {
+        const m = this.model;
+        const x = vector.map((v, i) => (v - m.mean[i]) / (m.std[i] || 1));
+        const p = this.forward(x);
+        const best = p.indexOf(Math.max(...p));
+        const probs = {};
+        m.classes.forEach((c, i) => { probs[c] = p[i]; });
+
+        const drops = x.map((_, i) => p[best] - this.forward(x.map((v, j) => (j === i ? 0 : v)))[best]);
+        const top = drops.indexOf(Math.max(...drops));
+        return { type: m.classes[best], conf: p[best], probs, topFeature: DRIVER_FEATURES[top] };
+    }
+}
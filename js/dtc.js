@@ -0,0 +1,190 @@
+/**
+ * NEXUS AI - Diagnostic Trouble Codes
+ * Decodes Mode 03/07 replies into P/C/B/U codes, explains them from a bundled
+ * table and links each code to the live channels it shows up in.
+ */
+
+import { ELM327Error, ELM327Protocol } from './elm327.js';
+
+const DTC_SYSTEMS = { P: 'Powertrain', C: 'Chassis', B: 'Body', U: 'Network' };
+const DTC_MODE_HEADERS = { '03': '43', '07': '47', '0A': '4A' };
+
+/**
+ * Common SAE codes. `channels` are the live channels where the fault is visible,
+ * `critical` marks codes that mean "stop driving soon".
+ */
+const DTC_TABLE = {
+    P0101: { desc: 'Mass air flow sensor range/performance', channels: ['load', 'fuelEff'] },
+    P0106: { desc: 'Manifold absolute pressure sensor range/performance', channels: ['load'] },
+    P0113: { desc: 'Intake air temperature sensor high input', channels: ['fuelEff'] },
+    P0115: { desc: 'Engine coolant temperature sensor circuit', channels: ['coolant'] },
+    P0116: { desc: 'Engine coolant temperature sensor range/performance', channels: ['coolant'] },
+    P0117: { desc: 'Engine coolant temperature sensor low input', channels: ['coolant'] },
+    P0118: { desc: 'Engine coolant temperature sensor high input', channels: ['coolant'] },
+    P0121: { desc: 'Throttle position sensor range/performance', channels: ['throttle'] },
+    P0122: { desc: 'Throttle position sensor low input', channels: ['throttle'] },
+    P0123: { desc: 'Throttle position sensor high input', channels: ['throttle'] },
+    P0125: { desc: 'Insufficient coolant temperature for closed loop fuel control', channels: ['coolant', 'fuelEff'] },
+    P0128: { desc: 'Coolant thermostat below regulating temperature', channels: ['coolant'] },
+    P0130: { desc: 'O2 sensor circuit (bank 1, sensor 1)', channels: ['fuelEff'] },
+    P0171: { desc: 'System too lean (bank 1)', channels: ['fuelEff', 'load'] },
+    P0172: { desc: 'System too rich (bank 1)', channels: ['fuelEff'] },
+    P0174: { desc: 'System too lean (bank 2)', channels: ['fuelEff', 'load'] },
+    P0175: { desc: 'System too rich (bank 2)', channels: ['fuelEff'] },
+    P0217: { desc: 'Engine coolant over-temperature condition', channels: ['coolant'], critical: true },
+    P0219: { desc: 'Engine overspeed condition', channels: ['rpm'], critical: true },
+    P0300: { desc: 'Random/multiple cylinder misfire detected', channels: ['rpm', 'load'], critical: true },
+    P0301: { desc: 'Cylinder 1 misfire detected', channels: ['rpm', 'load'] },
+    P0302: { desc: 'Cylinder 2 misfire detected', channels: ['rpm', 'load'] },
+    P0303: { desc: 'Cylinder 3 misfire detected', channels: ['rpm', 'load'] },
+    P0304: { desc: 'Cylinder 4 misfire detected', channels: ['rpm', 'load'] },
+    P0325: { desc: 'Knock sensor 1 circuit (bank 1)', channels: ['load'] },
+    P0335: { desc: 'Crankshaft position sensor A circuit', channels: ['rpm'], critical: true },
+    P0340: { desc: 'Camshaft position sensor circuit (bank 1)', channels: ['rpm'] },
+    P0401: { desc: 'Exhaust gas recirculation flow insufficient', channels: ['load'] },
+    P0420: { desc: 'Catalyst system efficiency below threshold (bank 1)', channels: ['fuelEff'] },
+    P0442: { desc: 'Evaporative emission system small leak detected', channels: [] },
+    P0455: { desc: 'Evaporative emission system large leak detected', channels: [] },
+    P0480: { desc: 'Cooling fan 1 control circuit', channels: ['coolant'] },
+    P0500: { desc: 'Vehicle speed sensor A', channels: ['speed'] },
+    P0505: { desc: 'Idle air control system', channels: ['rpm'] },
+    P0506: { desc: 'Idle control system RPM lower than expected', channels: ['rpm'] },
+    P0507: { desc: 'Idle control system RPM higher than expected', channels: ['rpm'] },
+    P0560: { desc: 'System voltage', channels: ['battery'] },
+    P0562: { desc: 'System voltage low', channels: ['battery'] },
+    P0563: { desc: 'System voltage high', channels: ['battery'] },
+    P0600: { desc: 'Serial communication link', channels: [] },
+    P0606: { desc: 'Control module processor', channels: [], critical: true },
+    P0620: { desc: 'Generator control circuit', channels: ['battery'] },
+    P0622: { desc: 'Generator field terminal circuit', channels: ['battery'] },
+    P0700: { desc: 'Transmission control system malfunction', channels: ['rpm', 'speed'] },
+    P0715: { desc: 'Input/turbine speed sensor A circuit', channels: ['rpm', 'speed'] },
+    P0720: { desc: 'Output speed sensor circuit', channels: ['speed'] },
+    P0730: { desc: 'Incorrect gear ratio', channels: ['rpm', 'speed'] },
+    P0740: { desc: 'Torque converter clutch solenoid circuit', channels: ['rpm', 'speed'] },
+    P0894: { desc: 'Transmission component slipping', channels: ['rpm', 'speed'], critical: true },
+    C0035: { desc: 'Left front wheel speed sensor circuit', channels: ['speed'] },
+    C0040: { desc: 'Right front wheel speed sensor circuit', channels: ['speed'] },
+    C0265: { desc: 'ABS motor relay circuit', channels: [] },
+    B0001: { desc: 'Driver frontal stage 1 deployment control', channels: [], critical: true },
+    B1000: { desc: 'Body control module internal fault', channels: [] },
+    U0073: { desc: 'Control module communication bus A off', channels: [] },
+    U0100: { desc: 'Lost communication with ECM/PCM A', channels: [], critical: true },
+    U0121: { desc: 'Lost communication with ABS control module', channels: [] },
+    U0155: { desc: 'Lost communication with instrument panel cluster', channels: [] }
+};
+
+// Fallback when a powertrain code is not in the table: the third character names the area.
+const DTC_P_AREAS = {
+    1: 'Fuel and air metering',
+    2: 'Fuel and air metering (injector circuit)',
+    3: 'Ignition system or misfire',
+    4: 'Auxiliary emission controls',
+    5: 'Vehicle speed, idle control and auxiliary inputs',
+    6: 'Computer and output circuits',
+    7: 'Transmission',
+    8: 'Transmission',
+    9: 'Transmission',
+    A: 'Hybrid propulsion'
+};
+const DTC_AREA_CHANNELS = { 1: ['fuelEff', 'load'], 2: ['fuelEff'], 3: ['rpm', 'load'], 5: ['speed', 'rpm'], 7: ['rpm', 'speed'], 8: ['rpm', 'speed'], 9: ['rpm', 'speed'] };
+
+export class DtcProtocol {
+    /**
+     * Two bytes to a code: the top two bits pick P/C/B/U, the next two the first
+     * digit, then three hex nibbles. 0x01 0x33 -> P0133, 0xC1 0x00 -> U0100.
+     */
+    static decode(a, b) {
+        const letter = 'PCBU'[a >> 6];
+        const hex = (n) => n.toString(16).toUpperCase();
+        return `${letter}${(a >> 4) & 0x3}${hex(a & 0xF)}${hex(b >> 4)}${hex(b & 0xF)}`;
+    }
+
+    static encode(code) {
+        const a = ('PCBU'.indexOf(code[0]) << 6) | (parseInt(code[1], 16) << 4) | parseInt(code[2], 16);
+        return [a, parseInt(code.slice(3), 16)];
+    }
+
+    /**
+     * Splits a reply into one hex string per responding ECU. CAN replies longer than a
+     * frame come back as a byte count line followed by "0:", "1:", ... segments; the last
+     * segment is padded, so the response is cut to that count.
+     */
+    static responses(lines) {
+        const responses = [];
+        let length = null;
+        lines.forEach(line => {
+            const segment = /^([0-9A-F]):\s*(.*)$/i.exec(line);
+            const hex = (segment ? segment[2] : line).replace(/\s+/g, '').toUpperCase();
+            if (!/^[0-9A-F]*$/.test(hex)) return;
+            if (!segment && hex.length <= 3) {
+                if (hex.length === 3) length = parseInt(hex, 16); // ISO-TP length of the response that follows
+                return;
+            }
+            const last = responses[responses.length - 1];
+            // Segment numbers wrap after F, so the count, not "0:", tells where the next response starts
+            if (segment && length === null && last && (last.length ? last.hex.length < last.length * 2 : segment[1] !== '0')) {
+                last.hex += hex;
+            } else {
+                responses.push({ hex, length: segment ? length : null });
+                length = null;
+            }
+        });
+        return responses.map(r => (r.length ? r.hex.slice(0, r.length * 2) : r.hex));
+    }
+
+    /**
+     * Mode 03 (stored), 07 (pending) or 0A (permanent) reply to a list of code strings.
+     * `can` says whether the adapter talks CAN, where the first byte is the code count;
+     * unknown (undefined) means a segmented reply is CAN and any other counts by parity.
+     */
+    static parseDtcs(raw, mode, can) {
+        const header = DTC_MODE_HEADERS[mode];
+        if (!header) throw new ELM327Error('UNSUPPORTED_MODE', `Mode ${mode} does not return trouble codes`);
+        const lines = ELM327Protocol.replyLines(raw, mode);
+        if (!lines) return [];
+        if (can === undefined && lines.some(l => /^[0-9A-F]:/i.test(l))) can = true;
+
+        const codes = [];
+        DtcProtocol.responses(lines).filter(r => r.startsWith(header)).forEach(r => {
+            const bytes = (r.slice(header.length).match(/../g) || []).map(h => parseInt(h, 16));
+            // CAN prefixes a code count (so a single frame has an odd byte count); K-line/J1850 pad with 0000 pairs.
+            let count = Math.floor(bytes.length / 2);
+            if (can || (can === undefined && bytes.length % 2 === 1)) count = Math.min(bytes.shift(), Math.floor(bytes.length / 2));
+            for (let i = 0; i < count; i++) {
+                const a = bytes[i * 2], b = bytes[i * 2 + 1];
+                if (a === 0 && b === 0) continue;
+                const code = DtcProtocol.decode(a, b);
+                if (!codes.includes(code)) codes.push(code);
+            }
+        });
+        return codes;
+    }
+
+    /** Mode 02 PID 02: the code that caused freeze frame 0 to be stored, or null. */
+    static parseFreezeFrameDtc(raw) {
+        const lines = ELM327Protocol.replyLines(raw, '020200');
+        if (!lines) return null;
+        const r = DtcProtocol.responses(lines).find(hex => hex.startsWith('420200'));
+        if (!r || r.length < 10) return null;
+        const a = parseInt(r.substr(6, 2), 16), b = parseInt(r.substr(8, 2), 16);
+        return a === 0 && b === 0 ? null : DtcProtocol.decode(a, b);
+    }
+}
+
+/** Everything the UI needs to explain a code. */
+export function describeDtc(code, kind) {
+    const known = DTC_TABLE[code];
+    const area = code[0] === 'P' ? DTC_P_AREAS[code[2]] : null;
+    const manufacturer = code[1] === '1' || code[1] === '3';
+    return {
+        code,
+        kind: kind || 'stored',
+        system: DTC_SYSTEMS[code[0]],
+        description: known ? known.desc
+            : `${manufacturer ? 'Manufacturer-specific' : 'Generic'} ${area ? area.toLowerCase() : DTC_SYSTEMS[code[0]].toLowerCase()} fault`,
+        channels: known ? known.channels : (code[0] === 'P' && DTC_AREA_CHANNELS[code[2]]) || [],
+        critical: !!(known && known.critical),
+        known: !!known
+    };
+}
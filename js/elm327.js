@@ -0,0 +1,349 @@
+/**
+ * NEXUS AI - ELM327 OBD-II Adapter
+ * Mode 01/02 PID decoder, a Web Serial transport and a scripted fake transport for testing.
+ */
+
+import { DtcProtocol, describeDtc } from './dtc.js';
+import { SOURCE_STATUS, TelemetrySource } from './telemetry-source.js';
+
+const ELM327_INIT_SEQUENCE = ['ATZ', 'ATE0', 'ATL0', 'ATS0', 'ATH0', 'ATSP0'];
+const ELM327_PROMPT = '>';
+const ELM327_TIMEOUT_MS = 2000;
+const ELM327_RETRY_MS = [500, 1000, 2000, 5000]; // Backoff after failed poll cycles, last one repeats
+// ATDPN numbers: 6-9 are ISO 15765 CAN, A-C SAE J1939 and user CAN. "A" in front means auto-detected.
+const ELM327_CAN_PROTOCOLS = /^A?[6-9A-C]$/;
+
+// Mode 01 PIDs we poll. Formulas follow SAE J1979.
+const OBD_PIDS = {
+    '0C': { channel: 'rpm', bytes: 2, decode: (a, b) => ((a * 256) + b) / 4 },
+    '0D': { channel: 'speed', bytes: 1, decode: (a) => a },
+    '11': { channel: 'throttle', bytes: 1, decode: (a) => (a * 100) / 255 },
+    '04': { channel: 'load', bytes: 1, decode: (a) => (a * 100) / 255 },
+    '05': { channel: 'coolant', bytes: 1, decode: (a) => a - 40 },
+    '42': { channel: 'battery', bytes: 2, decode: (a, b) => ((a * 256) + b) / 1000 },
+    '5E': { channel: 'fuelRate', bytes: 2, decode: (a, b) => ((a * 256) + b) / 20 } // L/h
+};
+
+export class ELM327Error extends Error {
+    constructor(code, message) {
+        super(message || code);
+        this.name = 'ELM327Error';
+        this.code = code;
+    }
+}
+
+export class ELM327Protocol {
+    /**
+     * Splits a raw adapter reply into meaningful lines, dropping the prompt,
+     * the command echo and "SEARCHING..." progress messages.
+     */
+    static cleanLines(raw, command) {
+        return String(raw)
+            .replace(ELM327_PROMPT, '')
+            .split(/[\r\n]+/)
+            .map(line => line.trim())
+            .filter(line => line && line !== command && !/^SEARCHING/i.test(line));
+    }
+
+    /**
+     * Common reply triage for any mode. Returns the cleaned lines, or null when the
+     * ECU answers NO DATA. Throws ELM327Error for "?" and bus errors.
+     */
+    static replyLines(raw, command) {
+        const lines = ELM327Protocol.cleanLines(raw, command);
+        if (lines.length === 0) return null; // Only SEARCHING... came back
+        if (lines.some(l => /^NO DATA$/i.test(l))) return null;
+        if (lines.some(l => l === '?')) throw new ELM327Error('UNKNOWN_COMMAND', `Adapter rejected ${command}`);
+
+        const busError = lines.find(l => /UNABLE TO CONNECT|CAN ERROR|BUS ERROR|BUS INIT|STOPPED/i.test(l));
+        if (busError) throw new ELM327Error('BUS_ERROR', busError);
+        return lines;
+    }
+
+    /**
+     * Decodes a Mode 01 reply for a single PID.
+     * Returns the decoded value, or null when the ECU answers NO DATA.
+     */
+    static parse(raw, pid) {
+        const def = OBD_PIDS[pid];
+        if (!def) throw new ELM327Error('UNSUPPORTED_PID', `PID ${pid} has no decoder`);
+        const lines = ELM327Protocol.replyLines(raw, `01${pid}`);
+        return lines && ELM327Protocol.decodeFrame(lines, `41${pid}`, def);
+    }
+
+    /** Mode 02 reply for one PID of a freeze frame: "42 <pid> <frame> <data...>". */
+    static parseFreezeFrame(raw, pid, frame) {
+        const def = OBD_PIDS[pid];
+        if (!def) throw new ELM327Error('UNSUPPORTED_PID', `PID ${pid} has no decoder`);
+        const frameHex = (frame || 0).toString(16).padStart(2, '0').toUpperCase();
+        const lines = ELM327Protocol.replyLines(raw, `02${pid}${frameHex}`);
+        return lines && ELM327Protocol.decodeFrame(lines, `42${pid}${frameHex}`, def);
+    }
+
+    static decodeFrame(lines, header, def) {
+        // Several ECUs may answer; take the first frame that matches our header.
+        header = header.toUpperCase();
+        for (const line of lines) {
+            const hex = line.replace(/\s+/g, '').toUpperCase();
+            if (!/^[0-9A-F]+$/.test(hex) || !hex.startsWith(header)) continue;
+            const bytes = [];
+            for (let i = header.length; i + 2 <= hex.length && bytes.length < def.bytes; i += 2) {
+                bytes.push(parseInt(hex.substr(i, 2), 16));
+            }
+            if (bytes.length < def.bytes) throw new ELM327Error('SHORT_FRAME', `Truncated reply for ${header}: ${line}`);
+            return def.decode(...bytes);
+        }
+        throw new ELM327Error('UNEXPECTED_REPLY', `Unrecognised reply for ${header}: ${lines.join(' | ')}`);
+    }
+}
+
+/**
+ * Transport contract: open(), send(command) -> raw reply up to the ">" prompt, close().
+ * WebSerialTransport talks to a USB/Bluetooth-serial ELM327 through the Web Serial API.
+ */
+export class WebSerialTransport {
+    constructor(baudRate) {
+        this.baudRate = baudRate || 38400;
+        this.timeoutMs = ELM327_TIMEOUT_MS;
+        this.port = null;
+        this.reader = null;
+        this.writer = null;
+        this.buffer = '';
+        this.decoder = new TextDecoder();
+        this.pendingRead = null;
+        this.readLoop = 0; // Bumped on timeout and close: an abandoned read loop stops appending to the buffer
+        this.stale = false; // A timed-out command's reply may still be on its way
+    }
+    async open() {
+        if (!('serial' in navigator)) throw new ELM327Error('NO_SERIAL', 'Web Serial is not available in this browser');
+        // A reconnect reopens the port picked before; if that fails, the next attempt asks again
+        if (!this.port) this.port = await navigator.serial.requestPort();
+        try {
+            await this.port.open({ baudRate: this.baudRate });
+        } catch (err) {
+            this.port = null;
+            throw err;
+        }
+        this.writer = this.port.writable.getWriter();
+        this.reader = this.port.readable.getReader();
+        this.stale = false;
+    }
+    async send(command) {
+        if (this.stale) await this.discardLateReply();
+        this.buffer = '';
+        await this.writer.write(new TextEncoder().encode(`${command}\r`));
+        return this.readUntilPrompt(`No prompt after ${command}`);
+    }
+    /** Waits out the reply to a command that timed out, so it cannot pass for the next command's. */
+    async discardLateReply() {
+        this.buffer = '';
+        try {
+            await this.readUntilPrompt('Adapter still busy with the previous command');
+        } catch (err) {
+            if (err.code !== 'TIMEOUT') throw err;
+        }
+        this.stale = false;
+    }
+    async readUntilPrompt(timeoutMessage) {
+        const loop = ++this.readLoop;
+        const read = async () => {
+            while (!this.buffer.includes(ELM327_PROMPT)) {
+                // One read in flight on the reader: a loop that starts while an abandoned one waits takes over its read
+                if (!this.pendingRead) this.pendingRead = this.reader.read().finally(() => { this.pendingRead = null; });
+                const { value, done } = await this.pendingRead;
+                if (loop !== this.readLoop) return null;
+                if (done) throw new ELM327Error('CLOSED', 'Serial port closed');
+                this.buffer += this.decoder.decode(value, { stream: true });
+            }
+            return this.buffer;
+        };
+        let timer;
+        const timeout = new Promise((_, reject) => {
+            timer = setTimeout(() => {
+                this.readLoop++;
+                this.stale = true;
+                reject(new ELM327Error('TIMEOUT', timeoutMessage));
+            }, this.timeoutMs);
+        });
+        try {
+            return await Promise.race([read(), timeout]);
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+    async close() {
+        this.readLoop++;
+        if (this.reader) { await this.reader.cancel(); this.reader.releaseLock(); }
+        if (this.writer) this.writer.releaseLock();
+        if (this.port) await this.port.close();
+        this.reader = this.writer = this.pendingRead = null;
+    }
+}
+
+/**
+ * In-process stand-in for an adapter. `script` maps a command to a reply string,
+ * an array of replies (consumed in order, last one repeats) or a function(command).
+ * Every command sent is kept in `sent` so tests can assert on the conversation.
+ */
+export class FakeELM327Transport {
+    constructor(script) {
+        this.script = { ATZ: 'ELM327 v1.5', ...(script || {}) };
+        this.sent = [];
+        this.isOpen = false;
+    }
+    async open() { this.isOpen = true; }
+    async send(command) {
+        if (!this.isOpen) throw new ELM327Error('CLOSED', 'Fake transport not open');
+        this.sent.push(command);
+        let reply = this.script[command];
+        if (typeof reply === 'function') reply = reply(command);
+        else if (Array.isArray(reply)) reply = reply.length > 1 ? reply.shift() : reply[0];
+        if (reply === undefined) reply = command.startsWith('AT') ? 'OK' : 'NO DATA';
+        return `${reply}\r\r${ELM327_PROMPT}`;
+    }
+    async close() { this.isOpen = false; }
+}
+
+export class ELM327Source extends TelemetrySource {
+    constructor(transport, options) {
+        super('ELM327');
+        this.transport = transport;
+        this.pids = (options && options.pids) || Object.keys(OBD_PIDS);
+        this.maxMisses = (options && options.maxMisses) || 3;
+        this.maxFailures = (options && options.maxFailures) || 5;
+        this.misses = {};
+        this.failures = 0;
+        this.retryAt = 0;
+        this.can = undefined; // Known once a DTC read has asked the adapter for its protocol
+        this.polling = false;
+        this.queue = Promise.resolve();
+    }
+
+    /** One command at a time on the wire: diagnostics requests wait for the poll in flight. */
+    send(command) {
+        const reply = this.queue.then(() => this.transport.send(command));
+        this.queue = reply.catch(() => { });
+        return reply;
+    }
+
+    async start() {
+        this.setStatus(SOURCE_STATUS.CONNECTING);
+        try {
+            await this.transport.open();
+            for (const cmd of ELM327_INIT_SEQUENCE) {
+                const lines = ELM327Protocol.cleanLines(await this.transport.send(cmd), cmd);
+                if (lines.includes('?')) throw new ELM327Error('INIT_FAILED', `Adapter rejected ${cmd}`);
+            }
+            this.setStatus(SOURCE_STATUS.LIVE);
+        } catch (err) {
+            this.setStatus(SOURCE_STATUS.ERROR, err.message);
+            throw err;
+        }
+    }
+
+    async stop() {
+        await this.transport.close();
+        this.setStatus(SOURCE_STATUS.IDLE);
+    }
+
+    /** Closes and re-initialises the adapter after it has given up, e.g. from a "Reconnect" button. */
+    async reconnect() {
+        await this.transport.close().catch(() => { });
+        this.failures = 0;
+        this.retryAt = 0;
+        this.can = undefined;
+        await this.start();
+    }
+
+    tick() {
+        // Serial round-trips are slower than the UI tick; never overlap poll cycles.
+        if (this.status !== SOURCE_STATUS.LIVE || this.polling || Date.now() < this.retryAt) return;
+        this.poll().then(() => {
+            if (!this.failures) return;
+            this.failures = 0;
+            this.setStatus(SOURCE_STATUS.LIVE);
+        }, err => this.recordFailure(err));
+    }
+
+    async poll() {
+        this.polling = true;
+        try {
+            const sample = {};
+            for (const pid of this.pids) {
+                let value = null;
+                try {
+                    value = ELM327Protocol.parse(await this.send(`01${pid}`), pid);
+                } catch (err) {
+                    if (err.code !== 'UNKNOWN_COMMAND') throw err;
+                }
+                if (value === null) {
+                    this.recordMiss(pid);
+                    continue;
+                }
+                this.misses[pid] = 0;
+                sample[OBD_PIDS[pid].channel] = value;
+            }
+            // Instantaneous L/100km only makes sense while moving; hold the last value otherwise.
+            const speed = sample.speed !== undefined ? sample.speed : this.state.speed;
+            if (sample.fuelRate !== undefined && speed > 3) sample.fuelEff = (sample.fuelRate / speed) * 100;
+            this.pushSample(sample);
+        } finally {
+            this.polling = false;
+        }
+    }
+
+    /** Mode 03 stored, Mode 07 pending and the Mode 02 freeze frame behind the first stored code. */
+    async readDtcs() {
+        if (this.status !== SOURCE_STATUS.LIVE) return null;
+        if (this.can === undefined) {
+            // Only meaningful after ATSP0 has found the bus, i.e. once polling has run
+            const [protocol] = ELM327Protocol.cleanLines(await this.send('ATDPN'), 'ATDPN');
+            if (/^A?[1-9A-C]$/.test(protocol || '')) this.can = ELM327_CAN_PROTOCOLS.test(protocol);
+        }
+        const stored = DtcProtocol.parseDtcs(await this.send('03'), '03', this.can).map(code => describeDtc(code, 'stored'));
+        const pending = DtcProtocol.parseDtcs(await this.send('07'), '07', this.can).map(code => describeDtc(code, 'pending'));
+        let freezeFrame = null;
+        if (stored.length) {
+            const code = DtcProtocol.parseFreezeFrameDtc(await this.send('020200'));
+            if (code) {
+                const sample = {};
+                for (const pid of this.pids) {
+                    try {
+                        const value = ELM327Protocol.parseFreezeFrame(await this.send(`02${pid}00`), pid, 0);
+                        if (value !== null) sample[OBD_PIDS[pid].channel] = value;
+                    } catch (err) {
+                        if (err.code !== 'UNKNOWN_COMMAND' && err.code !== 'UNEXPECTED_REPLY') throw err;
+                    }
+                }
+                freezeFrame = { code, sample };
+            }
+        }
+        return { stored, pending, freezeFrame };
+    }
+
+    /** Mode 04 also wipes freeze frames and readiness monitors, as on any scan tool. */
+    async clearDtcs() {
+        const lines = ELM327Protocol.replyLines(await this.send('04'), '04');
+        if (!lines || !lines.some(l => l.replace(/\s+/g, '').startsWith('44'))) {
+            throw new ELM327Error('CLEAR_FAILED', 'ECU did not confirm clearing codes (engine running?)');
+        }
+    }
+
+    recordFailure(err) {
+        // A timeout or a "STOPPED" / "BUS INIT..." reply is routine on a real car; only a run of them means the link is gone.
+        this.failures++;
+        if (this.failures >= this.maxFailures) {
+            this.setStatus(SOURCE_STATUS.ERROR, `${err.message} (${this.failures} failed polls in a row)`);
+            return;
+        }
+        const delay = ELM327_RETRY_MS[Math.min(this.failures - 1, ELM327_RETRY_MS.length - 1)];
+        this.retryAt = Date.now() + delay;
+        this.setStatus(SOURCE_STATUS.LIVE, `${err.message}, retrying in ${delay / 1000}s`);
+    }
+
+    recordMiss(pid) {
+        // ECUs that never answer a PID would otherwise cost a full timeout every cycle.
+        this.misses[pid] = (this.misses[pid] || 0) + 1;
+        if (this.misses[pid] >= this.maxMisses) this.pids = this.pids.filter(p => p !== pid);
+    }
+}
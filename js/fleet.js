@@ -0,0 +1,133 @@
+/**
+ * NEXUS AI - Fleet
+ * The roster of vehicles this dashboard watches, and the fleet overview's view of
+ * each one (its source, engine and stored session run in the telemetry host).
+ */
+
+import { SCENARIOS, DRIVER_STYLES } from './simulator.js';
+import { FRAME_VEHICLE_ID } from './telemetry-source.js';
+import { DEFAULT_VEHICLE_ID } from './vehicle-store.js';
+
+const FLEET_STORAGE_KEY = 'nexus.fleet';
+const FLEET_VEHICLE_PARAM = 'vehicle';
+
+// First visit: the single vehicle the app always had, plus a few simulated ones to watch.
+const DEFAULT_FLEET = [
+    { id: DEFAULT_VEHICLE_ID, name: 'My Car', sim: { scenario: 'mixed', driver: 'normal' } },
+    { id: 'van-1', name: 'Delivery Van', sim: { scenario: 'urban', driver: 'aggressive', seed: 101, faults: [{ type: 'thermostat', at: 90 }] } },
+    { id: 'wagon-1', name: 'Estate Wagon', sim: { scenario: 'highway', driver: 'eco', seed: 202 } },
+    { id: 'pickup-1', name: 'Pickup', sim: { scenario: 'towing', driver: 'normal', seed: 303, faults: [{ type: 'alternator', at: 45 }] } }
+];
+
+let unsavedRoster = null; // Roster this page changed while storage was blocked
+
+/**
+ * Roster entries are { id, name, sim: MockOBDSimulator options } or, for a car publishing
+ * to an ingest server, { id, name, feed: { url, vehicleId } }. Kept in localStorage.
+ */
+export class FleetRoster {
+    static load() {
+        if (unsavedRoster) return JSON.parse(JSON.stringify(unsavedRoster));
+        try {
+            const saved = JSON.parse(localStorage.getItem(FLEET_STORAGE_KEY));
+            if (Array.isArray(saved) && saved.length) return saved;
+        } catch (err) {
+            console.warn('Discarding saved fleet:', err.message);
+        }
+        return JSON.parse(JSON.stringify(DEFAULT_FLEET));
+    }
+
+    /** Without storage the roster still changes for this page, it just is not remembered. */
+    static save(roster) {
+        try {
+            localStorage.setItem(FLEET_STORAGE_KEY, JSON.stringify(roster));
+            unsavedRoster = null;
+        } catch (err) {
+            console.warn('Fleet not saved:', err.message);
+            unsavedRoster = JSON.parse(JSON.stringify(roster));
+        }
+    }
+
+    static find(id) { return FleetRoster.load().find(v => v.id === id) || null; }
+
+    static add(name, sim, feed) {
+        const label = String(name || '').trim();
+        if (!label) throw new Error('A vehicle needs a name');
+        if (feed) FleetRoster.validateFeed(feed);
+        const roster = FleetRoster.load();
+        const slug = label.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'vehicle';
+        const entry = { id: `${slug}-${Date.now().toString(36)}`, name: label };
+        if (feed) entry.feed = { url: feed.url, vehicleId: feed.vehicleId };
+        else entry.sim = { ...sim, seed: Math.floor(Math.random() * 0xFFFFFFFF) }; // Fixed per vehicle so it drives the same way every load
+        roster.push(entry);
+        FleetRoster.save(roster);
+        return entry;
+    }
+
+    static validateFeed(feed) {
+        if (!FRAME_VEHICLE_ID.test(feed.vehicleId || '')) {
+            throw new Error('Ingest vehicle id must be 1-64 letters, digits, "-" or "_"');
+        }
+        if (!/^wss?:\/\/[^/\s]+/.test(feed.url || '')) throw new Error('Ingest server URL must start with ws:// or wss://');
+    }
+
+    static remove(id) {
+        if (id === DEFAULT_VEHICLE_ID) throw new Error('The default vehicle cannot be removed');
+        FleetRoster.save(FleetRoster.load().filter(v => v.id !== id));
+    }
+
+    /** Vehicle a page is scoped to: ?vehicle=<id> when it is on the roster, else the default one. */
+    static currentId(search) {
+        const id = new URLSearchParams(search).get(FLEET_VEHICLE_PARAM);
+        return id && FleetRoster.find(id) ? id : DEFAULT_VEHICLE_ID;
+    }
+
+    static scopedUrl(page, id) {
+        return id && id !== DEFAULT_VEHICLE_ID ? `${page}?${FLEET_VEHICLE_PARAM}=${encodeURIComponent(id)}` : page;
+    }
+}
+
+/**
+ * How urgently a vehicle needs attention: critical alerts and anomalies dominate,
+ * then warnings, RUL risk and finally the hygiene score itself.
+ */
+function fleetUrgency(result) {
+    if (!result) return -1;
+    const findings = [...(result.alerts || []), ...(result.anomalies || [])];
+    const critical = findings.filter(f => f.severity === 'critical').length;
+    const warning = findings.filter(f => f.severity === 'warning').length;
+    const rulRisk = { High: 30, Medium: 10 }[result.rul.prob] || 0;
+    return critical * 40 + warning * 15 + rulRisk + (100 - result.scores.hygiene);
+}
+
+/** A roster vehicle on the fleet page. The telemetry host runs it; this mirrors what the overview shows. */
+export class FleetVehicle {
+    constructor(entry, remote) {
+        this.entry = entry;
+        this.remote = remote;
+    }
+
+    get result() { return this.remote.ml.result; }
+
+    start() { return this.remote.subscribe({ sim: this.entry.sim, feed: this.entry.feed, topics: ['result', 'session', 'state'] }); }
+
+    stop() { return this.remote.command('shutdown'); }
+
+    urgency() { return fleetUrgency(this.result); }
+
+    /** Name and source line for the overview (i18n: a Translator or the page's display). */
+    describe(i18n) {
+        const p = this.remote.session.profile;
+        const source = this.remote.source;
+        const sim = source.sim;
+        const feed = source.feed;
+        return {
+            id: this.entry.id,
+            name: this.entry.name,
+            vehicle: p ? [p.make, p.model].filter(Boolean).join(' ') : '',
+            source: sim ? `${i18n.label('sim.scenario', sim.scenario, SCENARIOS[sim.scenario].label)} · ${i18n.label('sim.driver', sim.driver, DRIVER_STYLES[sim.driver].label)}`
+                : feed ? i18n.t('fleet.sourceIngest', { vehicleId: feed.vehicleId, status: i18n.format(source.describeStatus()) })
+                    : i18n.format(source.describeStatus())
+        };
+    }
+}
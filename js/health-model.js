@@ -0,0 +1,115 @@
+/**
+ * NEXUS AI - Health Model
+ * The hygiene score is a weighted mean of the thermal, engine and electrical
+ * sub-scores; each sub-score is 100 less the points its factors cost right now.
+ * Results say which factor cost what, and how each score moved over the last hour.
+ */
+
+export const HEALTH_WEIGHTS = { thermal: 0.4, engine: 0.4, electrical: 0.2 };
+const HEALTH_TREND_MS = 3600000;
+const HEALTH_TREND_BUCKET_MS = 300000; // Trend points are five-minute averages
+
+/**
+ * Factors per sub-score: `fn` returns the points a sample costs (0 when it is fine),
+ * `limit` is the threshold on `channel` it starts at, for labels in the reader's units.
+ * A sub-score stops at 0 however many points its factors add up to.
+ */
+const HEALTH_FACTORS = {
+    thermal: {
+        hotCoolant: { channel: 'coolant', limit: 100, fn: (s) => s.coolant > 100 ? (s.coolant - 100) * 5 : 0 }
+    },
+    engine: {
+        highRpm: { channel: 'rpm', limit: 4500, fn: (s) => s.rpm > 4500 ? 5 : 0 },
+        heavyLoad: { channel: 'load', limit: 90, fn: (s) => s.load > 90 ? 2 : 0 }
+    },
+    electrical: {
+        lowVoltage: { channel: 'battery', limit: 12.8, fn: (s) => s.battery < 12.8 ? 10 : 0 }
+    }
+};
+
+/** Throws with a readable message unless every sub-score has a weight >= 0 and one is above 0. */
+export function validateHealthWeights(weights) {
+    if (!weights || typeof weights !== 'object') throw new Error('Weights need a number per sub-score');
+    Object.keys(HEALTH_WEIGHTS).forEach(key => {
+        if (typeof weights[key] !== 'number' || !(weights[key] >= 0)) throw new Error(`"${key}" weight must be a number >= 0`);
+    });
+    if (!Object.keys(HEALTH_WEIGHTS).some(key => weights[key] > 0)) throw new Error('At least one weight must be above 0');
+    return weights;
+}
+
+export class HealthModel {
+    constructor(weights, factors) {
+        this.factors = factors || HEALTH_FACTORS;
+        this.setWeights(weights);
+        this.reset();
+    }
+
+    /** Any positive weights; they are scaled to add up to 1. null goes back to HEALTH_WEIGHTS. */
+    setWeights(weights) {
+        const w = validateHealthWeights(weights || HEALTH_WEIGHTS);
+        const total = Object.keys(HEALTH_WEIGHTS).reduce((sum, key) => sum + w[key], 0);
+        this.weights = {};
+        Object.keys(HEALTH_WEIGHTS).forEach(key => { this.weights[key] = w[key] / total; });
+    }
+
+    /** Forgets the trend, e.g. after a replay seek. */
+    reset() {
+        this.buckets = []; // { from, n, sums: { hygiene, thermal, ... } }, oldest first
+    }
+
+    /**
+     * Scores for one sample, and each factor that cost points as
+     * { id, score, channel, value, limit, points, overall }: points off its sub-score
+     * (negative) and what that took off the hygiene score.
+     */
+    evaluate(sample) {
+        const sub = {};
+        const factors = [];
+        Object.entries(this.factors).forEach(([score, defs]) => {
+            let value = 100;
+            Object.entries(defs).forEach(([id, def]) => {
+                const cost = Math.min(value, Math.round(def.fn(sample)));
+                if (cost <= 0) return;
+                value -= cost;
+                factors.push({
+                    id, score,
+                    channel: def.channel,
+                    value: sample[def.channel],
+                    limit: def.limit,
+                    points: -cost,
+                    overall: -Math.round(cost * this.weights[score] * 10) / 10
+                });
+            });
+            sub[score] = value;
+        });
+        const hygiene = Math.round(Object.keys(this.weights).reduce((sum, key) => sum + sub[key] * this.weights[key], 0));
+        factors.sort((a, b) => a.overall - b.overall);
+        return { scores: { hygiene, ...sub }, factors };
+    }
+
+    /** Adds one result's scores to the trend. */
+    record(t, scores) {
+        const from = Math.floor(t / HEALTH_TREND_BUCKET_MS) * HEALTH_TREND_BUCKET_MS;
+        let bucket = this.buckets[this.buckets.length - 1];
+        if (!bucket || bucket.from !== from) {
+            bucket = { from, n: 0, sums: {} };
+            this.buckets.push(bucket);
+        }
+        bucket.n++;
+        Object.entries(scores).forEach(([key, v]) => { bucket.sums[key] = (bucket.sums[key] || 0) + v; });
+        this.buckets = this.buckets.filter(b => b.from > t - HEALTH_TREND_MS);
+    }
+
+    /**
+     * { from, scores: { <score>: { points, delta } } } over the last hour: points are
+     * bucket averages, oldest first, and delta is the latest average less the oldest.
+     */
+    trend() {
+        const scores = {};
+        ['hygiene', ...Object.keys(this.weights)].forEach(key => {
+            const points = this.buckets.map(b => Math.round(b.sums[key] / b.n));
+            scores[key] = { points, delta: points.length ? points[points.length - 1] - points[0] : 0 };
+        });
+        return { from: this.buckets.length ? this.buckets[0].from : null, scores };
+    }
+}
@@ -0,0 +1,231 @@
+/**
+ * NEXUS AI - Vehicle Health Report
+ * Condenses a stretch of telemetry history and inference output into a standalone,
+ * printable HTML page for a workshop or fleet manager, in the reader's language and units.
+ */
+
+import { alertRuleLabel } from './alert-rules.js';
+import { DEFAULT_LOCALE, Translator } from './i18n.js';
+import { rulFactorLabel } from './rul-estimator.js';
+import { CHANNELS, CHANNEL_META } from './telemetry-source.js';
+
+const REPORT_MAX_EVENTS = 40;
+const REPORT_SCORES = ['hygiene', 'thermal', 'engine', 'electrical']; // Labels: report.score.<key>
+
+export function escapeHtml(value) {
+    return String(value).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+export class HealthReport {
+    /**
+     * input: { from, to, samples, inferences, markers, profile, dtcs, weights }
+     * Returns plain data; toHTML() renders it.
+     */
+    static build(input) {
+        const inferences = input.inferences;
+        const latest = inferences[inferences.length - 1] || null;
+        const stats = (values) => values.length
+            ? { latest: values[values.length - 1], avg: values.reduce((a, b) => a + b, 0) / values.length, min: Math.min(...values), max: Math.max(...values) }
+            : null;
+
+        const scores = REPORT_SCORES.map(key => ({
+            key,
+            weight: input.weights ? input.weights[key] : undefined,
+            ...stats(inferences.map(r => r.scores[key]))
+        }));
+        const channels = CHANNELS.map(ch => ({ id: ch, ...CHANNEL_META[ch], ...stats(input.samples.map(s => s[ch])) }));
+
+        const classified = inferences.filter(r => r.driver && r.driver.ready !== false && r.driver.type !== 'ANALYZING');
+        const shares = {};
+        classified.forEach(r => { shares[r.driver.type] = (shares[r.driver.type] || 0) + 1 / classified.length; });
+        const dominant = Object.entries(shares).sort((a, b) => b[1] - a[1])[0];
+
+        // A recommendation that held for most of the period matters more than a passing one.
+        const recs = {};
+        inferences.forEach(r => (r.recommendations || []).forEach(message => {
+            const id = JSON.stringify(message);
+            recs[id] = (recs[id] || 0) + 1;
+        }));
+
+        const events = input.markers.slice().sort((a, b) => b.t - a.t);
+        return {
+            generatedAt: Date.now(),
+            from: input.from,
+            to: input.to,
+            profile: input.profile || null,
+            sampleCount: input.samples.length,
+            inferenceCount: inferences.length,
+            scores,
+            channels,
+            rul: latest ? latest.rul : null,
+            events: events.slice(0, REPORT_MAX_EVENTS),
+            eventCounts: {
+                critical: events.filter(e => e.severity === 'critical').length,
+                warning: events.filter(e => e.severity === 'warning').length,
+                info: events.filter(e => e.severity === 'info').length
+            },
+            driver: {
+                classified: classified.length,
+                shares,
+                dominant: dominant ? dominant[0] : null,
+                avgConf: classified.length ? classified.reduce((a, r) => a + r.driver.conf, 0) / classified.length : null,
+                insight: dominant ? { key: `driver.insight.${dominant[0]}` } : ''
+            },
+            recommendations: Object.entries(recs)
+                .sort((a, b) => b[1] - a[1])
+                .map(([id, n]) => ({ message: JSON.parse(id), share: n / inferences.length })),
+            dtcs: input.dtcs || null
+        };
+    }
+
+    /** i18n: a Translator for the reader's language and units (English and metric without one). */
+    static toHTML(report, i18n = new Translator(DEFAULT_LOCALE)) {
+        const e = escapeHtml;
+        const t = (key, params) => i18n.t(key, params);
+        const time = (ms) => new Date(ms).toLocaleString(i18n.locale);
+        const num = (v, digits) => (v === undefined || v === null ? '--' : i18n.number(v, digits || 0));
+        const km = (v) => i18n.quantity('distance', v);
+        const p = report.profile || {};
+        const vehicleName = [p.make, p.model].filter(Boolean).join(' ') || t('report.unnamedVehicle');
+        const scoreClass = (v) => (v === undefined ? '' : v < 60 ? 'bad' : v < 80 ? 'warn' : 'good');
+        const channelName = (ch) => i18n.label('channel', ch, CHANNEL_META[ch] ? CHANNEL_META[ch].label : ch || '');
+        const componentName = (c) => i18n.label('rul.component', c.id, c.label);
+
+        const scoreRows = report.scores.map(s => `
+            <tr>
+                <td>${e(t(`report.score.${s.key}`))}</td>
+                <td class="num">${s.weight !== undefined ? `${Math.round(s.weight * 100)}%` : ''}</td>
+                <td class="num ${scoreClass(s.latest)}">${num(s.latest)}</td>
+                <td class="num">${num(s.avg)}</td>
+                <td class="num ${scoreClass(s.min)}">${num(s.min)}</td>
+            </tr>`).join('');
+
+        // Stored in metric; shown in the reader's units
+        const reading = (c, v) => (v === undefined || v === null ? '--' : i18n.number(i18n.units.channelValue(c.id, v), c.digits));
+        const channelRows = report.channels.map(c => `
+            <tr>
+                <td>${e(channelName(c.id))}</td>
+                <td class="num">${reading(c, c.min)}</td>
+                <td class="num">${reading(c, c.avg)}</td>
+                <td class="num">${reading(c, c.max)}</td>
+                <td>${e(i18n.units.channelUnit(c.id))}</td>
+            </tr>`).join('');
+
+        const rul = report.rul;
+        const rulRows = rul && rul.components ? rul.components.map(c => `
+            <tr class="${c.id === rul.component ? 'limiting' : ''}">
+                <td>${e(componentName(c))}</td>
+                <td class="num">${km(c.val)}</td>
+                <td class="num">${km(c.low)} – ${km(c.high)}</td>
+                <td>${c.factors && c.factors.length ? c.factors.map(f => `${e(rulFactorLabel(f, i18n))} ${Math.round(f.share * 100)}%`).join(', ') : e(t('rul.normalWear'))}</td>
+            </tr>`).join('') : '';
+
+        const events = report.events.length
+            ? `<table>
+                <tr><th>${t('report.time')}</th><th>${t('report.severity')}</th><th>${t('report.channel')}</th><th>${t('report.event')}</th></tr>
+                ${report.events.map(ev => `
+                    <tr>
+                        <td>${e(time(ev.t))}</td>
+                        <td class="sev ${e(ev.severity)}">${e(i18n.label('severity', ev.severity))}</td>
+                        <td>${e(channelName(ev.channel))}</td>
+                        <td>${e(ev.ruleId ? alertRuleLabel(ev, i18n) : i18n.format(ev.label))}</td>
+                    </tr>`).join('')}
+               </table>`
+            : `<p class="empty">${t('report.noEvents')}</p>`;
+
+        const d = report.dtcs;
+        const dtcList = d && (d.stored.length || d.pending.length)
+            ? `<table>
+                <tr><th>${t('report.code')}</th><th>${t('report.status')}</th><th>${t('report.description')}</th></tr>
+                ${[...d.stored, ...d.pending].map(c => `
+                    <tr><td class="code">${e(c.code)}</td><td>${e(i18n.label('dtc.kind', c.kind))}</td><td>${e(c.description)}</td></tr>`).join('')}
+               </table>`
+            : `<p class="empty">${t(d ? 'report.noCodes' : 'report.codesNotRead')}</p>`;
+
+        const driver = report.driver;
+        const driverBody = driver.classified
+            ? `<p>${t('report.driverDominant', { type: `<strong>${e(i18n.label('driver.type', driver.dominant))}</strong>`, conf: Math.round(driver.avgConf) })} ${e(i18n.format(driver.insight))}</p>
+               <table>${Object.entries(driver.shares).sort((a, b) => b[1] - a[1])
+                    .map(([type, share]) => `<tr><td>${e(i18n.label('driver.type', type))}</td><td class="num">${Math.round(share * 100)}%</td></tr>`).join('')}</table>`
+            : `<p class="empty">${t('report.driverUnclassified')}</p>`;
+
+        const recs = report.recommendations.length
+            ? `<ol>${report.recommendations.map(r => `<li>${e(i18n.format(r.message))} <span class="muted">${t('report.recShare', { pct: Math.round(r.share * 100) })}</span></li>`).join('')}</ol>`
+            : `<p class="empty">${t('report.noRecs')}</p>`;
+
+        const counts = report.eventCounts;
+        const listed = report.events.length < counts.critical + counts.warning + counts.info
+            ? ` ${t('report.eventsListed', { n: report.events.length })}` : '';
+        const limiting = rul && rul.components ? rul.components.find(c => c.id === rul.component) : null;
+
+        return `<!DOCTYPE html>
+<html lang="${e(i18n.locale)}">
+<head>
+<meta charset="UTF-8">
+<title>${t('report.title')} - ${e(vehicleName)}</title>
+<style>
+    body { font-family: Roboto, Helvetica, Arial, sans-serif; color: #111; margin: 32px; font-size: 13px; }
+    h1 { font-size: 22px; margin: 0 0 4px; }
+    h2 { font-size: 15px; margin: 28px 0 8px; padding-bottom: 4px; border-bottom: 2px solid #111; text-transform: uppercase; letter-spacing: 1px; }
+    table { width: 100%; border-collapse: collapse; margin-bottom: 8px; }
+    th, td { text-align: left; padding: 4px 8px; border-bottom: 1px solid #ddd; vertical-align: top; }
+    th { font-size: 11px; text-transform: uppercase; color: #555; }
+    .num { text-align: right; font-variant-numeric: tabular-nums; white-space: nowrap; }
+    .meta { color: #555; }
+    .meta td { border: none; padding: 2px 8px 2px 0; }
+    .good { color: #0a7d2c; } .warn { color: #b07800; } .bad, .sev.critical { color: #c40000; font-weight: 700; }
+    .sev.warning { color: #b07800; }
+    .limiting td { font-weight: 700; }
+    .code { font-family: monospace; font-weight: 700; }
+    .empty, .muted { color: #777; }
+    .print-btn { float: right; padding: 8px 16px; font-size: 13px; cursor: pointer; }
+    @media print { .print-btn { display: none; } body { margin: 0; } h2 { break-after: avoid; } tr { break-inside: avoid; } }
+</style>
+</head>
+<body>
+<button class="print-btn" onclick="window.print()">${t('report.print')}</button>
+<h1>${t('report.title')}</h1>
+<table class="meta">
+    <tr><td>${t('report.vehicle')}</td><td>${e(vehicleName)}${p.vin ? ` · VIN ${e(p.vin)}` : ''}</td></tr>
+    <tr><td>${t('report.odometer')}</td><td>${p.odometerKm !== undefined ? km(Math.round(p.odometerKm)) : '--'}</td></tr>
+    <tr><td>${t('report.period')}</td><td>${e(time(report.from))} – ${e(time(report.to))}</td></tr>
+    <tr><td>${t('report.data')}</td><td>${t('report.dataCounts', { samples: report.sampleCount, inferences: report.inferenceCount })}</td></tr>
+    <tr><td>${t('report.generated')}</td><td>${e(time(report.generatedAt))}</td></tr>
+</table>
+
+<h2>${t('report.healthScore')}</h2>
+<table>
+    <tr><th>${t('report.score')}</th><th class="num">${t('report.weight')}</th><th class="num">${t('report.latest')}</th><th class="num">${t('report.average')}</th><th class="num">${t('report.lowest')}</th></tr>
+    ${scoreRows}
+</table>
+
+<h2>${t('report.rul')}</h2>
+${limiting ? `<p>${t('report.nextService', { component: `<strong>${e(componentName(limiting))}</strong>`, val: km(rul.val), low: km(rul.low), high: km(rul.high), risk: e(t(`risk.${rul.prob}`)) })}</p>
+<table>
+    <tr><th>${t('report.component')}</th><th class="num">${t('report.estimate')}</th><th class="num">${t('report.range')}</th><th>${t('report.wearDrivers')}</th></tr>
+    ${rulRows}
+</table>` : `<p class="empty">${t('report.noEstimate')}</p>`}
+
+<h2>${t('report.events')}</h2>
+<p>${t('report.eventCounts', counts)}${listed}.</p>
+${events}
+
+<h2>${t('report.faultCodes')}</h2>
+${dtcList}
+
+<h2>${t('report.driverProfile')}</h2>
+${driverBody}
+
+<h2>${t('report.sensors')}</h2>
+<table>
+    <tr><th>${t('report.channel')}</th><th class="num">${t('report.min')}</th><th class="num">${t('report.average')}</th><th class="num">${t('report.max')}</th><th>${t('report.unit')}</th></tr>
+    ${channelRows}
+</table>
+
+<h2>${t('report.recommendations')}</h2>
+${recs}
+</body>
+</html>
+`;
+    }
+}
@@ -0,0 +1,106 @@
+/**
+ * NEXUS AI - Message Catalogs
+ * Every user-facing string is a catalog key; js/locales/*.js hold the catalogs.
+ * Code that runs in the telemetry host never formats text: it returns messages as
+ * { key, params } and the page renders them in the reader's language and units.
+ *
+ * Templates take {name} placeholders with an optional format, {name:format}:
+ *   {n:1}  {n:+1}       fixed digits, + for a sign on positives
+ *   {km:distance}       a quantity from UNIT_OPTIONS (or volume), converted, with its unit;
+ *   {km:distance:1}     ... and with fixed digits
+ *   {v:reading}         a value of channel params.channel, converted, with its unit
+ *   {v:readingDelta}    a signed difference of that channel
+ *   {v:measure}         a value in params.unit, or as a difference of params.quantity
+ *   {id:@prefix}        the catalog label prefix.<id>, or the id itself
+ * A bare number is grouped for the locale; anything else is inserted as is.
+ */
+
+import { CHANNEL_META } from './telemetry-source.js';
+import { UNIT_OPTIONS, UnitConverter } from './units.js';
+import de from './locales/de.js';
+import en from './locales/en.js';
+
+const MESSAGE_CATALOGS = { en, de };
+export const LOCALES = { en: 'English', de: 'Deutsch' };
+export const DEFAULT_LOCALE = 'en';
+
+export class Translator {
+    constructor(locale, units) {
+        this.locale = LOCALES[locale] ? locale : DEFAULT_LOCALE;
+        this.units = units || new UnitConverter();
+    }
+
+    lookup(key) {
+        const own = MESSAGE_CATALOGS[this.locale] || {};
+        if (key in own) return own[key];
+        const fallback = MESSAGE_CATALOGS[DEFAULT_LOCALE] || {};
+        return key in fallback ? fallback[key] : null;
+    }
+
+    has(key) { return this.lookup(key) !== null; }
+
+    t(key, params) {
+        const template = this.lookup(key);
+        if (template === null) return key;
+        const p = params || {};
+        return template.replace(/\{(\w+)(?::([^}]+))?\}/g, (match, name, format) => this.formatParam(p[name], format, p));
+    }
+
+    /** A message from the host ({ key, params }), or plain text from an older recording. */
+    format(message) {
+        if (message === null || message === undefined) return '';
+        if (typeof message === 'string') return message;
+        return this.t(message.key, message.params);
+    }
+
+    /** key.one / key.other (or the locale's other plural forms) for a count n, which params get as {n}. */
+    plural(key, n, params) {
+        const form = `${key}.${new Intl.PluralRules(this.locale).select(n)}`;
+        return this.t(this.has(form) ? form : `${key}.other`, { n, ...params });
+    }
+
+    /** Catalog label for prefix.id, falling back to the English label the data carries. */
+    label(prefix, id, fallback, params) {
+        const key = `${prefix}.${id}`;
+        return this.has(key) ? this.t(key, params) : (fallback !== undefined ? fallback : id);
+    }
+
+    number(value, digits, signed) {
+        if (value === null || value === undefined || Number.isNaN(value)) return '--';
+        const opts = digits === undefined ? { maximumFractionDigits: 0 } : { minimumFractionDigits: digits, maximumFractionDigits: digits };
+        if (signed) opts.signDisplay = 'exceptZero';
+        return value.toLocaleString(this.locale, opts);
+    }
+
+    /** Metric value of a quantity in the display unit, e.g. "62 mph". */
+    quantity(quantity, value, digits) {
+        return `${this.number(this.units.convert(quantity, value), digits)} ${this.units.label(quantity)}`;
+    }
+
+    /** Channel reading in the display unit, e.g. "203 °F". */
+    reading(ch, value, digits) {
+        const d = digits !== undefined ? digits : (CHANNEL_META[ch] ? CHANNEL_META[ch].digits : 1);
+        return `${this.number(this.units.channelValue(ch, value), d)} ${this.units.channelUnit(ch)}`.trim();
+    }
+
+    formatParam(value, format, params) {
+        if (value === undefined || value === null) return '';
+        if (!format) return typeof value === 'number' ? this.number(value) : String(value);
+        const [type, digitSpec] = format.split(':');
+        const digits = digitSpec !== undefined ? Number(digitSpec) : undefined;
+        if (/^\+?\d$/.test(type)) return this.number(value, Number(type.replace('+', '')), type.startsWith('+'));
+        if (type.startsWith('@')) return this.label(type.slice(1), value);
+        if (type === 'reading') return this.reading(params.channel, value, digits);
+        if (type === 'readingDelta') {
+            const d = digits !== undefined ? digits : (CHANNEL_META[params.channel] ? CHANNEL_META[params.channel].digits : 1);
+            return `${this.number(this.units.channelDelta(params.channel, value), d, true)} ${this.units.channelUnit(params.channel)}`.trim();
+        }
+        if (type === 'measure') {
+            const d = digits !== undefined ? digits : (Math.abs(value) < 10 ? 1 : 0);
+            if (params.quantity) return `${this.number(this.units.delta(params.quantity, value), d)} ${this.units.label(params.quantity)}`;
+            return `${this.number(value, d)} ${params.unit || ''}`.trim();
+        }
+        if (UNIT_OPTIONS[type] || type === 'volume') return this.quantity(type, value, digits);
+        return String(value);
+    }
+}
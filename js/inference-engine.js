@@ -0,0 +1,130 @@
+/**
+ * NEXUS AI - Inference Engine
+ * Health scores, anomaly findings, RUL, alerts and the driver class for one source,
+ * with the recommendations that follow from them. Runs inside the telemetry host, so
+ * text leaves here as { key, params } messages (see js/i18n.js) for the page to render.
+ */
+
+import { AlertEngine } from './alert-rules.js';
+import { AnomalyDetector } from './anomaly-detector.js';
+import { DRIVER_MIN_MOVING, DriverFeatureExtractor } from './driver-classifier.js';
+import { HealthModel } from './health-model.js';
+import { RulEstimator } from './rul-estimator.js';
+
+export const RUL_SERVICE_SOON_KM = 1500; // Recommend booking a service once a component is this close
+
+export class MLInferenceEngine {
+    constructor(source) {
+        this.listeners = [];
+        this.health = new HealthModel();
+        this.detector = new AnomalyDetector();
+        this.rul = new RulEstimator();
+        this.alerts = new AlertEngine();
+        this.driverFeatures = new DriverFeatureExtractor();
+        this.driverModel = null; // Loaded asynchronously; the driver card says ANALYZING until then
+        this.unsubscribe = [];
+        this.setSource(source);
+    }
+    setSource(source) {
+        // Detector and RUL need every sample, not just the ones we see every AI_INTERVAL_MS.
+        this.unsubscribe.forEach(off => off());
+        this.source = source;
+        this.health.reset();
+        this.detector.reset();
+        this.rul.resetClock();
+        this.alerts.resetTimers();
+        this.driverFeatures.reset();
+        this.unsubscribe = [
+            source.on('sample', sample => {
+                this.detector.update(sample);
+                this.rul.update(sample);
+                this.alerts.evaluate(sample);
+                this.driverFeatures.update(sample);
+            }),
+            source.on('seek', () => {
+                this.health.reset();
+                this.detector.reset();
+                this.rul.resetClock();
+                this.alerts.resetTimers();
+                this.driverFeatures.reset();
+            })
+        ];
+    }
+    setDriverModel(classifier) { this.driverModel = classifier; }
+    onResult(fn) { this.listeners.push(fn); }
+    runInference() {
+        // Replaying a recording: show what was inferred at the time, not a re-run on the samples
+        const recorded = this.source.getRecordedInference();
+        if (recorded) {
+            const result = { ...recorded, recorded: true };
+            this.listeners.forEach(fn => fn(result));
+            return result;
+        }
+
+        const data = this.source.getData();
+
+        // 1. Health, with what cost it points
+        const health = this.health.evaluate(data);
+        if (data.t !== undefined) this.health.record(data.t, health.scores); // Nothing to trend before the first sample
+
+        // 2. Anomaly
+        const anomalies = this.detector.getFindings();
+
+        // 3. RUL
+        const rul = this.rul.estimateAll();
+
+        // 4. Driver profile over the last DRIVER_WINDOW_MS
+        const driver = this.classifyDriver();
+
+        const result = {
+            t: data.t,
+            scores: health.scores,
+            health: { weights: this.health.weights, factors: health.factors, trend: this.health.trend() },
+            rul: rul,
+            anomaly: anomalies.length > 0,
+            anomalies: anomalies,
+            anomalyModel: { warm: this.detector.isWarm(), progress: this.detector.warmupProgress() },
+            alerts: this.alerts.getActive(),
+            driver: driver
+        };
+        result.recommendations = this.recommend(result);
+        this.listeners.forEach(fn => fn(result));
+        return result;
+    }
+    recommend(result) {
+        const recs = [];
+        if (result.driver.type === 'AGGRESSIVE') recs.push({ key: 'rec.aggressive' });
+        else if (result.driver.type === 'ERRATIC') recs.push({ key: 'rec.erratic' });
+        else recs.push({ key: 'rec.keepStyle' });
+
+        if (result.scores.thermal < 90) recs.push({ key: 'rec.checkCoolant' });
+        if (result.scores.electrical < 100) recs.push({ key: 'rec.testBattery' });
+        result.rul.components
+            .filter(c => c.val < RUL_SERVICE_SOON_KM)
+            .forEach(c => recs.push({ key: 'rec.serviceDue', params: { component: c.id, km: c.val } }));
+        return recs;
+    }
+    classifyDriver() {
+        const features = this.driverFeatures.extract();
+        const base = { ready: false, conf: 0, probs: {}, feat: features.values, model: this.driverModel ? this.driverModel.describe() : null };
+        if (!this.driverModel) return { ...base, type: 'ANALYZING', insight: { key: 'driver.noModel' } };
+        if (!features.ready) {
+            return {
+                ...base,
+                type: 'ANALYZING',
+                insight: { key: features.moving < DRIVER_MIN_MOVING ? 'driver.waitingToMove' : 'driver.collecting' }
+            };
+        }
+        const p = this.driverModel.predict(features.vector);
+        const top = p.topFeature;
+        const value = features.values[top.id];
+        return {
+            ...base,
+            ready: true,
+            type: p.type,
+            conf: Math.round(p.conf * 100),
+            probs: p.probs,
+            insight: { key: 'driver.insightSignal', params: { type: p.type, feature: top.id, value, unit: top.unit, quantity: top.quantity } }
+        };
+    }
+}
@@ -0,0 +1,106 @@
+/**
+ * NEXUS AI - Ingest Feed
+ * Live telemetry for a vehicle whose logger (or a script) publishes to the ingest
+ * server (server/ingest-server.js), streamed in over a WebSocket.
+ */
+
+import { SOURCE_STATUS, validateTelemetryFrame, TelemetrySource } from './telemetry-source.js';
+
+const INGEST_DEFAULT_URL = 'ws://localhost:8080/ws';
+const INGEST_WS_PATH = '/ws';
+const INGEST_RECONNECT_MS = [1000, 2000, 5000, 10000, 30000]; // Backoff between attempts, last one repeats
+const INGEST_STALE_MS = 5000; // No frame for this long and the car counts as quiet
+
+export class IngestFeedSource extends TelemetrySource {
+    constructor(url, vehicleId) {
+        super('INGEST');
+        this.url = url || INGEST_DEFAULT_URL;
+        this.vehicleId = vehicleId;
+        this.socket = null;
+        this.attempt = 0;
+        this.retry = null;
+        this.lastFrameAt = 0;
+        this.stopped = false;
+    }
+
+    /** The server that served this page, or the local default for pages opened from disk. */
+    static defaultUrl(location) {
+        if (!location || !/^https?:$/.test(location.protocol)) return INGEST_DEFAULT_URL;
+        return `${location.protocol === 'https:' ? 'wss' : 'ws'}://${location.host}${INGEST_WS_PATH}`;
+    }
+
+    /** HTTP endpoint on the same server as a feed URL, e.g. '/api/vehicles'. */
+    static httpUrl(feedUrl, pathname) {
+        const url = new URL(feedUrl);
+        url.protocol = url.protocol === 'wss:' ? 'https:' : 'http:';
+        url.pathname = pathname;
+        url.search = '';
+        return url.href;
+    }
+
+    // A car that is switched off is not an error: start() resolves and the feed keeps retrying.
+    async start() {
+        this.stopped = false;
+        this.connect();
+    }
+
+    async stop() {
+        this.stopped = true;
+        clearTimeout(this.retry);
+        if (this.socket) this.socket.close();
+        this.socket = null;
+        this.setStatus(SOURCE_STATUS.IDLE);
+    }
+
+    connect() {
+        this.setStatus(SOURCE_STATUS.CONNECTING);
+        let socket;
+        try {
+            socket = new WebSocket(this.url);
+        } catch (err) {
+            this.setStatus(SOURCE_STATUS.ERROR, err.message); // Malformed URL: retrying will not help
+            return;
+        }
+        this.socket = socket;
+        socket.onopen = () => {
+            this.attempt = 0;
+            socket.send(JSON.stringify({ type: 'subscribe', vehicleId: this.vehicleId }));
+            this.setStatus(SOURCE_STATUS.LIVE);
+        };
+        socket.onmessage = (e) => this.receive(e.data);
+        socket.onclose = () => {
+            if (this.socket !== socket || this.stopped) return;
+            this.socket = null;
+            const delay = INGEST_RECONNECT_MS[Math.min(this.attempt++, INGEST_RECONNECT_MS.length - 1)];
+            this.setStatus(SOURCE_STATUS.ERROR, `Ingest server unreachable, retrying in ${delay / 1000}s`);
+            this.retry = setTimeout(() => this.connect(), delay);
+        };
+    }
+
+    receive(data) {
+        let msg;
+        try {
+            msg = JSON.parse(data);
+        } catch (err) {
+            return;
+        }
+        if (msg.type === 'error') console.warn('Ingest server:', msg.message);
+        if (msg.type !== 'frame') return;
+        try {
+            const { vehicleId, sample } = validateTelemetryFrame(msg.frame);
+            if (vehicleId !== this.vehicleId) return;
+            this.lastFrameAt = Date.now();
+            this.pushSample(sample);
+        } catch (err) {
+            console.warn('Dropping invalid frame:', err.message);
+        }
+    }
+
+    describeStatus() {
+        if (this.status === SOURCE_STATUS.LIVE) {
+            return Date.now() - this.lastFrameAt < INGEST_STALE_MS ? { key: 'source.remote', params: { vehicleId: this.vehicleId } } : { key: 'source.waiting' };
+        }
+        if (this.status === SOURCE_STATUS.ERROR) return { key: 'source.ingestOffline' };
+        return super.describeStatus();
+    }
+}
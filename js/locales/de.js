@@ -0,0 +1,383 @@
+/**
+ * NEXUS AI - German messages
+ * Keys and placeholders are described in js/i18n.js.
+ */
+
+export default {
+    // Page labels (data-i18n in the HTML)
+    'ui.fleet': 'Flotte',
+    'ui.liveTelemetry': 'Live-Telemetrie',
+    'ui.cockpit': 'Cockpit',
+    'ui.aiNeuralCore': 'KI-Kern',
+    'ui.telemetrySubtitle': 'Sensordaten in Echtzeit',
+    'ui.engineRpm': 'Motordrehzahl',
+    'ui.vehicleSpeed': 'Geschwindigkeit',
+    'ui.throttlePosition': 'Drosselklappe',
+    'ui.engineLoad': 'Motorlast',
+    'ui.coolantTemp': 'Kühlmitteltemp.',
+    'ui.batteryVoltage': 'Batteriespannung',
+    'ui.tripAnalytics': 'Fahrtanalyse',
+    'ui.tripsSubtitle': 'Strecke, Kraftstoff & Fahrereignisse',
+    'ui.finishedTripsAppearHere': 'Beendete Fahrten erscheinen hier.',
+    'ui.telemetry': 'Telemetrie',
+    'ui.aiCore': 'KI-Kern',
+    'ui.connectElm327': 'ELM327 verbinden',
+    'ui.reconnectElm327': 'ELM327 neu verbinden',
+    'ui.currentTrip': 'Aktuelle Fahrt',
+    'ui.tripHistory': 'Fahrtenbuch',
+    'ui.switchVehicle': 'Fahrzeug wechseln',
+    'ui.simulationScenario': 'Simulationsszenario',
+    'ui.injectFaultTitle': 'Einen Fehler in die Simulation einspeisen',
+    'ui.simulatedDrivingStyle': 'Simulierter Fahrstil',
+    'ui.saveRecordingAsNdjson': 'Aufzeichnung als NDJSON speichern',
+    'ui.saveRecordingAsCsv': 'Aufzeichnung als CSV speichern',
+    'ui.replayARecording': 'Aufzeichnung abspielen',
+    'ui.playPause': 'Abspielen / Pause',
+    'ui.backToLiveFeed': 'Zurück zu Live-Daten',
+    'ui.endTripNow': 'Fahrt jetzt beenden',
+    'ui.digitalCockpit': 'Digitales Cockpit',
+    'ui.graphicalInstrumentCluster': 'Grafisches Kombiinstrument',
+    'ui.driveMode': 'Fahrmodus',
+    'ui.driveModeTitle': 'Vollbild, Querformat, Bildschirm bleibt an',
+    'ui.chartHint': 'Ziehen zum Zoomen, Doppelklick zum Zurücksetzen',
+    'ui.range1m': '1 MIN',
+    'ui.range10m': '10 MIN',
+    'ui.range1h': '1 STD',
+    'ui.rangeTrip': 'FAHRT',
+    'ui.loadCoolant': 'Last & Kühlmittel',
+    'ui.fuelEconomySpeed': 'Verbrauch & Geschwindigkeit',
+    'ui.odometer': 'Kilometerstand',
+    'ui.oilInterval': 'Ölwechsel-Intervall',
+    'ui.coolantInterval': 'Kühlmittel-Intervall',
+    'ui.batteryInterval': 'Batterie-Intervall',
+    'ui.aiVehicleIntelligence': 'KI-Fahrzeuganalyse',
+    'ui.neuralSystemSummary': 'Systemübersicht',
+    'ui.score': 'WERT',
+    'ui.rulEstimate': 'Restlebensdauer',
+    'ui.riskLevel': 'Risikostufe',
+    'ui.modelConfidence': 'Modellsicherheit',
+    'ui.efficiencyImpact': 'Auswirkung auf Verbrauch',
+    'ui.recPlaceholder': 'Fahrstil beibehalten für optimale Effizienz.',
+    'ui.noActiveAlerts': 'Keine aktiven Warnungen.',
+    'ui.history': 'Verlauf',
+    'ui.saveRules': 'Regeln speichern',
+    'ui.saveWeights': 'Gewichte speichern',
+    'ui.make': 'Marke',
+    'ui.model': 'Modell',
+    'ui.oilType': 'Ölsorte',
+    'ui.saveProfile': 'Profil speichern',
+    'ui.logService': 'Wartung eintragen',
+    'ui.noServicesLoggedYet': 'Noch keine Wartungen eingetragen.',
+    'ui.timeRange': 'Zeitraum',
+    'ui.last10Min': 'Letzte 10 Min.',
+    'ui.lastHour': 'Letzte Stunde',
+    'ui.rangeCurrentTrip': 'Aktuelle Fahrt',
+    'ui.custom': 'Benutzerdefiniert',
+    'ui.from': 'Von',
+    'ui.to': 'Bis',
+    'ui.healthReport': 'Zustandsbericht',
+    'ui.vehicleHealth': 'Fahrzeugzustand',
+    'ui.driverProfile': 'Fahrerprofil',
+    'ui.anomalyMonitor': 'Anomalieerkennung',
+    'ui.learningBaseline': 'Lerne Normalverhalten...',
+    'ui.aiRecommendations': 'KI-Empfehlungen',
+    'ui.faultCodes': 'Fehlercodes',
+    'ui.alerts': 'Warnungen',
+    'ui.vehicleMaintenance': 'Fahrzeug & Wartung',
+    'ui.exportReport': 'Export & Bericht',
+    'ui.readCodes': 'Gespeicherte und vorläufige Codes lesen',
+    'ui.clearCodes': 'Codes löschen (Mode 04)',
+    'ui.notifyTitle': 'Bei kritischen Warnungen benachrichtigen und Signalton',
+    'ui.editAlertRules': 'Warnregeln bearbeiten',
+    'ui.scoreBreakdown': 'Aufschlüsselung',
+    'ui.notes': 'Notizen',
+    'ui.fleetMonitor': 'FLOTTENÜBERWACHUNG',
+    'ui.fleetOverview': 'Flottenübersicht',
+    'ui.simulated': 'Simuliert',
+    'ui.ingestServer': 'Ingest-Server',
+    'ui.addVehicle': 'Fahrzeug hinzufügen',
+    'ui.vehicleName': 'Fahrzeugname',
+    'ui.sourceTitle': 'Woher die Telemetrie dieses Fahrzeugs kommt',
+    'ui.vehicleIdOnServer': 'Fahrzeug-ID auf dem Server',
+    'ui.defaults': 'Standard',
+    'ui.unitsLanguage': 'Einheiten & Sprache',
+    'ui.settings': 'Einstellungen',
+
+    // Display settings
+    'settings.title': 'Einheiten & Sprache',
+    'settings.language': 'Sprache',
+    'settings.units': 'Einheiten',
+    'settings.preset.metric': 'Metrisch',
+    'settings.preset.us': 'USA',
+    'settings.preset.uk': 'Großbritannien',
+    'settings.preset.custom': 'Benutzerdefiniert',
+    'settings.quantity.speed': 'Geschwindigkeit',
+    'settings.quantity.distance': 'Strecke',
+    'settings.quantity.temperature': 'Temperatur',
+    'settings.quantity.economy': 'Verbrauch',
+    'settings.done': 'Fertig',
+
+    // Channels and severities
+    'channel.rpm': 'Drehzahl',
+    'channel.speed': 'Geschwindigkeit',
+    'channel.throttle': 'Drosselklappe',
+    'channel.load': 'Motorlast',
+    'channel.coolant': 'Kühlmittel',
+    'channel.battery': 'Batterie',
+    'channel.fuelEff': 'Verbrauch',
+    'severity.info': 'Info',
+    'severity.warning': 'Warnung',
+    'severity.critical': 'kritisch',
+
+    // Charts
+    'chart.load': 'LAST',
+    'chart.coolant': 'KÜHLMITTEL',
+    'chart.fuel': 'VERBRAUCH',
+    'chart.speed': 'TEMPO',
+    'chart.zoomed': 'GEZOOMT - Doppelklick zum Zurücksetzen',
+
+    // Health and RUL
+    'risk.Low': 'Gering',
+    'risk.Medium': 'Mittel',
+    'risk.High': 'Hoch',
+    'health.summary.Low': 'Alle Systeme arbeiten im optimalen Bereich.',
+    'health.summary.Medium': 'Leichte thermische Unregelmäßigkeit erkannt. Wird beobachtet.',
+    'health.summary.High': 'Kritische Systembelastung erkannt. Wartung erforderlich.',
+    'health.score.hygiene': 'Gesamt',
+    'health.score.thermal': 'Thermik',
+    'health.score.engine': 'Motor',
+    'health.score.electrical': 'Elektrik',
+    'health.formula': 'Gesamt = {thermal} % Thermik + {engine} % Motor + {electrical} % Elektrik',
+    'health.weights': 'Gewichte (%)',
+    'health.points': '{points:+0} {score:@health.score}',
+    'health.overall': '{points:+1} gesamt',
+    'health.noFactors': 'Nichts kostet Punkte.',
+    'health.trend': '{delta:+0} in {min} min',
+    'health.trendNone': 'Noch kein Verlauf',
+    'health.factor.hotCoolant': 'Kühlmittel {value:reading} (>{limit:temperature})',
+    'health.factor.highRpm': 'Drehzahl {value:reading} (>{limit})',
+    'health.factor.heavyLoad': 'Motorlast {value:reading} (>{limit} %)',
+    'health.factor.lowVoltage': 'Batterie {value:reading} (<{limit:1} V)',
+    'rul.estimate': '{val:distance} ({low:distance} – {high:distance})',
+    'rul.normalWear': 'Normaler Verschleiß',
+    'rul.component.oil': 'Motoröl',
+    'rul.component.coolant': 'Kühlsystem',
+    'rul.component.battery': 'Batterie',
+    'rul.factor.thermal': 'Heißlauf (>{limit:temperature})',
+    'rul.factor.highRpm': 'Hohe Drehzahl (>{limit})',
+    'rul.factor.coldRunning': 'Kaltlauf (<{limit:temperature})',
+    'rul.factor.heavyLoad': 'Hohe Last (>{limit} %)',
+    'rul.factor.overheat': 'Überhitzungen (>{limit:temperature})',
+    'rul.factor.lowVoltage': 'Niedrige Spannung (<{limit:1} V)',
+    'rul.factor.deepDischarge': 'Tiefentladungen (<{limit:1} V)',
+    'rul.factor.idle': 'Leerlauf',
+
+    // Driver profile
+    'driver.type.ANALYZING': 'ANALYSE',
+    'driver.type.ECO': 'SPARSAM',
+    'driver.type.NORMAL': 'NORMAL',
+    'driver.type.AGGRESSIVE': 'AGGRESSIV',
+    'driver.type.ERRATIC': 'UNRUHIG',
+    'driver.impact.ECO': '-5 % Verbrauch',
+    'driver.impact.AGGRESSIVE': '+12 % Verbrauch',
+    'driver.impact.neutral': 'Neutral',
+    'driver.model': 'Modell: {model}',
+    'driver.modelNotLoaded': 'nicht geladen',
+    'driver.noModel': 'Fahrermodell nicht geladen.',
+    'driver.waitingToMove': 'Warte, bis das Fahrzeug fährt.',
+    'driver.collecting': 'Sammle Daten zum Fahrverhalten...',
+    'driver.insightSignal': '{type:@driver.insight} Stärkstes Signal: {feature:@driver.feature} {value:measure}.',
+    'driver.insight.ECO': 'Gleichmäßiges Beschleunigen. Kraftstoffeffizienz maximiert.',
+    'driver.insight.NORMAL': 'Fahrverhalten im normalen Bereich.',
+    'driver.insight.AGGRESSIVE': 'Aggressiver Gaseinsatz erkannt. Mehrverbrauch +12 %.',
+    'driver.insight.ERRATIC': 'Unruhiges Pedal- und Tempoverhalten. Ein ruhigerer Fuß spart Kraftstoff und Verschleiß.',
+    'driver.feature.jerkRms': 'Ruck',
+    'driver.feature.throttleRiseP90': 'Gasanstieg p90',
+    'driver.feature.brakeP90': 'Bremsen p90',
+    'driver.feature.shiftRpm': 'Schaltdrehzahl',
+    'driver.feature.speedStd': 'Tempostreuung',
+    'driver.feature.throttleReversals': 'Pedalwechsel',
+
+    // Anomaly monitor and alerts
+    'monitor.normal': 'SYSTEM NORMAL',
+    'monitor.warning': 'WARNUNG',
+    'monitor.anomaly': 'ANOMALIE ERKANNT',
+    'monitor.learning': 'Lerne Normalverhalten ({pct} %)',
+    'monitor.withinBaseline': 'Alle Kanäle im gelernten Normalbereich',
+    'anomaly.jump': '{channel:@channel} sprang um {delta:readingDelta} in einem Messwert (z={z:1})',
+    'anomaly.spike': '{channel:@channel} {value:reading}, Normalwert {expected:reading} (z={z:1})',
+    'anomaly.drift.up': '{channel:@channel} driftet nach oben: {delta:readingDelta} vom Normalwert',
+    'anomaly.drift.down': '{channel:@channel} driftet nach unten: {delta:readingDelta} vom Normalwert',
+    'anomaly.coolantLowLoad': 'Kühlmittel steigt um {rate:readingDelta:2}/s bei nur {load} % Last',
+    'anomaly.gearSlip': 'Verhältnis Drehzahl/Tempo {pct:+1} % zum gelernten Gang - mögliches Getriebe-Rutschen',
+    'alert.rule.coolant-high': 'Temperaturgrenze überschritten',
+    'alert.rule.coolant-overheat': 'Motor überhitzt',
+    'alert.rule.battery-low': 'Spannungsabfall erkannt',
+    'alert.rule.battery-critical': 'Ladesystem ausgefallen',
+    'alert.rule.rpm-redline': 'Anhaltend hohe Drehzahl',
+    'alerts.since': 'seit {time}',
+    'alerts.acked': 'quittiert',
+    'alerts.acknowledged': 'quittiert',
+    'alerts.ack': 'OK',
+    'alerts.noneActive': 'Keine aktiven Warnungen.',
+    'alerts.noHistory': 'Noch nichts.',
+    'alerts.notifyBody': '{channel:@channel} {value:reading} (Grenzwert {limit:reading})',
+
+    // Recommendations
+    'rec.aggressive': 'Weniger aggressiv Gas geben, um Kraftstoff zu sparen.',
+    'rec.erratic': 'Pedal ruhig halten; gleichmäßiges Tempo spart Kraftstoff und schont den Antrieb.',
+    'rec.keepStyle': 'Fahrstil beibehalten – gut für Batterie und Motor.',
+    'rec.checkCoolant': 'Beim nächsten Halt den Kühlmittelstand prüfen.',
+    'rec.testBattery': 'Batterie und Ladesystem prüfen lassen.',
+    'rec.serviceDue': '{component:@rul.component} fällig in ca. {km:distance}. Wartung vereinbaren.',
+
+    // Source status in the header
+    'source.none': 'KEINE QUELLE',
+    'source.connecting': 'VERBINDE...',
+    'source.live': 'OBD-II LIVE',
+    'source.simulated': 'SIMULIERTE DATEN',
+    'source.error': 'ADAPTERFEHLER',
+    'source.sim': 'SIM: {scenario:@sim.scenario}',
+    'source.replay': 'WIEDERGABE {speed}X',
+    'source.paused': 'PAUSIERT {speed}X',
+    'source.remote': 'REMOTE: {vehicleId}',
+    'source.waiting': 'WARTE AUF DATEN',
+    'source.ingestOffline': 'INGEST-SERVER OFFLINE',
+
+    // Simulator and recording
+    'sim.injectFault': 'Fehler einspeisen...',
+    'sim.seed': 'Seed {seed}',
+    'sim.scenario.mixed': 'Gemischte Fahrt',
+    'sim.scenario.urban': 'Stadtverkehr',
+    'sim.scenario.highway': 'Autobahn',
+    'sim.scenario.coldStart': 'Kaltstart',
+    'sim.scenario.towing': 'Anhänger bergauf',
+    'sim.fault.thermostat': 'Thermostat klemmt geschlossen',
+    'sim.fault.alternator': 'Lichtmaschine defekt',
+    'sim.fault.misfire': 'Zündaussetzer',
+    'sim.fault.transmission': 'Getriebe rutscht',
+    'sim.driver.eco': 'Sparsamer Fahrer',
+    'sim.driver.normal': 'Normaler Fahrer',
+    'sim.driver.aggressive': 'Aggressiver Fahrer',
+    'sim.driver.erratic': 'Unruhiger Fahrer',
+    'session.record': 'Sitzung aufzeichnen',
+    'session.stopRecording': 'Aufzeichnung beenden',
+
+    // Vehicle and maintenance
+    'service.oil_change': 'Ölwechsel',
+    'service.coolant_flush': 'Kühlmittelwechsel',
+    'service.battery_replacement': 'Batteriewechsel',
+    'vehicle.vinInvalid': 'Die FIN muss 17 Zeichen haben (ohne I, O und Q).',
+    'vehicle.noServices': 'Noch keine Wartungen eingetragen.',
+    'vehicle.odometer': 'Kilometerstand',
+    'vehicle.engineHours': 'Betriebsstunden',
+    'vehicle.idle': 'Leerlauf',
+    'vehicle.storedIn': 'Gespeichert in {store}',
+    'vehicle.storedInPaused': 'Gespeichert in {store} · pausiert während der Wiedergabe',
+
+    // Fault codes
+    'dtc.confirmClear': 'Alle Fehlercodes und Freeze-Frame-Daten löschen? Die Motorkontrollleuchte geht aus.',
+    'dtc.status.none': 'KEINE CODES',
+    'dtc.status.failed': 'LESEN FEHLGESCHLAGEN',
+    'dtc.status.noAccess': 'QUELLE OHNE STEUERGERÄTEZUGRIFF',
+    'dtc.status.stored': 'MIL AN · {stored} GESPEICHERT',
+    'dtc.status.storedPending': 'MIL AN · {stored} GESPEICHERT · {pending} VORLÄUFIG',
+    'dtc.status.pending': '{pending} VORLÄUFIG',
+    'dtc.kind.stored': 'gespeichert',
+    'dtc.kind.pending': 'vorläufig',
+    'dtc.noCodes': 'Das Steuergerät meldet keine Fehlercodes.',
+    'dtc.noAccess': 'OBD-II-Adapter verbinden oder den Simulator nutzen, um Codes zu lesen.',
+    'dtc.freezeFrame': 'Freeze Frame · {code}',
+
+    // Trips
+    'trip.metric.km': 'Strecke',
+    'trip.metric.durationMin': 'Dauer',
+    'trip.metric.litres': 'Kraftstoff',
+    'trip.metric.avgL100': 'Ø Verbrauch',
+    'trip.metric.avgKmh': 'Ø Tempo',
+    'trip.metric.idlePct': 'Leerlauf',
+    'trip.metric.harshAccel': 'Starkes Beschleunigen',
+    'trip.metric.harshBrake': 'Starkes Bremsen',
+    'trip.metric.highRpmSec': '> 4500 U/min',
+    'trip.since': 'Seit {time}',
+    'trip.waiting': 'Warte, bis das Fahrzeug fährt',
+    'trip.paused': 'Pausiert während der Wiedergabe',
+    'trip.noDrivers': 'Noch keine Fahrstil-Einstufung.',
+    'trip.compare': 'Vergleichen',
+    'trip.delete': 'Fahrt löschen',
+    'trip.harsh': '{n} heftig',
+    'trip.compareHint': 'Zwei Fahrten ankreuzen, um sie zu vergleichen.',
+    'trip.driver': 'Fahrstil',
+
+    // Export
+    'export.summary': '{samples} Messwerte, {results} Analyseergebnisse',
+    'export.badRange': 'Der Beginn muss vor dem Ende liegen',
+
+    // Fleet
+    'fleet.vehicles.one': '{n} Fahrzeug',
+    'fleet.vehicles.other': '{n} Fahrzeuge',
+    'fleet.attention.one': '{n} braucht Aufmerksamkeit',
+    'fleet.attention.other': '{n} brauchen Aufmerksamkeit',
+    'fleet.empty': 'Noch keine Fahrzeuge. Unten eines hinzufügen.',
+    'fleet.confirmRemove': 'Dieses Fahrzeug aus der Flotte entfernen? Sein gespeicherter Verlauf bleibt erhalten.',
+    'fleet.remove': 'Aus der Flotte entfernen',
+    'fleet.starting': 'Startet...',
+    'fleet.sourceIngest': 'Ingest · {vehicleId} · {status}',
+    'fleet.hygiene': 'Zustand',
+    'fleet.risk': 'Risiko',
+    'fleet.activeAlerts': 'Aktive Warnungen',
+    'fleet.none': 'Keine',
+    'fleet.rul': 'Restlebensdauer',
+
+    // Health report
+    'report.title': 'Fahrzeug-Zustandsbericht',
+    'report.print': 'Drucken / als PDF speichern',
+    'report.unnamedVehicle': 'Unbenanntes Fahrzeug',
+    'report.vehicle': 'Fahrzeug',
+    'report.odometer': 'Kilometerstand',
+    'report.period': 'Zeitraum',
+    'report.data': 'Daten',
+    'report.dataCounts': '{samples} Messwerte, {inferences} Analysedurchläufe',
+    'report.generated': 'Erstellt',
+    'report.healthScore': 'Zustandswert',
+    'report.score': 'Wert',
+    'report.weight': 'Gewicht',
+    'report.latest': 'Aktuell',
+    'report.average': 'Durchschnitt',
+    'report.lowest': 'Tiefstwert',
+    'report.score.hygiene': 'Gesamtzustand',
+    'report.score.thermal': 'Thermik',
+    'report.score.engine': 'Motor',
+    'report.score.electrical': 'Elektrik',
+    'report.rul': 'Restlebensdauer',
+    'report.nextService': 'Nächste Wartung: {component} in {val} ({low} – {high}), Ausfallrisiko {risk}.',
+    'report.component': 'Bauteil',
+    'report.estimate': 'Schätzung',
+    'report.range': 'Bereich',
+    'report.wearDrivers': 'Verschleißursachen',
+    'report.noEstimate': 'Keine Schätzung in diesem Zeitraum.',
+    'report.events': 'Anomalien & Warnungen',
+    'report.eventCounts': '{critical} kritisch, {warning} Warnung, {info} Info',
+    'report.eventsListed': '(die letzten {n} aufgeführt)',
+    'report.time': 'Zeit',
+    'report.severity': 'Schwere',
+    'report.channel': 'Kanal',
+    'report.event': 'Ereignis',
+    'report.noEvents': 'Keine Anomalien oder Warnungen in diesem Zeitraum.',
+    'report.faultCodes': 'Fehlercodes',
+    'report.code': 'Code',
+    'report.status': 'Status',
+    'report.description': 'Beschreibung',
+    'report.noCodes': 'Keine Fehlercodes gespeichert.',
+    'report.codesNotRead': 'Fehlerspeicher wurde nicht ausgelesen.',
+    'report.driverProfile': 'Fahrerprofil',
+    'report.driverDominant': '{type} den Großteil des Zeitraums (durchschnittliche Modellsicherheit {conf} %).',
+    'report.driverUnclassified': 'Zu wenig Fahrt in diesem Zeitraum für eine Einstufung.',
+    'report.sensors': 'Sensorübersicht',
+    'report.min': 'Min.',
+    'report.max': 'Max.',
+    'report.unit': 'Einheit',
+    'report.recommendations': 'Empfehlungen',
+    'report.recShare': '({pct} % des Zeitraums)',
+    'report.noRecs': 'Keine Empfehlungen.'
+};
@@ -0,0 +1,383 @@
+/**
+ * NEXUS AI - English messages
+ * Keys and placeholders are described in js/i18n.js.
+ */
+
+export default {
+    // Page labels (data-i18n in the HTML)
+    'ui.fleet': 'Fleet',
+    'ui.liveTelemetry': 'Live Telemetry',
+    'ui.cockpit': 'Cockpit',
+    'ui.aiNeuralCore': 'AI Neural Core',
+    'ui.telemetrySubtitle': 'Real-time Sensor Fusion Stream',
+    'ui.engineRpm': 'Engine RPM',
+    'ui.vehicleSpeed': 'Vehicle Speed',
+    'ui.throttlePosition': 'Throttle Position',
+    'ui.engineLoad': 'Engine Load',
+    'ui.coolantTemp': 'Coolant Temp',
+    'ui.batteryVoltage': 'Battery Voltage',
+    'ui.tripAnalytics': 'Trip Analytics',
+    'ui.tripsSubtitle': 'Distance, Fuel & Driving Events',
+    'ui.finishedTripsAppearHere': 'Finished trips appear here.',
+    'ui.telemetry': 'Telemetry',
+    'ui.aiCore': 'AI Core',
+    'ui.connectElm327': 'Connect ELM327',
+    'ui.reconnectElm327': 'Reconnect ELM327',
+    'ui.currentTrip': 'Current Trip',
+    'ui.tripHistory': 'Trip History',
+    'ui.switchVehicle': 'Switch vehicle',
+    'ui.simulationScenario': 'Simulation scenario',
+    'ui.injectFaultTitle': 'Inject a fault into the simulator',
+    'ui.simulatedDrivingStyle': 'Simulated driving style',
+    'ui.saveRecordingAsNdjson': 'Save recording as NDJSON',
+    'ui.saveRecordingAsCsv': 'Save recording as CSV',
+    'ui.replayARecording': 'Replay a recording',
+    'ui.playPause': 'Play / pause',
+    'ui.backToLiveFeed': 'Back to live feed',
+    'ui.endTripNow': 'End trip now',
+    'ui.digitalCockpit': 'Digital Cockpit',
+    'ui.graphicalInstrumentCluster': 'Graphical Instrument Cluster',
+    'ui.driveMode': 'Drive mode',
+    'ui.driveModeTitle': 'Full screen, landscape, screen stays on',
+    'ui.chartHint': 'Drag to zoom, double-click to reset',
+    'ui.range1m': '1 MIN',
+    'ui.range10m': '10 MIN',
+    'ui.range1h': '1 H',
+    'ui.rangeTrip': 'TRIP',
+    'ui.loadCoolant': 'Load & Coolant',
+    'ui.fuelEconomySpeed': 'Fuel Economy & Speed',
+    'ui.odometer': 'Odometer',
+    'ui.oilInterval': 'Oil Interval',
+    'ui.coolantInterval': 'Coolant Interval',
+    'ui.batteryInterval': 'Battery Interval',
+    'ui.aiVehicleIntelligence': 'AI Vehicle Intelligence',
+    'ui.neuralSystemSummary': 'Neural System Summary',
+    'ui.score': 'SCORE',
+    'ui.rulEstimate': 'RUL Estimate',
+    'ui.riskLevel': 'Risk Level',
+    'ui.modelConfidence': 'Model Confidence',
+    'ui.efficiencyImpact': 'Efficiency Impact',
+    'ui.recPlaceholder': 'Maintain current driving style for optimal efficiency.',
+    'ui.noActiveAlerts': 'No active alerts.',
+    'ui.history': 'History',
+    'ui.saveRules': 'Save Rules',
+    'ui.saveWeights': 'Save Weights',
+    'ui.make': 'Make',
+    'ui.model': 'Model',
+    'ui.oilType': 'Oil Type',
+    'ui.saveProfile': 'Save Profile',
+    'ui.logService': 'Log Service',
+    'ui.noServicesLoggedYet': 'No services logged yet.',
+    'ui.timeRange': 'Time Range',
+    'ui.last10Min': 'Last 10 min',
+    'ui.lastHour': 'Last hour',
+    'ui.rangeCurrentTrip': 'Current trip',
+    'ui.custom': 'Custom',
+    'ui.from': 'From',
+    'ui.to': 'To',
+    'ui.healthReport': 'Health Report',
+    'ui.vehicleHealth': 'Vehicle Health',
+    'ui.driverProfile': 'Driver Profile',
+    'ui.anomalyMonitor': 'Anomaly Monitor',
+    'ui.learningBaseline': 'Learning baseline...',
+    'ui.aiRecommendations': 'AI Recommendations',
+    'ui.faultCodes': 'Fault Codes',
+    'ui.alerts': 'Alerts',
+    'ui.vehicleMaintenance': 'Vehicle & Maintenance',
+    'ui.exportReport': 'Export & Report',
+    'ui.readCodes': 'Read stored and pending codes',
+    'ui.clearCodes': 'Clear codes (Mode 04)',
+    'ui.notifyTitle': 'Notify and chime on critical alerts',
+    'ui.editAlertRules': 'Edit alert rules',
+    'ui.scoreBreakdown': 'Score breakdown',
+    'ui.notes': 'Notes',
+    'ui.fleetMonitor': 'FLEET MONITOR',
+    'ui.fleetOverview': 'Fleet Overview',
+    'ui.simulated': 'Simulated',
+    'ui.ingestServer': 'Ingest server',
+    'ui.addVehicle': 'Add Vehicle',
+    'ui.vehicleName': 'Vehicle name',
+    'ui.sourceTitle': 'Where this vehicle\'s telemetry comes from',
+    'ui.vehicleIdOnServer': 'Vehicle id on server',
+    'ui.defaults': 'Defaults',
+    'ui.unitsLanguage': 'Units & Language',
+    'ui.settings': 'Settings',
+
+    // Display settings
+    'settings.title': 'Units & Language',
+    'settings.language': 'Language',
+    'settings.units': 'Units',
+    'settings.preset.metric': 'Metric',
+    'settings.preset.us': 'US',
+    'settings.preset.uk': 'UK',
+    'settings.preset.custom': 'Custom',
+    'settings.quantity.speed': 'Speed',
+    'settings.quantity.distance': 'Distance',
+    'settings.quantity.temperature': 'Temperature',
+    'settings.quantity.economy': 'Fuel economy',
+    'settings.done': 'Done',
+
+    // Channels and severities
+    'channel.rpm': 'RPM',
+    'channel.speed': 'Speed',
+    'channel.throttle': 'Throttle',
+    'channel.load': 'Engine load',
+    'channel.coolant': 'Coolant',
+    'channel.battery': 'Battery',
+    'channel.fuelEff': 'Fuel economy',
+    'severity.info': 'info',
+    'severity.warning': 'warning',
+    'severity.critical': 'critical',
+
+    // Charts
+    'chart.load': 'LOAD',
+    'chart.coolant': 'COOLANT',
+    'chart.fuel': 'FUEL',
+    'chart.speed': 'SPEED',
+    'chart.zoomed': 'ZOOMED - double-click to reset',
+
+    // Health and RUL
+    'risk.Low': 'Low',
+    'risk.Medium': 'Medium',
+    'risk.High': 'High',
+    'health.summary.Low': 'All systems operating within optimal parameters.',
+    'health.summary.Medium': 'Minor thermal irregularity detected. Monitoring.',
+    'health.summary.High': 'Critical system stress detected. Maintenance required.',
+    'health.score.hygiene': 'Hygiene',
+    'health.score.thermal': 'Thermal',
+    'health.score.engine': 'Engine',
+    'health.score.electrical': 'Electrical',
+    'health.formula': 'Hygiene = {thermal}% thermal + {engine}% engine + {electrical}% electrical',
+    'health.weights': 'Weights (%)',
+    'health.points': '{points:+0} {score:@health.score}',
+    'health.overall': '{points:+1} overall',
+    'health.noFactors': 'Nothing is costing points.',
+    'health.trend': '{delta:+0} over {min} min',
+    'health.trendNone': 'No trend yet',
+    'health.factor.hotCoolant': 'Coolant {value:reading} (>{limit:temperature})',
+    'health.factor.highRpm': 'RPM {value:reading} (>{limit})',
+    'health.factor.heavyLoad': 'Engine load {value:reading} (>{limit}%)',
+    'health.factor.lowVoltage': 'Battery {value:reading} (<{limit:1} V)',
+    'rul.estimate': '{val:distance} ({low:distance} – {high:distance})',
+    'rul.normalWear': 'Normal wear',
+    'rul.component.oil': 'Engine oil',
+    'rul.component.coolant': 'Coolant system',
+    'rul.component.battery': 'Battery',
+    'rul.factor.thermal': 'Hot running (>{limit:temperature})',
+    'rul.factor.highRpm': 'High RPM (>{limit})',
+    'rul.factor.coldRunning': 'Cold running (<{limit:temperature})',
+    'rul.factor.heavyLoad': 'Heavy load (>{limit}%)',
+    'rul.factor.overheat': 'Overheat events (>{limit:temperature})',
+    'rul.factor.lowVoltage': 'Low voltage (<{limit:1} V)',
+    'rul.factor.deepDischarge': 'Deep discharges (<{limit:1} V)',
+    'rul.factor.idle': 'Idling',
+
+    // Driver profile
+    'driver.type.ANALYZING': 'ANALYZING',
+    'driver.type.ECO': 'ECO',
+    'driver.type.NORMAL': 'NORMAL',
+    'driver.type.AGGRESSIVE': 'AGGRESSIVE',
+    'driver.type.ERRATIC': 'ERRATIC',
+    'driver.impact.ECO': '-5% Consumption',
+    'driver.impact.AGGRESSIVE': '+12% Consumption',
+    'driver.impact.neutral': 'Neutral',
+    'driver.model': 'Model: {model}',
+    'driver.modelNotLoaded': 'not loaded',
+    'driver.noModel': 'Driver model not loaded.',
+    'driver.waitingToMove': 'Waiting for the vehicle to move.',
+    'driver.collecting': 'Collecting behavioral data points...',
+    'driver.insightSignal': '{type:@driver.insight} Strongest signal: {feature:@driver.feature} {value:measure}.',
+    'driver.insight.ECO': 'Smooth acceleration profile. Fuel efficiency maximized.',
+    'driver.insight.NORMAL': 'Behavior within normal baseline.',
+    'driver.insight.AGGRESSIVE': 'High throttle aggression detected. Impact on fuel +12%.',
+    'driver.insight.ERRATIC': 'Unsteady pedal and speed pattern. A steadier foot saves fuel and wear.',
+    'driver.feature.jerkRms': 'jerk',
+    'driver.feature.throttleRiseP90': 'throttle rise p90',
+    'driver.feature.brakeP90': 'braking p90',
+    'driver.feature.shiftRpm': 'upshift RPM',
+    'driver.feature.speedStd': 'speed spread',
+    'driver.feature.throttleReversals': 'pedal reversals',
+
+    // Anomaly monitor and alerts
+    'monitor.normal': 'SYSTEM NORMAL',
+    'monitor.warning': 'WARNING',
+    'monitor.anomaly': 'ANOMALY DETECTED',
+    'monitor.learning': 'Learning baseline ({pct}%)',
+    'monitor.withinBaseline': 'All channels within learned baseline',
+    'anomaly.jump': '{channel:@channel} jumped {delta:readingDelta} in one sample (z={z:1})',
+    'anomaly.spike': '{channel:@channel} {value:reading}, baseline {expected:reading} (z={z:1})',
+    'anomaly.drift.up': '{channel:@channel} drifting up: {delta:readingDelta} from baseline',
+    'anomaly.drift.down': '{channel:@channel} drifting down: {delta:readingDelta} from baseline',
+    'anomaly.coolantLowLoad': 'Coolant rising {rate:readingDelta:2}/s at only {load}% load',
+    'anomaly.gearSlip': 'RPM/speed ratio {pct:+1}% vs learned gear - possible transmission slip',
+    'alert.rule.coolant-high': 'Thermal Threshold Exceeded',
+    'alert.rule.coolant-overheat': 'Engine Overheating',
+    'alert.rule.battery-low': 'Voltage Drop Detected',
+    'alert.rule.battery-critical': 'Charging System Failure',
+    'alert.rule.rpm-redline': 'Sustained High RPM',
+    'alerts.since': 'since {time}',
+    'alerts.acked': 'ack',
+    'alerts.acknowledged': 'acknowledged',
+    'alerts.ack': 'ACK',
+    'alerts.noneActive': 'No active alerts.',
+    'alerts.noHistory': 'Nothing yet.',
+    'alerts.notifyBody': '{channel:@channel} {value:reading} (limit {limit:reading})',
+
+    // Recommendations
+    'rec.aggressive': 'Reduce throttle aggression to improve fuel economy.',
+    'rec.erratic': 'Keep pedal inputs steady; constant speed saves fuel and drivetrain wear.',
+    'rec.keepStyle': 'Maintain current driving style for optimal battery/engine life.',
+    'rec.checkCoolant': 'Check coolant levels during next stop.',
+    'rec.testBattery': 'Have the battery and charging system tested.',
+    'rec.serviceDue': '{component:@rul.component} due within ~{km:distance}. Book a service.',
+
+    // Source status in the header
+    'source.none': 'NO SOURCE',
+    'source.connecting': 'CONNECTING...',
+    'source.live': 'OBD-II LIVE',
+    'source.simulated': 'SIMULATED FEED',
+    'source.error': 'ADAPTER ERROR',
+    'source.sim': 'SIM: {scenario:@sim.scenario}',
+    'source.replay': 'REPLAY {speed}X',
+    'source.paused': 'PAUSED {speed}X',
+    'source.remote': 'REMOTE: {vehicleId}',
+    'source.waiting': 'WAITING FOR DATA',
+    'source.ingestOffline': 'INGEST OFFLINE',
+
+    // Simulator and recording
+    'sim.injectFault': 'Inject fault...',
+    'sim.seed': 'seed {seed}',
+    'sim.scenario.mixed': 'Mixed Driving',
+    'sim.scenario.urban': 'Urban Stop & Go',
+    'sim.scenario.highway': 'Highway Cruise',
+    'sim.scenario.coldStart': 'Cold Start',
+    'sim.scenario.towing': 'Towing Uphill',
+    'sim.fault.thermostat': 'Thermostat stuck closed',
+    'sim.fault.alternator': 'Failing alternator',
+    'sim.fault.misfire': 'Misfire',
+    'sim.fault.transmission': 'Slipping transmission',
+    'sim.driver.eco': 'Eco Driver',
+    'sim.driver.normal': 'Normal Driver',
+    'sim.driver.aggressive': 'Aggressive Driver',
+    'sim.driver.erratic': 'Erratic Driver',
+    'session.record': 'Record session',
+    'session.stopRecording': 'Stop recording',
+
+    // Vehicle and maintenance
+    'service.oil_change': 'Oil change',
+    'service.coolant_flush': 'Coolant flush',
+    'service.battery_replacement': 'Battery replacement',
+    'vehicle.vinInvalid': 'VIN must be 17 characters (no I, O or Q).',
+    'vehicle.noServices': 'No services logged yet.',
+    'vehicle.odometer': 'Odometer',
+    'vehicle.engineHours': 'Engine Hours',
+    'vehicle.idle': 'Idle',
+    'vehicle.storedIn': 'Stored in {store}',
+    'vehicle.storedInPaused': 'Stored in {store} · paused during replay',
+
+    // Fault codes
+    'dtc.confirmClear': 'Clear all trouble codes and freeze frame data? The check-engine light will go out.',
+    'dtc.status.none': 'NO CODES',
+    'dtc.status.failed': 'READ FAILED',
+    'dtc.status.noAccess': 'SOURCE HAS NO ECU ACCESS',
+    'dtc.status.stored': 'MIL ON · {stored} STORED',
+    'dtc.status.storedPending': 'MIL ON · {stored} STORED · {pending} PENDING',
+    'dtc.status.pending': '{pending} PENDING',
+    'dtc.kind.stored': 'stored',
+    'dtc.kind.pending': 'pending',
+    'dtc.noCodes': 'ECU reports no trouble codes.',
+    'dtc.noAccess': 'Connect an OBD-II adapter or use the simulator to read codes.',
+    'dtc.freezeFrame': 'Freeze frame · {code}',
+
+    // Trips
+    'trip.metric.km': 'Distance',
+    'trip.metric.durationMin': 'Duration',
+    'trip.metric.litres': 'Fuel Used',
+    'trip.metric.avgL100': 'Avg Economy',
+    'trip.metric.avgKmh': 'Avg Speed',
+    'trip.metric.idlePct': 'Idle',
+    'trip.metric.harshAccel': 'Harsh Accel',
+    'trip.metric.harshBrake': 'Harsh Braking',
+    'trip.metric.highRpmSec': '> 4500 RPM',
+    'trip.since': 'Since {time}',
+    'trip.waiting': 'Waiting for the vehicle to move',
+    'trip.paused': 'Paused during replay',
+    'trip.noDrivers': 'No driver classifications yet.',
+    'trip.compare': 'Compare',
+    'trip.delete': 'Delete trip',
+    'trip.harsh': '{n} harsh',
+    'trip.compareHint': 'Tick two trips to compare them.',
+    'trip.driver': 'Driver',
+
+    // Export
+    'export.summary': '{samples} samples, {results} inference results',
+    'export.badRange': 'Pick a start before the end',
+
+    // Fleet
+    'fleet.vehicles.one': '{n} vehicle',
+    'fleet.vehicles.other': '{n} vehicles',
+    'fleet.attention.one': '{n} needs attention',
+    'fleet.attention.other': '{n} need attention',
+    'fleet.empty': 'No vehicles yet. Add one below.',
+    'fleet.confirmRemove': 'Remove this vehicle from the fleet? Its stored history is kept.',
+    'fleet.remove': 'Remove from fleet',
+    'fleet.starting': 'Starting...',
+    'fleet.sourceIngest': 'Ingest · {vehicleId} · {status}',
+    'fleet.hygiene': 'Hygiene',
+    'fleet.risk': 'Risk',
+    'fleet.activeAlerts': 'Active Alerts',
+    'fleet.none': 'None',
+    'fleet.rul': 'RUL',
+
+    // Health report
+    'report.title': 'Vehicle Health Report',
+    'report.print': 'Print / Save as PDF',
+    'report.unnamedVehicle': 'Unnamed vehicle',
+    'report.vehicle': 'Vehicle',
+    'report.odometer': 'Odometer',
+    'report.period': 'Period',
+    'report.data': 'Data',
+    'report.dataCounts': '{samples} samples, {inferences} inference runs',
+    'report.generated': 'Generated',
+    'report.healthScore': 'Health Score',
+    'report.score': 'Score',
+    'report.weight': 'Weight',
+    'report.latest': 'Latest',
+    'report.average': 'Average',
+    'report.lowest': 'Lowest',
+    'report.score.hygiene': 'Overall hygiene',
+    'report.score.thermal': 'Thermal',
+    'report.score.engine': 'Engine',
+    'report.score.electrical': 'Electrical',
+    'report.rul': 'Remaining Useful Life',
+    'report.nextService': 'Next service: {component} in {val} ({low} – {high}), failure risk {risk}.',
+    'report.component': 'Component',
+    'report.estimate': 'Estimate',
+    'report.range': 'Range',
+    'report.wearDrivers': 'Wear drivers',
+    'report.noEstimate': 'No estimate in this period.',
+    'report.events': 'Anomalies & Alerts',
+    'report.eventCounts': '{critical} critical, {warning} warning, {info} info',
+    'report.eventsListed': '(latest {n} listed)',
+    'report.time': 'Time',
+    'report.severity': 'Severity',
+    'report.channel': 'Channel',
+    'report.event': 'Event',
+    'report.noEvents': 'No anomalies or alerts in this period.',
+    'report.faultCodes': 'Fault Codes',
+    'report.code': 'Code',
+    'report.status': 'Status',
+    'report.description': 'Description',
+    'report.noCodes': 'No trouble codes stored.',
+    'report.codesNotRead': 'Fault memory was not read.',
+    'report.driverProfile': 'Driver Profile',
+    'report.driverDominant': '{type} for most of the period (average model confidence {conf}%).',
+    'report.driverUnclassified': 'Not enough driving in this period to classify.',
+    'report.sensors': 'Sensor Summary',
+    'report.min': 'Min',
+    'report.max': 'Max',
+    'report.unit': 'Unit',
+    'report.recommendations': 'Recommendations',
+    'report.recShare': '({pct}% of the period)',
+    'report.noRecs': 'No recommendations.'
+};
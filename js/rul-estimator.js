@@ -0,0 +1,209 @@
+/**
+ * NEXUS AI - Remaining Useful Life Estimator
+ * Accumulates per-component wear over distance actually driven, weighted by the
+ * stress the component saw, and projects the remaining kilometres with a band.
+ */
+
+export const RUL_MAX_GAP_MS = 5000; // Longer gaps (paused replay, sleeping tab) are not integrated
+const RUL_RECENT_KM = 50; // Distance scale of the "recent driving" stress rate
+
+/**
+ * Each stress function returns the extra wear multiplier on top of 1.0 per km; `limit`
+ * is the threshold it starts at, for labels shown in the reader's units.
+ * `idleKmPerHour` charges running time at standstill, `events` are one-off costs
+ * (in equivalent km) raised when a channel crosses `below` and re-armed above `rearm`.
+ */
+const RUL_COMPONENTS = {
+    oil: {
+        label: 'Engine oil',
+        intervalKm: 15000,
+        idleKmPerHour: 30,
+        stress: {
+            thermal: { label: 'Hot running (>100 °C)', limit: 100, fn: (s) => s.coolant > 100 ? (s.coolant - 100) * 0.1 : 0 },
+            highRpm: { label: 'High RPM (>4500)', limit: 4500, fn: (s) => s.rpm > 4500 ? 1.0 : 0 },
+            coldRunning: { label: 'Cold running (<60 °C)', limit: 60, fn: (s) => s.coolant < 60 ? 0.5 : 0 },
+            heavyLoad: { label: 'Heavy load (>80%)', limit: 80, fn: (s) => s.load > 80 ? 0.3 : 0 }
+        }
+    },
+    coolant: {
+        label: 'Coolant system',
+        intervalKm: 60000,
+        stress: {
+            thermal: { label: 'Hot running (>100 °C)', limit: 100, fn: (s) => s.coolant > 100 ? (s.coolant - 100) * 0.25 : 0 },
+            heavyLoad: { label: 'Heavy load (>80%)', limit: 80, fn: (s) => s.load > 80 ? 0.2 : 0 }
+        },
+        events: {
+            overheat: { label: 'Overheat events (>110 °C)', channel: 'coolant', above: 110, rearm: 100, km: 1500 }
+        }
+    },
+    battery: {
+        label: 'Battery',
+        intervalKm: 80000,
+        stress: {
+            lowVoltage: { label: 'Low voltage (<12.4 V)', limit: 12.4, fn: (s) => s.battery < 12.4 ? (12.4 - s.battery) * 4 : 0 }
+        },
+        events: {
+            deepDischarge: { label: 'Deep discharges (<12.0 V)', channel: 'battery', below: 12.0, rearm: 12.4, km: 2000 }
+        }
+    }
+};
+
+/** A wear factor's label in the reader's language and units (i18n: a Translator). */
+export function rulFactorLabel(factor, i18n) {
+    // Recordings made before factors carried their limit keep the label they were made with
+    if (factor.limit === undefined && factor.id !== 'idle') return factor.label;
+    return i18n.label('rul.factor', factor.id, factor.label, { limit: factor.limit });
+}
+
+export class RulEstimator {
+    constructor(components) {
+        this.config = components || RUL_COMPONENTS;
+        this.intervals = {}; // Per-vehicle overrides of config[id].intervalKm
+        this.lastT = null;
+        this.odometerKm = 0; // Distance integrated by this estimator
+        this.components = {};
+        Object.keys(this.config).forEach(id => this.resetComponent(id));
+    }
+
+    resetComponent(id) {
+        this.components[id] = {
+            usedKm: 0, // Equivalent km consumed since the last service
+            factors: { base: 0, idle: 0 },
+            recentEq: 0,
+            recentDist: 0,
+            armed: {}
+        };
+    }
+
+    intervalKm(id) { return this.intervals[id] || this.config[id].intervalKm; }
+
+    setIntervals(intervals) { this.intervals = { ...intervals }; }
+
+    /** Serialisable wear state, see restore(). */
+    snapshot() {
+        return { odometerKm: this.odometerKm, components: JSON.parse(JSON.stringify(this.components)) };
+    }
+
+    restore(snapshot) {
+        this.odometerKm = snapshot.odometerKm || 0;
+        Object.keys(this.config).forEach(id => {
+            if (snapshot.components && snapshot.components[id]) this.components[id] = JSON.parse(JSON.stringify(snapshot.components[id]));
+            else this.resetComponent(id);
+        });
+        this.lastT = null;
+    }
+
+    /** Forget the previous timestamp, e.g. after a replay seek. */
+    resetClock() { this.lastT = null; }
+
+    update(sample) {
+        const dtMs = this.lastT === null ? 0 : sample.t - this.lastT;
+        this.lastT = sample.t;
+        if (dtMs <= 0 || dtMs > RUL_MAX_GAP_MS) return;
+
+        const hours = dtMs / 3600000;
+        const distKm = Math.max(sample.speed, 0) * hours;
+        const running = sample.rpm > 400;
+        const idling = running && sample.speed < 2;
+        this.odometerKm += distKm;
+
+        Object.entries(this.config).forEach(([id, cfg]) => {
+            const comp = this.components[id];
+            let eqKm = distKm;
+            comp.factors.base += distKm;
+
+            Object.entries(cfg.stress).forEach(([name, stress]) => {
+                const extra = distKm * stress.fn(sample);
+                if (extra > 0) {
+                    comp.factors[name] = (comp.factors[name] || 0) + extra;
+                    eqKm += extra;
+                }
+            });
+
+            if (idling && cfg.idleKmPerHour) {
+                const idleKm = cfg.idleKmPerHour * hours;
+                comp.factors.idle += idleKm;
+                eqKm += idleKm;
+            }
+
+            // One-off events cost life now but say little about the wear rate going forward.
+            let eventKm = 0;
+            Object.entries(cfg.events || {}).forEach(([name, ev]) => {
+                const value = sample[ev.channel];
+                const crossed = ev.below !== undefined ? value < ev.below : value > ev.above;
+                const rearmed = ev.below !== undefined ? value > ev.rearm : value < ev.rearm;
+                if (comp.armed[name] === undefined) comp.armed[name] = true;
+                if (comp.armed[name] && crossed && running) {
+                    comp.armed[name] = false;
+                    comp.factors[name] = (comp.factors[name] || 0) + ev.km;
+                    eventKm += ev.km;
+                } else if (!comp.armed[name] && rearmed) {
+                    comp.armed[name] = true;
+                }
+            });
+
+            comp.usedKm += eqKm + eventKm;
+            const decay = Math.exp(-distKm / RUL_RECENT_KM);
+            comp.recentEq = comp.recentEq * decay + eqKm;
+            comp.recentDist = comp.recentDist * decay + distKm;
+        });
+    }
+
+    /**
+     * Remaining real km for one component. The recent stress rate converts remaining
+     * equivalent km into real km; the band widens while little distance has been seen.
+     */
+    estimate(id) {
+        const cfg = this.config[id];
+        const comp = this.components[id];
+        const intervalKm = this.intervalKm(id);
+        const remainingEq = Math.max(intervalKm - comp.usedKm, 0);
+        const rate = comp.recentDist > 0.5 ? Math.max(comp.recentEq / comp.recentDist, 1) : 1;
+        const spread = Math.min(0.15 + 0.5 / Math.sqrt(1 + comp.recentDist), 0.6);
+
+        const stressed = Object.entries(comp.factors)
+            .filter(([name, km]) => name !== 'base' && km > 0)
+            .map(([name, km]) => {
+                const def = name === 'idle' ? { label: 'Idling' } : (cfg.stress[name] || (cfg.events || {})[name]);
+                return {
+                    id: name,
+                    label: def.label,
+                    limit: [def.limit, def.above, def.below].find(v => v !== undefined),
+                    km: Math.round(km),
+                    share: comp.usedKm > 0 ? km / comp.usedKm : 0
+                };
+            })
+            .filter(f => f.share >= 0.01)
+            .sort((a, b) => b.share - a.share);
+
+        return {
+            id,
+            label: cfg.label,
+            val: Math.floor(remainingEq / rate),
+            low: Math.floor(remainingEq / (rate * (1 + spread))),
+            high: Math.floor(remainingEq / (rate * Math.max(1 - spread, 0.1))),
+            usedPct: Math.min(comp.usedKm / intervalKm, 1),
+            stressRate: rate,
+            factors: stressed
+        };
+    }
+
+    /** Every component, plus the one that will need attention first. */
+    estimateAll() {
+        const components = Object.keys(this.config).map(id => this.estimate(id));
+        const limiting = components.reduce((a, b) => (b.val < a.val ? b : a));
+        const interval = this.intervalKm(limiting.id);
+        let prob = 'Low';
+        if (limiting.low < interval * 0.25) prob = 'Medium';
+        if (limiting.low < interval * 0.1) prob = 'High';
+        return {
+            val: limiting.val,
+            low: limiting.low,
+            high: limiting.high,
+            component: limiting.id,
+            prob,
+            factors: limiting.factors,
+            components
+        };
+    }
+}
@@ -0,0 +1,343 @@
+/**
+ * NEXUS AI - Scenario Simulator
+ * Seeded, deterministic OBD feed driven by declarative scenario scripts,
+ * with faults that can be scheduled or injected on demand.
+ */
+
+import { describeDtc } from './dtc.js';
+import { SOURCE_STATUS, TelemetrySource } from './telemetry-source.js';
+
+export const SIM_STEP_MS = 100;
+const IDLE_RPM = 800;
+const SIM_DTC_PENDING_S = 3; // A fault sets a pending code after this long...
+const SIM_DTC_CONFIRM_S = 30; // ...and a stored code (with freeze frame) after this long
+
+// Small, fast 32-bit PRNG (mulberry32). Same seed, same trip.
+class SeededRandom {
+    constructor(seed) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+    }
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+    range(min, max) { return min + (max - min) * this.next(); }
+    jitter(amplitude) { return (this.next() - 0.5) * 2 * amplitude; }
+}
+
+// RPM per km/h for each gear, with the speed at which the box upshifts.
+const GEARBOX = [
+    { upshift: 20, ratio: 110 },
+    { upshift: 40, ratio: 65 },
+    { upshift: 65, ratio: 45 },
+    { upshift: 90, ratio: 35 },
+    { upshift: Infinity, ratio: 28 }
+];
+
+/**
+ * Scenario scripts. Each phase holds the driver's throttle and the speed they
+ * aim for; `duration` is seconds or a [min, max] range drawn from the seed.
+ * `grade` is road slope in %, `brake` means active braking rather than coasting.
+ * Once the last phase ends the script restarts at `loopFrom`.
+ */
+export const SCENARIOS = {
+    mixed: {
+        label: 'Mixed Driving',
+        phases: [
+            { name: 'accelerate', duration: [5, 15], throttle: 85, speed: 140 },
+            { name: 'coast', duration: [5, 20], throttle: 0, speed: 0 }
+        ]
+    },
+    urban: {
+        label: 'Urban Stop & Go',
+        phases: [
+            { name: 'pull away', duration: [6, 10], throttle: 45, speed: 50 },
+            { name: 'cruise', duration: [5, 15], throttle: 18, speed: 45 },
+            { name: 'brake', duration: 5, throttle: 0, speed: 0, brake: true },
+            { name: 'red light', duration: [10, 30], throttle: 0, speed: 0 }
+        ]
+    },
+    highway: {
+        label: 'Highway Cruise',
+        phases: [
+            { name: 'on-ramp', duration: 15, throttle: 70, speed: 110 },
+            { name: 'cruise', duration: [60, 120], throttle: 25, speed: 115 },
+            { name: 'overtake', duration: [6, 10], throttle: 80, speed: 135 },
+            { name: 'settle', duration: 10, throttle: 10, speed: 115 }
+        ],
+        loopFrom: 1
+    },
+    coldStart: {
+        label: 'Cold Start',
+        initial: { coolant: 20, battery: 12.2, rpm: 1300 },
+        phases: [
+            { name: 'warm-up idle', duration: 45, throttle: 0, speed: 0 },
+            { name: 'gentle pull away', duration: [8, 12], throttle: 30, speed: 40 },
+            { name: 'cruise', duration: [20, 40], throttle: 18, speed: 50 },
+            { name: 'brake', duration: 5, throttle: 0, speed: 0, brake: true },
+            { name: 'stop', duration: [8, 15], throttle: 0, speed: 0 }
+        ],
+        loopFrom: 1
+    },
+    towing: {
+        label: 'Towing Uphill',
+        tow: true,
+        phases: [
+            { name: 'pull away', duration: 12, throttle: 70, speed: 60, grade: 6 },
+            { name: 'climb', duration: [60, 90], throttle: 80, speed: 70, grade: 7 },
+            { name: 'crest', duration: 20, throttle: 35, speed: 75, grade: 1 },
+            { name: 'descent', duration: [30, 45], throttle: 5, speed: 65, grade: -5 }
+        ]
+    }
+};
+
+/**
+ * Driver styles bend how the scenario script is driven: throttle demand, how fast the
+ * pedal moves (%/tick), how late the gearbox upshifts, how hard the brakes bite.
+ * `jab` is the per-tick chance of a random throttle stab. 'normal' is the script as written.
+ */
+export const DRIVER_STYLES = {
+    eco: { label: 'Eco Driver', throttleScale: 0.65, rampUp: 1, rampDown: 2, shiftScale: 0.8, brakeScale: 0.6, jab: 0 },
+    normal: { label: 'Normal Driver', throttleScale: 1, rampUp: 2, rampDown: 3, shiftScale: 1, brakeScale: 1, jab: 0 },
+    aggressive: { label: 'Aggressive Driver', throttleScale: 1.3, rampUp: 6, rampDown: 10, shiftScale: 1.35, brakeScale: 2.2, jab: 0 },
+    erratic: { label: 'Erratic Driver', throttleScale: 1, rampUp: 5, rampDown: 8, shiftScale: 1, brakeScale: 1.5, jab: 0.03 }
+};
+
+/**
+ * Fault models. `apply` runs after the healthy physics each tick and may bend
+ * targets (slow effects) or the emitted sample (fast effects).
+ * `severity` is 0..1, `elapsed` is seconds since the fault became active.
+ * `dtcs` are the trouble codes the simulated ECU sets for the fault.
+ */
+export const FAULT_TYPES = {
+    thermostat: {
+        label: 'Thermostat stuck closed',
+        dtcs: ['P0217'],
+        apply(sim, sample, severity) {
+            // Coolant never reaches the radiator, so heat just accumulates.
+            sim.target.coolant = Math.min(sim.target.coolant + (0.02 + sample.load * 0.0006) * severity, 125);
+        }
+    },
+    alternator: {
+        label: 'Failing alternator',
+        dtcs: ['P0562', 'P0620'],
+        apply(sim, sample, severity, elapsed) {
+            // Battery carries the electrical load and sags towards ~11.8 V.
+            const sag = Math.min(elapsed * 0.02 * severity, 2.1);
+            sim.target.battery = Math.min(sim.target.battery, 13.9 - sag);
+        }
+    },
+    misfire: {
+        label: 'Misfire',
+        dtcs: ['P0300', 'P0303'],
+        apply(sim, sample, severity) {
+            sample.rpm = Math.min(6500, Math.max(IDLE_RPM * 0.6, sample.rpm + sim.rng.jitter(1000 * severity)));
+            sample.load = Math.max(0, sample.load - sim.rng.range(0, 8) * severity);
+        }
+    },
+    transmission: {
+        label: 'Slipping transmission',
+        dtcs: ['P0730', 'P0894'],
+        apply(sim, sample, severity) {
+            // RPM flares under throttle while the wheels don't follow.
+            if (sample.throttle > 25) {
+                sample.rpm = Math.min(6500, sample.rpm + 1400 * severity * (sample.throttle / 100));
+                sim.target.speed -= 0.3 * severity;
+            }
+        }
+    }
+};
+
+/** Parses "thermostat@30", "alternator@60-180:0.7" (start[-end] seconds, optional severity). */
+function parseFaultSpec(spec) {
+    const match = /^(\w+)@(\d+(?:\.\d+)?)(?:-(\d+(?:\.\d+)?))?(?::(\d*\.?\d+))?$/.exec(spec.trim());
+    if (!match || !FAULT_TYPES[match[1]]) throw new Error(`Invalid fault spec "${spec}"`);
+    const fault = { type: match[1], at: Number(match[2]), severity: match[4] !== undefined ? Number(match[4]) : 1 };
+    if (match[3] !== undefined) fault.duration = Number(match[3]) - fault.at;
+    return fault;
+}
+
+export class MockOBDSimulator extends TelemetrySource {
+    /**
+     * options: { seed, scenario, driver, faults: [{ type, at, duration?, severity? }], startTime }
+     */
+    constructor(options) {
+        super('SIMULATOR');
+        const opts = options || {};
+        this.seed = opts.seed !== undefined ? opts.seed >>> 0 : (Date.now() ^ 0x5EED) >>> 0;
+        this.rng = new SeededRandom(this.seed);
+        this.scenarioId = SCENARIOS[opts.scenario] ? opts.scenario : 'mixed';
+        this.scenario = SCENARIOS[this.scenarioId];
+        this.driverId = DRIVER_STYLES[opts.driver] ? opts.driver : 'normal';
+        this.style = DRIVER_STYLES[this.driverId];
+        this.jab = null; // { until, throttle } while an erratic driver stabs the pedal
+        this.faults = (opts.faults || []).map(f => ({ severity: 1, ...f }));
+        this.startTime = opts.startTime !== undefined ? opts.startTime : Date.now();
+        this.elapsedMs = 0;
+        this.dtcs = { stored: [], pending: [], freezeFrame: null, clearedAt: 0 };
+
+        Object.assign(this.state, this.scenario.initial || {});
+        this.state.t = this.startTime;
+        this.target = { ...this.state };
+        this.restoreHistory([this.state]);
+        this.phaseIndex = 0;
+        this.phaseEndsAt = this.drawDuration(this.scenario.phases[0]);
+    }
+
+    /** Reads ?scenario=towing&driver=eco&seed=42&faults=thermostat@30,alternator@60-180:0.7 */
+    static optionsFromQuery(search) {
+        const params = new URLSearchParams(search);
+        const opts = {};
+        if (params.has('scenario')) opts.scenario = params.get('scenario');
+        if (params.has('driver')) opts.driver = params.get('driver');
+        if (params.has('seed')) opts.seed = Number(params.get('seed'));
+        if (params.has('faults')) opts.faults = params.get('faults').split(',').filter(Boolean).map(parseFaultSpec);
+        return opts;
+    }
+
+    async start() { this.setStatus(SOURCE_STATUS.SIMULATED); }
+
+    describeStatus() {
+        return this.status === SOURCE_STATUS.SIMULATED ? { key: 'source.sim', params: { scenario: this.scenarioId } } : super.describeStatus();
+    }
+
+    drawDuration(phase) {
+        const d = Array.isArray(phase.duration) ? this.rng.range(phase.duration[0], phase.duration[1]) : phase.duration;
+        return this.elapsedMs + d * 1000;
+    }
+
+    currentPhase() {
+        const phases = this.scenario.phases;
+        if (this.elapsedMs >= this.phaseEndsAt) {
+            this.phaseIndex++;
+            if (this.phaseIndex >= phases.length) this.phaseIndex = this.scenario.loopFrom || 0;
+            this.phaseEndsAt = this.drawDuration(phases[this.phaseIndex]);
+        }
+        return phases[this.phaseIndex];
+    }
+
+    /** Schedules a fault relative to the current sim clock (seconds from now). */
+    injectFault(type, options) {
+        if (!FAULT_TYPES[type]) throw new Error(`Unknown fault type "${type}"`);
+        const opts = options || {};
+        const fault = { type, at: this.elapsedMs / 1000 + (opts.delay || 0), severity: opts.severity !== undefined ? opts.severity : 1 };
+        if (opts.duration !== undefined) fault.duration = opts.duration;
+        this.faults.push(fault);
+        return fault;
+    }
+
+    clearFaults() { this.faults = []; }
+
+    getActiveFaults() {
+        const now = this.elapsedMs / 1000;
+        return this.faults.filter(f => now >= f.at && (f.duration === undefined || now < f.at + f.duration));
+    }
+
+    tick() {
+        this.elapsedMs += SIM_STEP_MS;
+        const phase = this.currentPhase();
+        const grade = phase.grade || 0;
+
+        // Driver
+        const style = this.style;
+        if (style.jab && !this.jab && this.rng.next() < style.jab) {
+            this.jab = { until: this.elapsedMs + this.rng.range(300, 1500), throttle: this.rng.range(0, 100) };
+        }
+        if (this.jab && this.elapsedMs >= this.jab.until) this.jab = null;
+        const demand = this.jab ? this.jab.throttle : Math.min(phase.throttle * style.throttleScale, 100);
+        if (this.target.throttle < demand) this.target.throttle = Math.min(this.target.throttle + style.rampUp, demand);
+        else this.target.throttle = Math.max(this.target.throttle - style.rampDown, demand);
+
+        // Vehicle speed: throttle pushes, grade and towing drag, brakes bite harder than coasting
+        if (this.target.speed < phase.speed) {
+            const accel = 0.15 + (this.target.throttle / 100) * 0.8 - grade * 0.03 - (this.scenario.tow ? 0.1 : 0);
+            this.target.speed = Math.min(this.target.speed + Math.max(accel, 0.02), phase.speed);
+        } else {
+            this.target.speed = Math.max(this.target.speed - (phase.brake ? 1.2 * style.brakeScale : 0.4 + grade * 0.02), phase.speed);
+        }
+        this.target.speed = Math.max(this.target.speed, 0);
+
+        // Engine
+        const speed = this.state.speed;
+        const gear = GEARBOX.find(g => speed < g.upshift * style.shiftScale);
+        const kickdown = 1 + (this.target.throttle / 100) * 0.5;
+        this.target.rpm = speed < 3
+            ? IDLE_RPM + this.target.throttle * 10
+            : Math.max(1100, speed * gear.ratio * kickdown);
+        if (this.state.coolant < 60) this.target.rpm += 400; // Cold-idle enrichment
+        this.target.rpm = Math.min(this.target.rpm + this.rng.jitter(15), 6500);
+        this.target.load = Math.min(15 + this.target.throttle * 0.8 + Math.max(grade, 0) * 3 + (this.scenario.tow ? 15 : 0), 100);
+
+        // Cooling: warm-up, thermostat regulation and the radiator fan at 102 °C
+        if (this.target.coolant < 88) this.target.coolant += 0.05 + this.state.load * 0.001;
+        else if (this.state.load > 70) this.target.coolant += 0.02;
+        else this.target.coolant = Math.max(this.target.coolant - 0.01, 88);
+        if (this.target.coolant > 102) this.target.coolant -= 0.015;
+
+        // Charging system
+        this.target.battery = this.state.rpm > IDLE_RPM * 0.9
+            ? 13.9 + Math.sin(this.elapsedMs / 1000) * 0.1
+            : 12.6;
+
+        const sample = {
+            t: this.startTime + this.elapsedMs,
+            rpm: this.lerp(this.state.rpm, this.target.rpm, 0.08),
+            speed: this.lerp(this.state.speed, this.target.speed, 0.04),
+            throttle: this.lerp(this.state.throttle, this.target.throttle, 0.1),
+            load: this.lerp(this.state.load, this.target.load, 0.08)
+        };
+
+        const now = this.elapsedMs / 1000;
+        const active = this.getActiveFaults();
+        active.forEach(f => FAULT_TYPES[f.type].apply(this, sample, f.severity, now - f.at));
+
+        sample.coolant = this.lerp(this.state.coolant, this.target.coolant, 0.05);
+        sample.battery = this.lerp(this.state.battery, this.target.battery, 0.05) + this.rng.jitter(0.01);
+
+        // Fuel: rate in L/h from load x rpm; L/100km is only meaningful while moving
+        const fuelRate = 0.8 + (sample.load / 100) * (sample.rpm / 1000) * 5;
+        if (sample.speed > 5) this.target.fuelEff = Math.min((fuelRate / sample.speed) * 100, 25);
+        sample.fuelEff = this.lerp(this.state.fuelEff, this.target.fuelEff, 0.05);
+
+        this.updateDtcs(active, sample, now);
+        this.pushSample(sample);
+    }
+
+    /** The simulated ECU's fault memory: pending while a fault is young, stored once confirmed. */
+    updateDtcs(active, sample, now) {
+        const memory = this.dtcs;
+        memory.pending = [];
+        active.forEach(f => {
+            // Clearing codes restarts the ECU's monitors; a fault still present sets them again.
+            const seen = now - Math.max(f.at, memory.clearedAt);
+            FAULT_TYPES[f.type].dtcs.forEach(code => {
+                if (memory.stored.includes(code)) return;
+                if (seen >= SIM_DTC_CONFIRM_S) {
+                    memory.stored.push(code);
+                    if (!memory.freezeFrame) memory.freezeFrame = { code, sample: { ...sample } };
+                } else if (seen >= SIM_DTC_PENDING_S && !memory.pending.includes(code)) {
+                    memory.pending.push(code);
+                }
+            });
+        });
+    }
+
+    async readDtcs() {
+        const { stored, pending, freezeFrame } = this.dtcs;
+        return {
+            stored: stored.map(code => describeDtc(code, 'stored')),
+            pending: pending.map(code => describeDtc(code, 'pending')),
+            freezeFrame: freezeFrame && { code: freezeFrame.code, sample: { ...freezeFrame.sample } }
+        };
+    }
+
+    async clearDtcs() {
+        this.dtcs = { stored: [], pending: [], freezeFrame: null, clearedAt: this.elapsedMs / 1000 };
+    }
+
+    lerp(start, end, amt) { return (1 - amt) * start + amt * end; }
+}
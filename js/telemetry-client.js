@@ -0,0 +1,399 @@
+/**
+ * NEXUS AI - Telemetry Client
+ * The page side of the host protocol (see telemetry-host.js). Connects to the shared
+ * worker, a dedicated one, or a host on the page as a last resort, and mirrors each
+ * vehicle's source, inference results, alerts and stored session so the panels keep
+ * rendering them as if they were local.
+ */
+
+import { AlertEngine } from './alert-rules.js';
+import { DRIVER_MODEL_URL } from './driver-classifier.js';
+import { PROTOCOL_VERSION, TelemetryHost } from './telemetry-host.js';
+import { HISTORY_SIZE, SOURCE_STATUS, TelemetrySource } from './telemetry-source.js';
+import { LocalStorageBackend, STORAGE_OPS } from './vehicle-store.js';
+
+const TELEMETRY_WORKER_URL = 'js/telemetry-worker.js';
+const TELEMETRY_WORKER_NAME = 'nexus-telemetry';
+
+export class TelemetryClient {
+    constructor() {
+        this.port = null;
+        this.mode = null; // 'shared' | 'worker' | 'page'
+        this.ready = false;
+        this.queue = []; // Messages held back until the host said welcome
+        this.pending = new Map(); // request id -> { resolve, reject }
+        this.nextId = 1;
+        this.vehicles = new Map();
+        this.storage = null; // LocalStorageBackend lent to a host that has no storage of its own
+    }
+
+    /** Whether this page can lend localStorage; blocked storage throws on access. */
+    static hasLocalStorage() {
+        try {
+            return typeof localStorage !== 'undefined' && localStorage !== null;
+        } catch (err) {
+            return false;
+        }
+    }
+
+    /** SharedWorker, then a dedicated Worker, then a host on the page itself. */
+    static connect(url) {
+        const client = new TelemetryClient();
+        const workerUrl = url || TELEMETRY_WORKER_URL;
+        try {
+            if (typeof SharedWorker !== 'undefined') {
+                const worker = new SharedWorker(workerUrl, { name: TELEMETRY_WORKER_NAME, type: 'module' });
+                worker.onerror = () => client.fallback('shared worker failed to load');
+                client.attach(worker.port, 'shared');
+                return client;
+            }
+            if (typeof Worker !== 'undefined') {
+                const worker = new Worker(workerUrl, { type: 'module' });
+                worker.onerror = () => client.fallback('worker failed to load');
+                client.attach(worker, 'worker');
+                return client;
+            }
+        } catch (err) {
+            console.warn('Telemetry worker unavailable, running in the page:', err.message);
+        }
+        client.attach(TelemetryHost.inPage(), 'page');
+        return client;
+    }
+
+    attach(port, mode) {
+        if (this.port) this.port.onmessage = null;
+        this.port = port;
+        this.mode = mode;
+        this.ready = false;
+        port.onmessage = (e) => this.receive(e.data);
+        port.postMessage({
+            v: PROTOCOL_VERSION,
+            type: 'hello',
+            modelUrl: new URL(DRIVER_MODEL_URL, window.location.href).href,
+            storage: TelemetryClient.hasLocalStorage()
+        });
+    }
+
+    /** The worker never answered hello (failed to load, or an older protocol in another tab): host it here. */
+    fallback(reason) {
+        if (this.ready || this.mode === 'page') return;
+        console.warn(`Telemetry worker unavailable (${reason}), running in the page`);
+        this.attach(TelemetryHost.inPage(), 'page');
+    }
+
+    receive(msg) {
+        if (!msg) return;
+        switch (msg.type) {
+            case 'welcome':
+                this.ready = true;
+                this.queue.splice(0).forEach(m => this.port.postMessage(m));
+                return;
+            case 'error':
+                if (msg.code === 'version') this.fallback(msg.message);
+                else console.warn('Telemetry host:', msg.message);
+                return;
+            case 'storage':
+                this.runStorage(msg);
+                return;
+            case 'reply': {
+                const request = this.pending.get(msg.id);
+                if (!request) return;
+                this.pending.delete(msg.id);
+                if (msg.ok) request.resolve(msg.value);
+                else request.reject(new Error(msg.error));
+                return;
+            }
+            default: {
+                const vehicle = this.vehicles.get(msg.vehicleId);
+                if (vehicle) vehicle.receive(msg);
+            }
+        }
+    }
+
+    runStorage(msg) {
+        if (!this.storage) this.storage = new LocalStorageBackend();
+        Promise.resolve()
+            .then(() => {
+                if (!STORAGE_OPS.includes(msg.op)) throw new Error(`Unknown storage call "${msg.op}"`);
+                return this.storage[msg.op](...msg.args);
+            })
+            .then(
+                value => this.port.postMessage({ v: PROTOCOL_VERSION, type: 'storageReply', id: msg.id, ok: true, value }),
+                err => this.port.postMessage({ v: PROTOCOL_VERSION, type: 'storageReply', id: msg.id, ok: false, error: err.message })
+            );
+    }
+
+    post(message) {
+        const msg = { v: PROTOCOL_VERSION, ...message };
+        if (this.ready) this.port.postMessage(msg);
+        else this.queue.push(msg);
+    }
+
+    request(type, payload) {
+        const id = this.nextId++;
+        return new Promise((resolve, reject) => {
+            this.pending.set(id, { resolve, reject });
+            this.post({ type, id, ...payload });
+        });
+    }
+
+    vehicle(vehicleId) {
+        if (!this.vehicles.has(vehicleId)) this.vehicles.set(vehicleId, new RemoteVehicle(this, vehicleId));
+        return this.vehicles.get(vehicleId);
+    }
+
+    /** Lets the host save what this page watched and drop its subscriptions. */
+    close() {
+        if (this.ready) this.port.postMessage({ v: PROTOCOL_VERSION, type: 'bye' });
+    }
+}
+
+/** Page-side mirror of one vehicle runtime in the host. */
+class RemoteVehicle {
+    constructor(client, vehicleId) {
+        this.client = client;
+        this.id = vehicleId;
+        this.source = new RemoteSource(this);
+        this.ml = new RemoteEngine(this);
+        this.session = new RemoteSession(this);
+    }
+
+    /** options: { sim or feed (used if the host starts the vehicle now), topics, history } */
+    subscribe(options) {
+        const opts = options || {};
+        return this.client.request('subscribe', { vehicleId: this.id, sim: opts.sim, feed: opts.feed, topics: opts.topics, history: !!opts.history })
+            .then(snapshot => {
+                this.apply(snapshot);
+                return snapshot;
+            });
+    }
+
+    command(name, ...args) { return this.client.request('command', { vehicleId: this.id, name, args }); }
+
+    ingest(payload) { this.client.post({ type: 'ingest', vehicleId: this.id, ...payload }); }
+
+    apply(snapshot) {
+        this.source.applyState(snapshot.state);
+        this.source.applySeek(snapshot);
+        this.ml.result = snapshot.result; // Already part of the timeline; listeners only get new results
+        this.ml.alerts.apply(snapshot.alerts);
+        this.session.apply(snapshot.session);
+        this.session.applyLive(snapshot.state.live);
+    }
+
+    receive(msg) {
+        switch (msg.type) {
+            case 'sample': this.source.pushSample(msg.sample); break;
+            case 'seek': this.source.applySeek(msg); break;
+            case 'result': this.ml.apply(msg.result); break;
+            case 'alerts': this.ml.alerts.apply(msg); break;
+            case 'session': this.session.apply(msg.session); break;
+            case 'state':
+                this.source.applyState(msg.state);
+                this.session.applyLive(msg.state.live);
+                break;
+        }
+    }
+}
+
+/**
+ * The host's source as seen from the page. kind, sim and replay describe what the host
+ * runs; an OBD adapter (Web Serial is page-only) is polled here and streamed to the host.
+ */
+class RemoteSource extends TelemetrySource {
+    constructor(vehicle) {
+        super('REMOTE');
+        this.vehicle = vehicle;
+        this.listeners.source = []; // The host switched to a different source
+        this.status = SOURCE_STATUS.CONNECTING;
+        this.statusMessage = null;
+        this.sourceId = null;
+        this.kind = null; // 'simulator' | 'replay' | 'external' | 'remote'
+        this.sim = null; // { scenario, driver, seed }
+        this.replay = null; // { startT, duration, cursor, playing, speed }
+        this.feed = null; // { url, vehicleId } on the ingest server
+        this.timeline = null; // TelemetryHistory snapshot from the last seek
+        this.adapter = null;
+        this.offAdapter = [];
+        this.seeking = null;
+        this.nextSeek = null;
+    }
+
+    describeStatus() { return this.statusMessage || super.describeStatus(); }
+
+    tick() {
+        if (this.adapter) this.adapter.tick();
+    }
+
+    applyState(state) {
+        const switched = state.sourceId !== this.sourceId;
+        const changed = state.status !== this.status || JSON.stringify(state.statusMessage) !== JSON.stringify(this.statusMessage);
+        this.sourceId = state.sourceId;
+        this.kind = state.kind;
+        this.label = state.label;
+        this.sim = state.sim;
+        this.replay = state.replay;
+        this.feed = state.feed;
+        this.status = state.status;
+        this.statusDetail = state.statusDetail;
+        this.statusMessage = state.statusMessage;
+        if (this.adapter && state.kind !== 'external') this.detachAdapter();
+        if (switched) this.emit('source', this);
+        if (changed) this.emit('status', { status: this.status, detail: this.statusDetail });
+    }
+
+    applySeek(msg) {
+        this.timeline = msg.timeline || null;
+        const samples = this.timeline && this.timeline.samples.length ? this.timeline.samples.slice(-HISTORY_SIZE) : [msg.data];
+        this.restoreHistory(samples);
+    }
+
+    pushSample(sample) {
+        if (this.replay) this.replay.cursor = sample.t - this.replay.startT;
+        super.pushSample(sample);
+    }
+
+    injectFault(type) { return this.vehicle.command('injectFault', type); }
+
+    play() {
+        this.replay.playing = true;
+        return this.vehicle.command('play');
+    }
+
+    pause() {
+        this.replay.playing = false;
+        return this.vehicle.command('pause');
+    }
+
+    /** Scrubbing sends at most one seek per round trip; the last position always lands. */
+    seek(ms) {
+        this.replay.cursor = ms;
+        if (this.seeking) {
+            this.nextSeek = ms;
+            return this.seeking;
+        }
+        this.seeking = this.vehicle.command('seek', ms).finally(() => {
+            this.seeking = null;
+            if (this.nextSeek === null) return;
+            const next = this.nextSeek;
+            this.nextSeek = null;
+            this.seek(next);
+        });
+        return this.seeking;
+    }
+
+    setSpeed(speed) {
+        this.replay.speed = speed;
+        return this.vehicle.command('setSpeed', speed);
+    }
+
+    readDtcs() { return this.adapter ? this.adapter.readDtcs() : this.vehicle.command('readDtcs'); }
+
+    clearDtcs() { return this.adapter ? this.adapter.clearDtcs() : this.vehicle.command('clearDtcs'); }
+
+    /** Connects a page-side adapter and makes the host run on its samples. */
+    async attachAdapter(adapter) {
+        await adapter.start();
+        try {
+            await this.vehicle.command('useSource', { kind: 'external', label: adapter.label });
+        } catch (err) {
+            await adapter.stop();
+            throw err;
+        }
+        this.adapter = adapter;
+        this.offAdapter = [
+            adapter.on('sample', sample => this.vehicle.ingest({ sample })),
+            adapter.on('status', ({ status, detail }) => this.vehicle.ingest({ status, detail }))
+        ];
+        this.vehicle.ingest({ status: adapter.status, detail: adapter.statusDetail });
+    }
+
+    detachAdapter() {
+        const adapter = this.adapter;
+        this.offAdapter.forEach(off => off());
+        this.offAdapter = [];
+        this.adapter = null;
+        adapter.stop().catch(err => console.warn('Adapter did not close cleanly:', err.message));
+    }
+}
+
+/** Latest inference result from the host; listeners get each new one. */
+class RemoteEngine {
+    constructor(vehicle) {
+        this.alerts = new RemoteAlerts(vehicle);
+        this.result = null;
+        this.listeners = [];
+    }
+
+    onResult(fn) { this.listeners.push(fn); }
+
+    apply(result) {
+        this.result = result;
+        this.listeners.forEach(fn => fn(result));
+    }
+}
+
+/** The host's AlertEngine state; evaluation stays in the host, acknowledging goes back to it. */
+class RemoteAlerts extends AlertEngine {
+    constructor(vehicle) {
+        super();
+        this.vehicle = vehicle;
+    }
+
+    apply(message) {
+        if (!message) return;
+        this.ruleSet = message.ruleSet;
+        this.history = message.history;
+        this.active = new Map(message.active.map(a => [a.ruleId, a]));
+        if (this.listeners[message.event]) this.emit(message.event, message.alert);
+    }
+
+    evaluate() { }
+
+    acknowledge(alertId) { return this.vehicle.command('acknowledgeAlert', alertId); }
+}
+
+/** The host's VehicleSession: stored profile, service log and trips, plus the live totals. */
+class RemoteSession {
+    constructor(vehicle) {
+        this.vehicle = vehicle;
+        this.profile = null;
+        this.log = [];
+        this.tripLog = [];
+        this.tracking = true;
+        this.storageKind = null;
+        this.totals = null;
+        this.trip = null;
+        this.listeners = [];
+    }
+
+    onChange(fn) { this.listeners.push(fn); }
+
+    apply(session) {
+        if (!session) return;
+        this.profile = session.profile;
+        this.log = session.log;
+        this.tripLog = session.tripLog;
+        this.tracking = session.tracking;
+        this.storageKind = session.storage;
+        this.listeners.forEach(fn => fn(this));
+    }
+
+    /** Odometer, totals and the trip in progress come with every state update. */
+    applyLive(live) {
+        if (!live) return;
+        if (this.profile) this.profile.odometerKm = live.odometerKm;
+        this.totals = live.totals;
+        this.trip = live.trip;
+        this.tracking = live.tracking;
+    }
+
+    currentTrip() { return this.trip; }
+
+    updateProfile(changes) { return this.vehicle.command('updateProfile', changes); }
+    logService(type, notes) { return this.vehicle.command('logService', type, notes); }
+    endTrip() { return this.vehicle.command('endTrip'); }
+    deleteTrip(id) { return this.vehicle.command('deleteTrip', id); }
+    setAlertRules(ruleSet) { return this.vehicle.command('setAlertRules', ruleSet); }
+    setHealthWeights(weights) { return this.vehicle.command('setHealthWeights', weights); }
+}
@@ -0,0 +1,114 @@
+/**
+ * NEXUS AI - Telemetry History
+ * Timestamped samples and inference results for the last hour, plus anomaly / alert
+ * markers. Fed live from a source, or loaded from a recording, so charts and exports
+ * can look back over real time.
+ */
+
+import { ReplaySource } from './trip-recorder.js';
+
+const HISTORY_RETENTION_MS = 3600000;
+const HISTORY_PRUNE_SLACK_MS = 60000; // Prune in batches instead of on every sample
+
+export class TelemetryHistory {
+    constructor() {
+        this.unsubscribe = [];
+        this.sourceLabel = '';
+        this.clear();
+    }
+
+    clear() {
+        this.samples = [];
+        this.inferences = [];
+        this.markers = []; // { t, channel, severity, label, ruleId? }; label is an anomaly message or an alert label
+        this.open = new Set(); // Anomalies / alerts already marked and still active
+    }
+
+    setSource(source) {
+        this.unsubscribe.forEach(off => off());
+        this.sourceLabel = source.label;
+        this.clear();
+        this.unsubscribe = [
+            source.on('sample', sample => this.push(sample)),
+            source.on('seek', () => this.backfill(source))
+        ];
+    }
+
+    /**
+     * A replay already holds everything before the cursor and a telemetry host sends
+     * what it kept (source.timeline); anything else starts empty.
+     */
+    backfill(source) {
+        this.clear();
+        if (source instanceof ReplaySource) this.load(source, source.getData().t);
+        else if (source.timeline) this.restore(source.timeline);
+    }
+
+    /** Plain copy for posting to another thread; restore() takes it back. */
+    snapshot() {
+        return { samples: this.samples.slice(), inferences: this.inferences.slice(), markers: this.markers.slice(), open: [...this.open] };
+    }
+
+    restore(snapshot) {
+        this.samples = snapshot.samples.slice();
+        this.inferences = snapshot.inferences.slice();
+        this.markers = snapshot.markers.slice();
+        this.open = new Set(snapshot.open);
+    }
+
+    /** Loads a recording ({ samples, inferences }) up to `until`, keeping the retention window. */
+    load(recording, until) {
+        const end = until === undefined ? Infinity : until;
+        const last = recording.samples.length ? Math.min(end, recording.samples[recording.samples.length - 1].t) : end;
+        const from = last - HISTORY_RETENTION_MS;
+        recording.samples.forEach(s => { if (s.t >= from && s.t <= end) this.samples.push(s); });
+        (recording.inferences || []).forEach(r => { if (r.t >= from && r.t <= end) this.recordInference(r); });
+    }
+
+    push(sample) {
+        const last = this.latest();
+        if (last && sample.t < last.t) this.clear(); // Time went backwards: a different timeline
+        this.samples.push(sample);
+        if (sample.t - this.samples[0].t > HISTORY_RETENTION_MS + HISTORY_PRUNE_SLACK_MS) {
+            const from = sample.t - HISTORY_RETENTION_MS;
+            this.samples.splice(0, this.indexAt(from));
+            this.inferences = this.inferences.filter(r => r.t >= from);
+            this.markers = this.markers.filter(m => m.t >= from);
+        }
+    }
+
+    /** Marks where each anomaly or alert started; recordings without detail (CSV) add nothing. */
+    recordInference(result) {
+        this.inferences.push(result);
+        const open = new Set();
+        const mark = (key, marker) => {
+            open.add(key);
+            if (!this.open.has(key)) this.markers.push({ ...marker, t: marker.t || result.t });
+        };
+        (result.anomalies || []).forEach(a => mark(`anomaly:${a.id}`, { t: a.firstSeen, channel: a.channel, severity: a.severity, label: a.message }));
+        (result.alerts || []).forEach(a => mark(`alert:${a.ruleId}`, { t: a.raisedAt, channel: a.channel, severity: a.severity, label: a.label, ruleId: a.ruleId }));
+        this.open = open;
+    }
+
+    /** Index of the first sample at or after `t`. */
+    indexAt(t) {
+        let lo = 0;
+        let hi = this.samples.length;
+        while (lo < hi) {
+            const mid = (lo + hi) >> 1;
+            if (this.samples[mid].t < t) lo = mid + 1;
+            else hi = mid;
+        }
+        return lo;
+    }
+
+    range(from, to) { return this.samples.slice(this.indexAt(from), this.indexAt(to + 1)); }
+
+    inferencesIn(from, to) { return this.inferences.filter(r => r.t >= from && r.t <= to); }
+
+    markersIn(from, to) { return this.markers.filter(m => m.t >= from && m.t <= to); }
+
+    first() { return this.samples[0] || null; }
+
+    latest() { return this.samples[this.samples.length - 1] || null; }
+}
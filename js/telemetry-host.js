@@ -0,0 +1,457 @@
+/**
+ * NEXUS AI - Telemetry Host
+ * Owns the data sources and inference engines, one runtime per vehicle, and serves
+ * them to dashboard pages over a versioned message protocol. Normally runs in a
+ * SharedWorker (js/telemetry-worker.js), so inference carries on whichever page is
+ * showing and every tab sees the same vehicles; the same code runs in the page when
+ * workers are unavailable.
+ *
+ * Protocol v3. Every message carries { v: PROTOCOL_VERSION, type }.
+ *
+ *   page -> host
+ *     hello       { modelUrl, storage }                      -> welcome | error { code: 'version' }
+ *     subscribe   { id, vehicleId, sim, feed, topics, history } -> reply { id, ok, value: snapshot }
+ *     unsubscribe { vehicleId }
+ *     command     { id, vehicleId, name, args }              -> reply { id, ok, value | error }
+ *     ingest      { vehicleId, sample | status, detail }     Feed from an adapter only the page can open
+ *     storageReply { id, ok, value | error }                 Answer to a storage call
+ *     bye                                                    The page is going away
+ *
+ *   host -> page, for each vehicle and topic subscribed to
+ *     sample  { vehicleId, sample }                                   topic 'sample'
+ *     seek    { vehicleId, data, timeline }                           topic 'sample': replay seek or new source
+ *     result  { vehicleId, result }                                   topic 'result'
+ *     alerts  { vehicleId, event, alert, active, history, ruleSet }   topic 'alerts'
+ *     session { vehicleId, session }                                  topic 'session'
+ *     state   { vehicleId, state }                                    topic 'state': every second and on changes
+ *     storage { id, op, args }     to a page whose hello said storage: true. A worker without
+ *                                  IndexedDB keeps vehicle data in that page's localStorage
+ *
+ * sim and feed ({ url, vehicleId } on an ingest server) only matter to the first page to
+ * subscribe: they pick the source the vehicle starts on.
+ *
+ * A snapshot is { vehicleId, state, data, timeline, result, alerts, session }; timeline
+ * (the TelemetryHistory) is only included when the subscription asks for history.
+ */
+
+import { DriverClassifier } from './driver-classifier.js';
+import { MLInferenceEngine } from './inference-engine.js';
+import { IngestFeedSource } from './ingest-feed.js';
+import { MockOBDSimulator } from './simulator.js';
+import { TelemetryHistory } from './telemetry-history.js';
+import { TelemetrySource } from './telemetry-source.js';
+import { ReplaySource } from './trip-recorder.js';
+import { DEFAULT_VEHICLE_ID, VehicleStore, VehicleSession } from './vehicle-store.js';
+
+export const PROTOCOL_VERSION = 3;
+export const UPDATE_INTERVAL_MS = 100;
+export const AI_INTERVAL_MS = 2000;
+const HOST_STATE_INTERVAL_MS = 1000;
+const HOST_TOPICS = ['sample', 'result', 'alerts', 'session', 'state'];
+const RUNTIME_COMMANDS = [
+    'useSource', 'injectFault', 'play', 'pause', 'seek', 'setSpeed', 'readDtcs', 'clearDtcs',
+    'acknowledgeAlert', 'setAlertRules', 'setHealthWeights', 'updateProfile', 'logService', 'endTrip', 'deleteTrip', 'shutdown'
+];
+
+/** Samples pushed in by a page, for adapters a worker cannot open (Web Serial). */
+class ExternalSource extends TelemetrySource {
+    constructor(label) {
+        super(label || 'EXTERNAL');
+    }
+
+    ingest(message) {
+        if (message.sample) this.pushSample(message.sample);
+        if (message.status) this.setStatus(message.status, message.detail);
+    }
+}
+
+/** One vehicle: its source, inference engine, last hour of history and stored session. */
+class VehicleRuntime {
+    constructor(host, vehicleId, sim, feed) {
+        this.host = host;
+        this.vehicleId = vehicleId;
+        this.sim = sim || {};
+        this.source = feed ? new IngestFeedSource(feed.url, feed.vehicleId) : new MockOBDSimulator(this.sim);
+        this.ml = new MLInferenceEngine(this.source);
+        this.history = new TelemetryHistory();
+        this.session = null;
+        this.latest = null;
+        this.feedPort = null; // Page streaming into an ExternalSource
+        this.sourceId = 0; // Bumped on every source change, so pages can tell two simulators apart
+        this.unsubscribe = [];
+        if (host.driverModel) this.ml.setDriverModel(host.driverModel);
+
+        this.ml.onResult(result => {
+            this.latest = result;
+            this.history.recordInference(result);
+            if (this.session) this.session.recordInference(result);
+            this.publish('result', { type: 'result', result });
+        });
+        ['raised', 'acknowledged', 'cleared'].forEach(event => this.ml.alerts.on(event, alert => this.publishAlerts(event, alert)));
+    }
+
+    async start() {
+        await this.attach(this.source);
+        const store = await this.host.store;
+        if (!store) return;
+        this.session = new VehicleSession(store, this.ml, this.vehicleId);
+        this.session.setSource(this.source);
+        this.session.onChange(() => this.publish('session', { type: 'session', session: this.describeSession() }));
+        try {
+            await this.session.load();
+            this.publishAlerts('rules', null); // The stored rule set and alert history just came in
+        } catch (err) {
+            console.warn(`${this.vehicleId}: stored state unavailable:`, err.message);
+        }
+    }
+
+    async stop() {
+        await this.source.stop();
+        if (this.session) await this.session.save();
+    }
+
+    /** Wires a source into every consumer; history subscribes first so seeks see it backfilled. */
+    async attach(source) {
+        this.unsubscribe.forEach(off => off());
+        this.source = source;
+        this.sourceId++;
+        [this.ml, this.history, this.session].forEach(consumer => consumer && consumer.setSource(source));
+        this.unsubscribe = [
+            source.on('sample', sample => this.publish('sample', { type: 'sample', sample })),
+            source.on('seek', () => this.publishSeek()),
+            source.on('status', () => this.publishState())
+        ];
+        this.publishState();
+        await source.start();
+        this.publishSeek();
+    }
+
+    tick() { this.source.tick(); }
+
+    infer() { return this.ml.runInference(); }
+
+    publish(topic, message) { this.host.publish(this.vehicleId, topic, message); }
+
+    publishState() { this.publish('state', { type: 'state', state: this.describeState() }); }
+
+    publishSeek() { this.publish('sample', { type: 'seek', data: this.source.getData(), timeline: this.history.snapshot() }); }
+
+    publishAlerts(event, alert) {
+        this.publish('alerts', { type: 'alerts', event, alert: alert && { ...alert }, ...this.describeAlerts() });
+    }
+
+    kind() {
+        if (this.source instanceof ReplaySource) return 'replay';
+        if (this.source instanceof MockOBDSimulator) return 'simulator';
+        if (this.source instanceof IngestFeedSource) return 'remote';
+        return 'external';
+    }
+
+    describeState() {
+        const s = this.source;
+        const kind = this.kind();
+        const session = this.session;
+        return {
+            sourceId: this.sourceId,
+            kind,
+            label: s.label,
+            status: s.status,
+            statusDetail: s.statusDetail,
+            statusMessage: s.describeStatus(),
+            sim: kind === 'simulator' ? { scenario: s.scenarioId, driver: s.driverId, seed: s.seed } : null,
+            replay: kind === 'replay' ? { startT: s.startT, duration: s.duration, cursor: s.cursor, playing: s.playing, speed: s.speed } : null,
+            feed: kind === 'remote' ? { url: s.url, vehicleId: s.vehicleId } : null,
+            live: session && session.profile ? {
+                odometerKm: session.profile.odometerKm,
+                totals: { ...session.aggregates.totals },
+                trip: session.trips.current(),
+                tracking: session.tracking
+            } : null
+        };
+    }
+
+    describeSession() {
+        const s = this.session;
+        if (!s || !s.profile) return null;
+        return { profile: s.profile, log: s.log, tripLog: s.tripLog, tracking: s.tracking, storage: s.store.backend.kind };
+    }
+
+    describeAlerts() {
+        const alerts = this.ml.alerts;
+        return { active: alerts.getActive(), history: alerts.history, ruleSet: alerts.ruleSet };
+    }
+
+    snapshot(withHistory) {
+        return {
+            vehicleId: this.vehicleId,
+            state: this.describeState(),
+            data: this.source.getData(),
+            timeline: withHistory ? this.history.snapshot() : null,
+            result: this.latest,
+            alerts: this.describeAlerts(),
+            session: this.describeSession()
+        };
+    }
+
+    ingest(message) {
+        if (this.source instanceof ExternalSource) this.source.ingest(message);
+    }
+
+    // --- Commands (RUNTIME_COMMANDS) ---
+
+    /**
+     * spec: { kind: 'simulator', options } | { kind: 'replay', recording, cursor, speed, playing }
+     *     | { kind: 'external', label } | { kind: 'remote', url, vehicleId }
+     */
+    async useSource(spec) {
+        const next = this.createSource(spec);
+        await this.source.stop();
+        try {
+            await this.attach(next);
+        } catch (err) {
+            console.warn('Telemetry source failed, falling back to simulator:', err.message);
+            this.feedPort = null;
+            await this.attach(new MockOBDSimulator(this.sim));
+            throw err;
+        }
+    }
+
+    createSource(spec) {
+        switch (spec && spec.kind) {
+            case 'simulator':
+                this.sim = spec.options || {};
+                return new MockOBDSimulator(this.sim);
+            case 'replay': {
+                const replay = new ReplaySource(spec.recording);
+                replay.cursor = spec.cursor || 0;
+                replay.setSpeed(spec.speed || 1);
+                replay.playing = !!spec.playing;
+                return replay;
+            }
+            case 'external':
+                return new ExternalSource(spec.label);
+            case 'remote':
+                return new IngestFeedSource(spec.url, spec.vehicleId);
+            default:
+                throw new Error(`Unknown source kind "${spec && spec.kind}"`);
+        }
+    }
+
+    injectFault(type) {
+        if (!(this.source instanceof MockOBDSimulator)) throw new Error('Faults can only be injected into the simulator');
+        this.source.injectFault(type);
+    }
+
+    replay() {
+        if (!(this.source instanceof ReplaySource)) throw new Error('No replay is loaded');
+        return this.source;
+    }
+
+    play() { this.replay().play(); }
+    pause() { this.replay().pause(); }
+    seek(ms) { this.replay().seek(ms); }
+    setSpeed(speed) { this.replay().setSpeed(speed); }
+
+    readDtcs() { return this.source.readDtcs(); }
+    clearDtcs() { return this.source.clearDtcs(); }
+
+    acknowledgeAlert(alertId) { this.ml.alerts.acknowledge(alertId); }
+
+    loadedSession() {
+        if (!this.session || !this.session.profile) throw new Error('Vehicle profile unavailable');
+        return this.session;
+    }
+
+    async setAlertRules(ruleSet) {
+        await this.loadedSession().setAlertRules(ruleSet);
+        this.publishAlerts('rules', null);
+    }
+
+    async setHealthWeights(weights) {
+        await this.loadedSession().setHealthWeights(weights);
+        this.infer(); // Rescore now rather than at the next AI_INTERVAL_MS
+    }
+
+    updateProfile(changes) { return this.loadedSession().updateProfile(changes); }
+    logService(type, notes) { return this.loadedSession().logService(type, notes); }
+    endTrip() { return this.loadedSession().endTrip(); }
+    deleteTrip(id) { return this.loadedSession().deleteTrip(id); }
+
+    shutdown() { return this.host.retire(this.vehicleId); }
+}
+
+export class TelemetryHost {
+    constructor() {
+        this.runtimes = new Map();
+        this.ports = new Map(); // port -> Map(vehicleId -> Set of topics)
+        this.driverModel = null;
+        this.modelRequested = false;
+        this.lenders = new Set(); // Ports whose page lends its localStorage
+        this.storageCalls = new Map(); // id -> { port, op, args, resolve, reject }
+        this.nextStorageId = 1;
+        // Both are optional: without a store nothing persists, without a model drivers stay ANALYZING.
+        this.store = VehicleStore.open((op, ...args) => this.borrowStorage(op, args)).catch(err => {
+            console.warn('Vehicle profiles unavailable:', err.message);
+            return null;
+        });
+        setInterval(() => this.runtimes.forEach(r => r.tick()), UPDATE_INTERVAL_MS);
+        setInterval(() => this.runtimes.forEach(r => r.infer()), AI_INTERVAL_MS);
+        setInterval(() => this.runtimes.forEach(r => r.publishState()), HOST_STATE_INTERVAL_MS);
+    }
+
+    /** A host on the page itself, for when workers cannot start (e.g. no module worker support). */
+    static inPage() {
+        const channel = new MessageChannel();
+        new TelemetryHost().connect(channel.port1);
+        return channel.port2;
+    }
+
+    /** port: a MessagePort, or a dedicated worker's global scope. */
+    connect(port) {
+        this.ports.set(port, new Map());
+        port.onmessage = (e) => this.receive(port, e.data);
+    }
+
+    send(port, message) { port.postMessage({ v: PROTOCOL_VERSION, ...message }); }
+
+    receive(port, msg) {
+        if (!msg || msg.v !== PROTOCOL_VERSION) {
+            this.send(port, { type: 'error', code: 'version', message: `Host speaks protocol v${PROTOCOL_VERSION}, page sent v${msg && msg.v}` });
+            return;
+        }
+        const subscriptions = this.ports.get(port);
+        if (!subscriptions) return; // Said bye already
+        switch (msg.type) {
+            case 'hello':
+                this.loadModel(msg.modelUrl);
+                if (msg.storage) this.lenders.add(port);
+                this.send(port, { type: 'welcome' });
+                break;
+            case 'storageReply': {
+                const call = this.storageCalls.get(msg.id);
+                if (!call || call.port !== port) break;
+                this.storageCalls.delete(msg.id);
+                if (msg.ok) call.resolve(msg.value);
+                else call.reject(new Error(msg.error));
+                break;
+            }
+            case 'subscribe':
+                this.reply(port, msg.id, () => this.subscribe(port, msg));
+                break;
+            case 'unsubscribe':
+                subscriptions.delete(msg.vehicleId);
+                break;
+            case 'command':
+                this.reply(port, msg.id, () => this.command(port, msg));
+                break;
+            case 'ingest': {
+                const runtime = this.runtimes.get(msg.vehicleId);
+                if (runtime && runtime.feedPort === port) runtime.ingest(msg);
+                break;
+            }
+            case 'bye':
+                this.disconnect(port);
+                break;
+            default:
+                this.send(port, { type: 'error', code: 'unknown-type', message: `Unknown message type "${msg.type}"` });
+        }
+    }
+
+    reply(port, id, fn) {
+        Promise.resolve().then(fn).then(
+            value => this.send(port, { type: 'reply', id, ok: true, value }),
+            err => this.send(port, { type: 'reply', id, ok: false, error: err.message })
+        );
+    }
+
+    /** One VehicleStore call run in a page that lent its localStorage. */
+    borrowStorage(op, args) {
+        const [port] = this.lenders;
+        if (!port) return Promise.reject(new Error('No open page can keep vehicle data'));
+        const id = this.nextStorageId++;
+        return new Promise((resolve, reject) => {
+            this.storageCalls.set(id, { port, op, args, resolve, reject });
+            this.send(port, { type: 'storage', id, op, args });
+        });
+    }
+
+    loadModel(url) {
+        if (this.modelRequested) return;
+        this.modelRequested = true;
+        DriverClassifier.load(url)
+            .then(model => {
+                this.driverModel = model;
+                this.runtimes.forEach(r => r.ml.setDriverModel(model));
+            })
+            .catch(err => console.warn('Driver model unavailable:', err.message));
+    }
+
+    /** The vehicle's runtime, started on `sim` or `feed` if this is the first page to ask for it. */
+    runtime(vehicleId, sim, feed) {
+        let runtime = this.runtimes.get(vehicleId);
+        if (!runtime) {
+            runtime = new VehicleRuntime(this, vehicleId, sim, feed);
+            runtime.ready = runtime.start();
+            this.runtimes.set(vehicleId, runtime);
+        }
+        return runtime;
+    }
+
+    async subscribe(port, msg) {
+        const runtime = this.runtime(msg.vehicleId || DEFAULT_VEHICLE_ID, msg.sim, msg.feed);
+        await runtime.ready;
+        const topics = (msg.topics || HOST_TOPICS).filter(t => HOST_TOPICS.includes(t));
+        this.ports.get(port).set(runtime.vehicleId, new Set(topics));
+        return runtime.snapshot(msg.history);
+    }
+
+    async command(port, msg) {
+        const runtime = this.runtimes.get(msg.vehicleId);
+        if (!runtime) throw new Error(`Vehicle "${msg.vehicleId}" is not running`);
+        if (!RUNTIME_COMMANDS.includes(msg.name)) throw new Error(`Unknown command "${msg.name}"`);
+        await runtime.ready;
+        const args = msg.args || [];
+        if (msg.name === 'useSource') runtime.feedPort = args[0] && args[0].kind === 'external' ? port : null;
+        const value = await runtime[msg.name](...args);
+        if (this.runtimes.get(msg.vehicleId) === runtime) runtime.publishState();
+        return value;
+    }
+
+    publish(vehicleId, topic, message) {
+        this.ports.forEach((subscriptions, port) => {
+            const topics = subscriptions.get(vehicleId);
+            if (topics && topics.has(topic)) this.send(port, { ...message, vehicleId });
+        });
+    }
+
+    /** Saves what the page was watching; a feed it was streaming falls back to the simulator. */
+    disconnect(port) {
+        const subscriptions = this.ports.get(port);
+        this.ports.delete(port);
+        this.lenders.delete(port);
+        // Calls the page left unanswered go to another page, so no write is lost with it
+        this.storageCalls.forEach((call, id) => {
+            if (call.port !== port) return;
+            this.storageCalls.delete(id);
+            this.borrowStorage(call.op, call.args).then(call.resolve, call.reject);
+        });
+        this.runtimes.forEach(runtime => {
+            if (runtime.feedPort !== port) return;
+            runtime.feedPort = null;
+            runtime.useSource({ kind: 'simulator', options: runtime.sim })
+                .catch(err => console.warn(`${runtime.vehicleId}: simulator failed:`, err.message));
+        });
+        subscriptions.forEach((topics, vehicleId) => {
+            const runtime = this.runtimes.get(vehicleId);
+            if (runtime && runtime.session) runtime.session.save();
+        });
+    }
+
+    async retire(vehicleId) {
+        const runtime = this.runtimes.get(vehicleId);
+        if (!runtime) return;
+        this.runtimes.delete(vehicleId);
+        this.ports.forEach(subscriptions => subscriptions.delete(vehicleId));
+        await runtime.stop();
+    }
+}
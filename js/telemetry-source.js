@@ -0,0 +1,135 @@
+/**
+ * NEXUS AI - Telemetry Source Contract
+ * Every data feed (simulator, OBD-II adapter, ...) extends TelemetrySource so that
+ * MLInferenceEngine and UIController never care where the samples come from.
+ */
+
+export const HISTORY_SIZE = 100;
+
+// Channel schema shared by every source. Values are the idle-engine defaults.
+const CHANNEL_DEFAULTS = { rpm: 1000, speed: 0, throttle: 0, load: 20, coolant: 90, battery: 13.8, fuelEff: 8.5 };
+export const CHANNELS = Object.keys(CHANNEL_DEFAULTS);
+// min / max bound what an external feed may send; anything outside is a broken logger, not a reading.
+export const CHANNEL_META = {
+    rpm: { label: 'RPM', unit: 'rpm', digits: 0, min: 0, max: 12000 },
+    speed: { label: 'Speed', unit: 'km/h', digits: 0, min: 0, max: 400 },
+    throttle: { label: 'Throttle', unit: '%', digits: 0, min: 0, max: 100 },
+    load: { label: 'Engine load', unit: '%', digits: 0, min: 0, max: 100 },
+    coolant: { label: 'Coolant', unit: '°C', digits: 0, min: -40, max: 215 },
+    battery: { label: 'Battery', unit: 'V', digits: 1, min: 0, max: 32 },
+    fuelEff: { label: 'Fuel economy', unit: 'L/100km', digits: 1, min: 0, max: 200 }
+};
+export const FRAME_VEHICLE_ID = /^[A-Za-z0-9_-]{1,64}$/;
+
+export const SOURCE_STATUS = {
+    IDLE: 'idle',
+    CONNECTING: 'connecting',
+    LIVE: 'live',
+    SIMULATED: 'simulated',
+    REPLAY: 'replay',
+    ERROR: 'error'
+};
+
+/**
+ * Checks a frame from outside the app (ingest server, remote feed) against the channel
+ * schema: { vehicleId, t?, <channel>: number, ... } with at least one channel.
+ * Returns { vehicleId, sample }; throws with a readable message otherwise.
+ */
+export function validateTelemetryFrame(frame) {
+    if (!frame || typeof frame !== 'object' || Array.isArray(frame)) throw new Error('Frame must be a JSON object');
+    const { vehicleId, t, ...channels } = frame;
+    if (typeof vehicleId !== 'string' || !FRAME_VEHICLE_ID.test(vehicleId)) {
+        throw new Error('"vehicleId" must be 1-64 letters, digits, "-" or "_"');
+    }
+    if (t !== undefined && !(Number.isFinite(t) && t > 0)) throw new Error('"t" must be a timestamp in ms since the epoch');
+    const sample = {};
+    Object.entries(channels).forEach(([ch, value]) => {
+        const meta = CHANNEL_META[ch];
+        if (!meta) throw new Error(`Unknown channel "${ch}" (expected ${CHANNELS.join(', ')})`);
+        if (typeof value !== 'number' || !Number.isFinite(value)) throw new Error(`"${ch}" must be a number`);
+        if (value < meta.min || value > meta.max) throw new Error(`"${ch}" ${value} is outside ${meta.min}..${meta.max} ${meta.unit}`);
+        sample[ch] = value;
+    });
+    if (!Object.keys(sample).length) throw new Error(`Frame carries none of ${CHANNELS.join(', ')}`);
+    if (t !== undefined) sample.t = t;
+    return { vehicleId, sample };
+}
+
+export class TelemetrySource {
+    constructor(label) {
+        this.label = label;
+        this.status = SOURCE_STATUS.IDLE;
+        this.statusDetail = '';
+        this.state = { ...CHANNEL_DEFAULTS };
+        this.history = {};
+        CHANNELS.forEach(ch => { this.history[ch] = new Array(HISTORY_SIZE).fill(CHANNEL_DEFAULTS[ch]); });
+        this.listeners = { sample: [], status: [], seek: [] };
+    }
+
+    // --- Contract: subclasses override these ---
+    async start() { this.setStatus(SOURCE_STATUS.LIVE); }
+    async stop() { this.setStatus(SOURCE_STATUS.IDLE); }
+    tick() { } // Called every UPDATE_INTERVAL_MS by the main loop
+
+    /**
+     * Optional ECU diagnostics. Sources that can reach an ECU resolve to
+     * { stored: [dtc], pending: [dtc], freezeFrame: { code, sample } | null };
+     * null means the source has nothing to ask (e.g. a replay).
+     */
+    async readDtcs() { return null; }
+    async clearDtcs() { throw new Error(`${this.label} cannot clear fault codes`); }
+
+    /** Optional: the inference result a recording made at the current position, shown instead of re-inferring. */
+    getRecordedInference() { return null; }
+
+    // --- Shared plumbing ---
+    getData() { return { ...this.state }; }
+    getHistory() { return this.history; }
+
+    pushSample(sample) {
+        Object.assign(this.state, sample);
+        if (sample.t === undefined) this.state.t = Date.now();
+        CHANNELS.forEach(ch => {
+            this.history[ch].push(this.state[ch]);
+            this.history[ch].shift();
+        });
+        this.emit('sample', this.getData());
+    }
+
+    /** Replaces the history window wholesale (e.g. after a replay seek) without emitting samples. */
+    restoreHistory(samples) {
+        CHANNELS.forEach(ch => {
+            const values = samples.map(s => s[ch]);
+            const pad = values.length ? values[0] : CHANNEL_DEFAULTS[ch];
+            this.history[ch] = new Array(Math.max(0, HISTORY_SIZE - values.length)).fill(pad).concat(values.slice(-HISTORY_SIZE));
+        });
+        if (samples.length) Object.assign(this.state, samples[samples.length - 1]);
+        this.emit('seek', this.getData());
+    }
+
+    setStatus(status, detail) {
+        this.status = status;
+        this.statusDetail = detail || '';
+        this.emit('status', { status, detail: this.statusDetail });
+    }
+
+    /** Header status as a { key, params } message (see js/i18n.js); the page renders it. */
+    describeStatus() {
+        switch (this.status) {
+            case SOURCE_STATUS.LIVE: return { key: 'source.live' };
+            case SOURCE_STATUS.SIMULATED: return { key: 'source.simulated' };
+            case SOURCE_STATUS.CONNECTING: return { key: 'source.connecting' };
+            case SOURCE_STATUS.ERROR: return { key: 'source.error' };
+            default: return { key: 'source.none' };
+        }
+    }
+
+    on(event, fn) {
+        this.listeners[event].push(fn);
+        return () => { this.listeners[event] = this.listeners[event].filter(f => f !== fn); };
+    }
+
+    emit(event, payload) {
+        this.listeners[event].forEach(fn => fn(payload));
+    }
+}
@@ -0,0 +1,16 @@
+/**
+ * NEXUS AI - Telemetry Worker
+ * Runs the TelemetryHost off the main thread. As a SharedWorker every open tab talks
+ * to the same host; as a dedicated Worker the page that started it owns it. Started as
+ * a module worker, so browsers without those fall back to a host on the page.
+ */
+
+import { TelemetryHost } from './telemetry-host.js';
+
+const host = new TelemetryHost();
+
+if (typeof SharedWorkerGlobalScope !== 'undefined' && self instanceof SharedWorkerGlobalScope) {
+    self.onconnect = (e) => host.connect(e.ports[0]);
+} else {
+    host.connect(self);
+}
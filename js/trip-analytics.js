@@ -0,0 +1,174 @@
+/**
+ * NEXUS AI - Trip Analytics
+ * Detects trips from speed/RPM and integrates distance, fuel, idle time and
+ * driving events over each one, plus the driver-class mix the classifier saw.
+ */
+
+import { RUL_MAX_GAP_MS } from './rul-estimator.js';
+
+const TRIP_START_KMH = 5; // Moving faster than this with the engine running starts a trip
+const TRIP_END_ENGINE_OFF_MS = 10000; // Engine off this long ends it...
+const TRIP_END_STOPPED_MS = 180000; // ...and so does standing still this long
+const TRIP_MIN_KM = 0.1; // Shorter "trips" are yard shuffles, not worth keeping
+const TRIP_IDLE_FUEL_LPH = 0.8; // L/100km says nothing at standstill; assume a warm idle burn
+const TRIP_HIGH_RPM = 4500;
+const TRIP_HARSH_ACCEL = 2.5; // m/s², ~0.25 g
+const TRIP_HARSH_BRAKE = -3.0; // m/s², ~0.3 g
+const TRIP_ACCEL_WINDOW_MS = 1000; // Acceleration is measured over this window, not sample to sample
+
+export class TripAnalytics {
+    constructor(snapshot) {
+        this.trip = snapshot ? JSON.parse(JSON.stringify(snapshot)) : null;
+        this.lastT = null;
+        this.window = []; // { t, speed } over TRIP_ACCEL_WINDOW_MS
+        this.listeners = [];
+    }
+
+    onTripEnd(fn) { this.listeners.push(fn); }
+
+    static newTrip(t) {
+        return {
+            id: `${t.toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+            startedAt: t,
+            endedAt: t,
+            lastMovingAt: t,
+            km: 0,
+            litres: 0,
+            hours: 0, // Engine running
+            idleHours: 0,
+            highRpmSec: 0,
+            maxSpeed: 0,
+            harshAccel: 0,
+            harshBrake: 0,
+            armed: { accel: true, brake: true },
+            drivers: {}, // Driver class -> inference count
+            // Running since the car last moved, backed out if the trip ends by standing still
+            tail: { hours: 0, idleHours: 0, litres: 0 }
+        };
+    }
+
+    update(sample) {
+        // After a restore the trip's own end time stands in for the previous sample.
+        const prevT = this.lastT !== null ? this.lastT : (this.trip ? this.trip.endedAt : null);
+        const dtMs = prevT === null ? 0 : sample.t - prevT;
+        this.lastT = sample.t;
+        const running = sample.rpm > 400;
+        const moving = running && sample.speed > TRIP_START_KMH;
+
+        // A long silence (tab asleep, app closed) ends the trip where the data stopped.
+        if (this.trip && (dtMs > TRIP_END_STOPPED_MS || dtMs < 0)) this.end('gap');
+
+        if (!this.trip) {
+            if (!moving) return;
+            this.trip = TripAnalytics.newTrip(sample.t);
+            this.window = [];
+        }
+        const trip = this.trip;
+        this.window.push({ t: sample.t, speed: sample.speed });
+        while (this.window.length > 1 && sample.t - this.window[1].t >= TRIP_ACCEL_WINDOW_MS) this.window.shift();
+
+        if (dtMs > 0 && dtMs <= RUL_MAX_GAP_MS) this.integrate(trip, sample, dtMs / 3600000, running);
+        trip.endedAt = sample.t;
+        if (moving) {
+            trip.lastMovingAt = sample.t;
+            trip.tail = { hours: 0, idleHours: 0, litres: 0 };
+        }
+        this.countHarsh(trip, sample);
+
+        if (!running && sample.t - trip.lastMovingAt > TRIP_END_ENGINE_OFF_MS) this.end('engine off');
+        else if (sample.t - trip.lastMovingAt > TRIP_END_STOPPED_MS) this.end('parked');
+    }
+
+    integrate(trip, sample, hours, running) {
+        const km = Math.max(sample.speed, 0) * hours;
+        let litres = 0;
+        if (sample.speed > TRIP_START_KMH) litres = (sample.fuelEff * km) / 100;
+        else if (running) litres = TRIP_IDLE_FUEL_LPH * hours;
+
+        trip.km += km;
+        trip.litres += litres;
+        trip.tail.litres += litres;
+        if (running) {
+            trip.hours += hours;
+            trip.tail.hours += hours;
+        }
+        if (running && sample.speed < 2) {
+            trip.idleHours += hours;
+            trip.tail.idleHours += hours;
+        }
+        if (sample.rpm > TRIP_HIGH_RPM) trip.highRpmSec += hours * 3600;
+        trip.maxSpeed = Math.max(trip.maxSpeed, sample.speed);
+    }
+
+    /** Counts each harsh event once; it re-arms after acceleration falls back below half the threshold. */
+    countHarsh(trip, sample) {
+        const first = this.window[0];
+        const dt = (sample.t - first.t) / 1000;
+        if (dt < TRIP_ACCEL_WINDOW_MS / 2000) return;
+        const accel = ((sample.speed - first.speed) / 3.6) / dt;
+
+        if (trip.armed.accel && accel > TRIP_HARSH_ACCEL) {
+            trip.harshAccel++;
+            trip.armed.accel = false;
+        } else if (accel < TRIP_HARSH_ACCEL / 2) {
+            trip.armed.accel = true;
+        }
+        if (trip.armed.brake && accel < TRIP_HARSH_BRAKE) {
+            trip.harshBrake++;
+            trip.armed.brake = false;
+        } else if (accel > TRIP_HARSH_BRAKE / 2) {
+            trip.armed.brake = true;
+        }
+    }
+
+    recordInference(result) {
+        if (!this.trip || !result.driver || !result.driver.ready) return;
+        const type = result.driver.type;
+        this.trip.drivers[type] = (this.trip.drivers[type] || 0) + 1;
+    }
+
+    /** Closes the current trip. Returns its summary, or null if it was too short to keep. */
+    end(reason) {
+        const trip = this.trip;
+        this.trip = null;
+        this.window = [];
+        if (!trip) return null;
+        // Trailing standstill belongs to nobody's driving.
+        trip.hours -= trip.tail.hours;
+        trip.idleHours -= trip.tail.idleHours;
+        trip.litres -= trip.tail.litres;
+        trip.endedAt = trip.lastMovingAt;
+        if (trip.km < TRIP_MIN_KM) return null;
+        const summary = TripAnalytics.summarize(trip, reason);
+        this.listeners.forEach(fn => fn(summary));
+        return summary;
+    }
+
+    /** Flat, display-ready view of a trip (current or finished). */
+    static summarize(trip, endReason) {
+        const totalInferences = Object.values(trip.drivers).reduce((a, b) => a + b, 0);
+        const drivers = {};
+        Object.entries(trip.drivers).forEach(([type, n]) => { drivers[type] = n / totalInferences; });
+        return {
+            id: trip.id,
+            startedAt: trip.startedAt,
+            endedAt: trip.endedAt,
+            endReason: endReason || null,
+            durationMin: (trip.endedAt - trip.startedAt) / 60000,
+            km: trip.km,
+            litres: trip.litres,
+            avgL100: trip.km > 0.5 ? (trip.litres / trip.km) * 100 : null,
+            avgKmh: trip.hours > 0 ? trip.km / trip.hours : 0,
+            maxKmh: trip.maxSpeed,
+            idlePct: trip.hours > 0 ? (trip.idleHours / trip.hours) * 100 : 0,
+            harshAccel: trip.harshAccel,
+            harshBrake: trip.harshBrake,
+            highRpmSec: trip.highRpmSec,
+            drivers
+        };
+    }
+
+    current() { return this.trip ? TripAnalytics.summarize(this.trip) : null; }
+
+    snapshot() { return this.trip ? JSON.parse(JSON.stringify(this.trip)) : null; }
+}
@@ -0,0 +1,238 @@
+/**
+ * NEXUS AI - Trip Recorder & Replay
+ * Captures every telemetry sample plus inference output of a session and feeds
+ * recordings back through the normal pipeline as a TelemetrySource.
+ */
+
+import { HISTORY_SIZE, CHANNELS, SOURCE_STATUS, TelemetrySource } from './telemetry-source.js';
+
+const RECORDING_VERSION = 1;
+const REPLAY_SPEEDS = [1, 4, 16];
+const INFERENCE_CSV_COLUMNS = ['hygiene', 'thermal', 'engine', 'electrical', 'rul', 'anomaly', 'driver', 'driverConf'];
+// What the AI view reads from an inference result; a recorded one missing any of them is re-inferred
+const RECORDED_RESULT_FIELDS = ['scores', 'health', 'anomalies', 'anomalyModel', 'alerts', 'driver', 'recommendations'];
+
+export class TripRecorder {
+    constructor() {
+        this.recording = false;
+        this.startedAt = null;
+        this.sourceLabel = '';
+        this.samples = [];
+        this.inferences = [];
+        this.unsubscribe = null;
+    }
+
+    setSource(source) {
+        if (this.unsubscribe) this.unsubscribe();
+        this.sourceLabel = source.label;
+        this.unsubscribe = source.on('sample', (sample) => {
+            if (this.recording) this.samples.push(sample);
+        });
+    }
+
+    recordInference(result) {
+        if (this.recording) this.inferences.push(result);
+    }
+
+    start() {
+        this.samples = [];
+        this.inferences = [];
+        this.startedAt = Date.now();
+        this.recording = true;
+    }
+
+    stop() { this.recording = false; }
+
+    toNDJSON() { return TripRecorder.serialize(this.toRecording(), 'ndjson'); }
+
+    toCSV() { return TripRecorder.serialize(this.toRecording(), 'csv'); }
+
+    toRecording() {
+        return { startedAt: this.startedAt, source: this.sourceLabel, samples: this.samples, inferences: this.inferences };
+    }
+
+    download(format) {
+        const stamp = new Date(this.startedAt || Date.now()).toISOString().replace(/[:.]/g, '-');
+        TripRecorder.saveFile(this.toRecording(), format, `nexus-trip-${stamp}`);
+    }
+
+    /** { startedAt, source, samples, inferences } -> text in 'ndjson', 'json' or 'csv'. */
+    static serialize(recording, format) {
+        const header = { type: 'header', version: RECORDING_VERSION, startedAt: recording.startedAt, source: recording.source, channels: CHANNELS };
+        if (format === 'json') {
+            const { type, ...meta } = header;
+            return JSON.stringify({ header: meta, samples: recording.samples, inferences: recording.inferences }, null, 2) + '\n';
+        }
+        if (format === 'csv') {
+            const columns = ['type', 't', ...CHANNELS, ...INFERENCE_CSV_COLUMNS];
+            const rows = recording.samples.map(s => ['sample', s.t, ...CHANNELS.map(ch => s[ch]), ...INFERENCE_CSV_COLUMNS.map(() => '')]);
+            recording.inferences.forEach(r => rows.push([
+                'inference', r.t, ...CHANNELS.map(() => ''),
+                r.scores.hygiene, r.scores.thermal, r.scores.engine, r.scores.electrical,
+                r.rul.val, r.anomaly ? 1 : 0, r.driver.type, r.driver.conf
+            ]));
+            rows.sort((a, b) => a[1] - b[1]);
+            return [columns, ...rows].map(row => row.join(',')).join('\n') + '\n';
+        }
+        const lines = [JSON.stringify(header)];
+        // Interleave by timestamp so the file reads as a single timeline.
+        const rows = [
+            ...recording.samples.map(s => ({ type: 'sample', ...s })),
+            ...recording.inferences.map(r => ({ type: 'inference', ...r }))
+        ].sort((a, b) => a.t - b.t);
+        rows.forEach(row => lines.push(JSON.stringify(row)));
+        return lines.join('\n') + '\n';
+    }
+
+    static saveFile(recording, format, basename) {
+        const types = { csv: 'text/csv', json: 'application/json', ndjson: 'application/x-ndjson' };
+        const blob = new Blob([TripRecorder.serialize(recording, format)], { type: types[format] });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `${basename}.${format}`;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    }
+
+    /**
+     * Parses any export format back into { header, samples, inferences }.
+     * CSV only carries the flattened inference columns.
+     */
+    static parse(text) {
+        const trimmed = String(text).trim();
+        const recording = { header: null, samples: [], inferences: [] };
+        const doc = TripRecorder.parseDocument(trimmed);
+        if (doc) {
+            recording.header = doc.header || null;
+            recording.samples = doc.samples;
+            recording.inferences = doc.inferences || [];
+        } else if (trimmed.startsWith('{')) {
+            trimmed.split('\n').forEach(line => {
+                if (!line.trim()) return;
+                const { type, ...row } = JSON.parse(line);
+                if (type === 'header') recording.header = row;
+                else if (type === 'sample') recording.samples.push(row);
+                else if (type === 'inference') recording.inferences.push(row);
+            });
+        } else {
+            const [head, ...lines] = trimmed.split('\n');
+            const columns = head.split(',');
+            lines.forEach(line => {
+                const cells = line.split(',');
+                const row = {};
+                columns.forEach((col, i) => { row[col] = cells[i]; });
+                if (row.type === 'sample') {
+                    const sample = { t: Number(row.t) };
+                    CHANNELS.forEach(ch => { sample[ch] = Number(row[ch]); });
+                    recording.samples.push(sample);
+                } else if (row.type === 'inference') {
+                    recording.inferences.push({
+                        t: Number(row.t),
+                        scores: { hygiene: Number(row.hygiene), thermal: Number(row.thermal), engine: Number(row.engine), electrical: Number(row.electrical) },
+                        rul: { val: Number(row.rul) },
+                        anomaly: row.anomaly === '1',
+                        driver: { type: row.driver, conf: Number(row.driverConf) }
+                    });
+                }
+            });
+        }
+        if (recording.header && recording.header.version > RECORDING_VERSION) {
+            throw new Error(`Recording version ${recording.header.version} is newer than this dashboard supports`);
+        }
+        recording.samples.sort((a, b) => a.t - b.t);
+        recording.inferences.sort((a, b) => a.t - b.t);
+        return recording;
+    }
+
+    /** A whole-file JSON export, or null if the text is NDJSON / CSV. */
+    static parseDocument(text) {
+        if (!text.startsWith('{')) return null;
+        try {
+            const doc = JSON.parse(text);
+            return Array.isArray(doc.samples) ? doc : null;
+        } catch (err) {
+            return null; // More than one JSON value: NDJSON
+        }
+    }
+}
+
+export class ReplaySource extends TelemetrySource {
+    constructor(recording, options) {
+        super('REPLAY');
+        this.samples = recording.samples;
+        this.inferences = recording.inferences;
+        this.stepMs = (options && options.stepMs) || 100;
+        this.startT = this.samples.length ? this.samples[0].t : 0;
+        this.duration = this.samples.length ? this.samples[this.samples.length - 1].t - this.startT : 0;
+        this.cursor = 0; // ms from recording start
+        this.index = 0; // next sample to emit
+        this.speed = 1;
+        this.playing = false;
+    }
+
+    async start() {
+        if (!this.samples.length) throw new Error('Recording contains no samples');
+        this.setStatus(SOURCE_STATUS.REPLAY);
+        this.seek(this.cursor);
+    }
+
+    async stop() {
+        this.playing = false;
+        this.setStatus(SOURCE_STATUS.IDLE);
+    }
+
+    play() {
+        if (this.cursor >= this.duration) this.seek(0);
+        this.playing = true;
+    }
+
+    pause() { this.playing = false; }
+
+    setSpeed(speed) {
+        if (!REPLAY_SPEEDS.includes(speed)) throw new Error(`Unsupported replay speed ${speed}x`);
+        this.speed = speed;
+    }
+
+    tick() {
+        if (!this.playing) return;
+        this.cursor = Math.min(this.cursor + this.stepMs * this.speed, this.duration);
+        while (this.index < this.samples.length && this.samples[this.index].t - this.startT <= this.cursor) {
+            this.pushSample(this.samples[this.index++]);
+        }
+        if (this.cursor >= this.duration) this.playing = false;
+    }
+
+    /** Jumps to `ms` from the start and rebuilds the history window that led up to it. */
+    seek(ms) {
+        this.cursor = Math.max(0, Math.min(ms, this.duration));
+        let lo = 0;
+        let hi = this.samples.length;
+        while (lo < hi) {
+            const mid = (lo + hi) >> 1;
+            if (this.samples[mid].t - this.startT <= this.cursor) lo = mid + 1;
+            else hi = mid;
+        }
+        this.index = lo;
+        this.restoreHistory(this.samples.slice(Math.max(0, lo - HISTORY_SIZE), Math.max(lo, 1)));
+    }
+
+    /**
+     * Inference output that was recorded at (or just before) the cursor. CSV only keeps the
+     * flattened columns, and recordings from before the health breakdown lack it; null then,
+     * so the engine infers from the replayed samples instead.
+     */
+    getRecordedInference() {
+        const now = this.startT + this.cursor;
+        let found = null;
+        for (const r of this.inferences) {
+            if (r.t > now) break;
+            found = r;
+        }
+        const complete = found && found.rul && found.rul.components && RECORDED_RESULT_FIELDS.every(field => found[field] !== undefined);
+        return complete ? found : null;
+    }
+
+    describeStatus() {
+        return { key: this.playing ? 'source.replay' : 'source.paused', params: { speed: this.speed } };
+    }
+}
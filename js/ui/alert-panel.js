@@ -0,0 +1,113 @@
+/**
+ * NEXUS AI - Alert Panel
+ * Active alerts with acknowledge buttons, alert history, notification opt-in and the
+ * per-vehicle rule editor on the AI page.
+ */
+
+import { DEFAULT_ALERT_RULESET, validateAlertRuleSet, alertRuleLabel } from '../alert-rules.js';
+import { display } from '../display-settings.js';
+import { escapeHtml } from '../health-report.js';
+
+export class AlertPanel {
+    constructor(engine, notifier) {
+        this.engine = engine;
+        this.notifier = notifier;
+        this.session = null;
+        const get = (id) => document.getElementById(id);
+        this.els = {
+            active: get('alert-active'),
+            history: get('alert-history'),
+            notify: get('btn-alert-notify'),
+            rulesBtn: get('btn-alert-rules'),
+            editor: get('rules-editor'),
+            rulesReset: get('btn-rules-reset'),
+            rulesError: get('rules-error')
+        };
+        if (!this.els.active) return;
+
+        ['raised', 'acknowledged', 'cleared'].forEach(ev => engine.on(ev, () => this.render()));
+        this.els.active.addEventListener('click', (e) => {
+            const btn = e.target.closest('[data-ack]');
+            if (btn) engine.acknowledge(btn.dataset.ack);
+        });
+        this.els.notify.addEventListener('click', async () => {
+            if (this.notifier.enabled) this.notifier.disable();
+            else await this.notifier.enable();
+            this.renderNotify();
+        });
+        this.els.rulesBtn.addEventListener('click', () => {
+            this.els.editor.hidden = !this.els.editor.hidden;
+            if (!this.els.editor.hidden) this.fillEditor(this.engine.ruleSet);
+        });
+        this.els.editor.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveRules();
+        });
+        this.els.rulesReset.addEventListener('click', () => this.fillEditor(DEFAULT_ALERT_RULESET));
+        this.renderNotify();
+        this.render();
+    }
+
+    setSession(session) {
+        this.session = session;
+        session.onChange(() => this.render());
+    }
+
+    fillEditor(ruleSet) {
+        this.els.editor.elements.rules.value = JSON.stringify(ruleSet, null, 2);
+        this.els.rulesError.textContent = '';
+    }
+
+    async saveRules() {
+        let ruleSet;
+        try {
+            ruleSet = validateAlertRuleSet(JSON.parse(this.els.editor.elements.rules.value));
+        } catch (err) {
+            this.els.rulesError.textContent = err.message;
+            return;
+        }
+        try {
+            if (this.session) await this.session.setAlertRules(ruleSet);
+            else this.engine.setRules(ruleSet);
+        } catch (err) {
+            this.els.rulesError.textContent = err.message;
+            return;
+        }
+        this.els.rulesError.textContent = '';
+        this.els.editor.hidden = true;
+    }
+
+    renderNotify() {
+        const on = this.notifier.enabled;
+        this.els.notify.classList.toggle('active', on);
+        this.els.notify.querySelector('.material-icons').textContent = on ? 'notifications_active' : 'notifications_off';
+    }
+
+    render() {
+        if (!this.els.active) return;
+        const icons = { info: 'info', warning: 'warning', critical: 'error' };
+        const time = (t) => new Date(t).toLocaleTimeString(display.settings.locale);
+        const active = this.engine.getActive();
+        this.els.active.innerHTML = active.length
+            ? active.map(a => `
+                <li class="${a.severity} ${a.state}">
+                    <span class="material-icons">${icons[a.severity]}</span>
+                    <span><span class="label-text">${escapeHtml(alertRuleLabel(a, display))}</span>
+                        <span class="meta">${escapeHtml(a.threshold)} · ${display.t('alerts.since', { time: time(a.raisedAt) })}${a.ackedAt ? ` · ${display.t('alerts.acked')}` : ''}</span></span>
+                    ${a.state === 'raised' ? `<button class="session-btn" data-ack="${escapeHtml(a.id)}">${display.t('alerts.ack')}</button>` : '<span></span>'}
+                </li>
+            `).join('')
+            : `<li class="empty">${display.t('alerts.noneActive')}</li>`;
+
+        this.els.history.innerHTML = this.engine.history.length
+            ? this.engine.history.slice(0, 20).map(a => `
+                <li class="${a.severity}">
+                    <span class="material-icons">${icons[a.severity]}</span>
+                    <span><span class="label-text">${escapeHtml(alertRuleLabel(a, display))}</span>
+                        <span class="meta">${time(a.raisedAt)}–${time(a.clearedAt)}${a.ackedAt ? ` · ${display.t('alerts.acknowledged')}` : ''}</span></span>
+                    <span>${display.reading(a.channel, a.peak, 1)}</span>
+                </li>
+            `).join('')
+            : `<li class="empty">${display.t('alerts.noHistory')}</li>`;
+    }
+}
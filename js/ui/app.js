@@ -0,0 +1,194 @@
+/**
+ * NEXUS AI - Page Startup
+ * Builds a vehicle page (telemetry, cockpit and AI views) or the fleet page on one
+ * connection to the telemetry host.
+ */
+
+import { AlertNotifier } from '../alert-rules.js';
+import { DISPLAY_SETTINGS_KEY, display } from '../display-settings.js';
+import { WebSerialTransport, ELM327Source } from '../elm327.js';
+import { FleetRoster, FleetVehicle } from '../fleet.js';
+import { TelemetryClient } from '../telemetry-client.js';
+import { TelemetryHistory } from '../telemetry-history.js';
+import { SOURCE_STATUS } from '../telemetry-source.js';
+import { UPDATE_INTERVAL_MS } from '../telemetry-host.js';
+import { TripRecorder } from '../trip-recorder.js';
+import { AlertPanel } from './alert-panel.js';
+import { UIController } from './dashboard.js';
+import { DriveMode } from './drive-mode.js';
+import { ExportPanel } from './export-panel.js';
+import { FaultCodesPanel } from './fault-codes-panel.js';
+import { FleetOverview } from './fleet-overview.js';
+import { HealthPanel } from './health-panel.js';
+import { ViewRouter, scopeNavigation } from './router.js';
+import { REPLAY_STORAGE_KEY, SessionPanel } from './session-panel.js';
+import { SettingsPanel } from './settings-panel.js';
+import { TripPanel } from './trip-panel.js';
+import { VehiclePanel } from './vehicle-panel.js';
+
+const MEDIUM_INTERVAL_MS = 1000;
+const DTC_INTERVAL_MS = 10000;
+
+/** Static labels and the page's panels follow the display settings, including changes made in another tab. */
+function bindDisplay(render) {
+    new SettingsPanel(display);
+    display.apply(document);
+    display.onChange(() => {
+        display.apply(document);
+        render();
+    });
+    window.addEventListener('storage', (e) => {
+        if (e.key === DISPLAY_SETTINGS_KEY) display.reload();
+    });
+}
+
+/** Offline support; service workers need http(s), so pages opened from disk go without. */
+export function registerServiceWorker() {
+    if (!('serviceWorker' in navigator) || window.location.protocol === 'file:') return;
+    navigator.serviceWorker.register('sw.js')
+        .catch(err => console.warn('Service worker not registered, no offline support:', err.message));
+}
+
+/** One host connection per page; the host saves on the way out and a page back from the bfcache starts over. */
+function connectTelemetry() {
+    const client = TelemetryClient.connect();
+    window.addEventListener('pagehide', () => client.close());
+    window.addEventListener('pageshow', (e) => {
+        if (e.persisted) window.location.reload();
+    });
+    return client;
+}
+
+// One vehicle: every panel on the telemetry / cockpit / AI pages, rendering what the
+// telemetry host's source and inference engine for that vehicle produce.
+export async function startVehicle() {
+    const vehicleId = FleetRoster.currentId(window.location.search);
+    scopeNavigation(vehicleId);
+    // Panels find their elements once, so every view has to be in the document first
+    const router = new ViewRouter();
+    await router.load();
+    new DriveMode(router);
+
+    const remote = connectTelemetry().vehicle(vehicleId);
+    const source = remote.source;
+    const ml = remote.ml;
+    const vehicle = remote.session;
+    const history = new TelemetryHistory();
+    const ui = new UIController(source, ml, history);
+    const recorder = new TripRecorder();
+    const alertPanel = new AlertPanel(ml.alerts, new AlertNotifier(ml.alerts, display));
+    const healthPanel = new HealthPanel(ml);
+    const faultCodes = new FaultCodesPanel();
+    const exportPanel = new ExportPanel(history, faultCodes);
+    const vehiclePanel = new VehiclePanel(vehicle);
+    const tripPanel = new TripPanel(vehicle);
+    alertPanel.setSession(vehicle);
+    healthPanel.setSession(vehicle);
+    ui.setSession(vehicle);
+    exportPanel.setSession(vehicle);
+
+    ml.onResult(result => {
+        recorder.recordInference(result);
+        history.recordInference(result);
+        ui.updateAI();
+        healthPanel.render();
+    });
+
+    // The roster picks the starting source (simulator or ingest feed); an adapter or a replay can replace it at runtime.
+    const useSource = (spec) => remote.command('useSource', spec)
+        .catch(err => console.warn('Telemetry source failed, back on the simulator:', err.message));
+    const session = new SessionPanel(recorder, useSource);
+
+    const entry = FleetRoster.find(vehicleId);
+    remote.subscribe({ sim: SessionPanel.simulatorOptions(), feed: entry && entry.feed, history: true })
+        .then(snapshot => {
+            // A host that started fresh has not seen the replay this tab was playing
+            if (snapshot.state.kind !== 'replay') {
+                let restored = null;
+                try {
+                    restored = SessionPanel.restoreReplay();
+                } catch (err) {
+                    console.warn('Discarding saved replay:', err.message);
+                    sessionStorage.removeItem(SessionPanel.storageKey(REPLAY_STORAGE_KEY));
+                }
+                if (restored) useSource(restored);
+            }
+            ui.updateAI();
+            alertPanel.render();
+        })
+        .catch(err => console.warn('Telemetry host unavailable:', err.message));
+
+    const consumers = [history, ui, recorder, faultCodes, session];
+    consumers.forEach(consumer => consumer.setSource(source));
+    source.on('source', () => consumers.forEach(consumer => consumer.setSource(source)));
+    source.on('status', () => ui.updateSourceStatus());
+
+    const connectBtn = document.getElementById('btn-connect-obd');
+    if (connectBtn && 'serial' in navigator) {
+        // An adapter that gave up after repeated poll failures is offered a reconnect on the same port
+        const label = connectBtn.querySelector('[data-i18n]');
+        const adapterFailed = () => !!source.adapter && source.adapter.status === SOURCE_STATUS.ERROR;
+        const renderConnect = () => {
+            label.dataset.i18n = adapterFailed() ? 'ui.reconnectElm327' : 'ui.connectElm327';
+            label.textContent = display.t(label.dataset.i18n);
+        };
+        connectBtn.hidden = false;
+        connectBtn.addEventListener('click', () => {
+            const connecting = adapterFailed() ? source.adapter.reconnect() : source.attachAdapter(new ELM327Source(new WebSerialTransport()));
+            connecting.catch(err => console.warn('OBD-II adapter failed:', err.message)).finally(renderConnect);
+        });
+        source.on('status', renderConnect);
+    }
+
+    bindDisplay(() => {
+        session.renderOptions();
+        session.setSource(source);
+        vehiclePanel.renderOptions();
+        vehiclePanel.render();
+        tripPanel.render();
+        tripPanel.renderHistory();
+        faultCodes.render();
+        alertPanel.render();
+        healthPanel.render();
+        exportPanel.render();
+        ui.applyDisplay();
+    });
+
+    setInterval(() => { source.tick(); ui.updateFast(); session.update(); }, UPDATE_INTERVAL_MS);
+    setInterval(() => {
+        ui.updateMedium();
+        vehiclePanel.renderAggregates();
+        tripPanel.render();
+        faultCodes.render();
+        exportPanel.render();
+    }, MEDIUM_INTERVAL_MS);
+    setInterval(() => faultCodes.refresh(), DTC_INTERVAL_MS);
+}
+
+// Every roster vehicle, run by the telemetry host, most urgent first.
+export function startFleet() {
+    const client = connectTelemetry();
+    const monitors = new Map();
+    const addMonitor = (entry) => {
+        const monitor = new FleetVehicle(entry, client.vehicle(entry.id));
+        monitors.set(entry.id, monitor);
+        monitor.start().catch(err => console.warn(`${entry.name} failed to start:`, err.message));
+    };
+    const overview = new FleetOverview(monitors, {
+        add: (name, sim, feed) => addMonitor(FleetRoster.add(name, sim, feed)),
+        remove: async (id) => {
+            FleetRoster.remove(id);
+            const monitor = monitors.get(id);
+            monitors.delete(id);
+            if (monitor) await monitor.stop();
+        }
+    });
+    FleetRoster.load().forEach(addMonitor);
+    overview.render();
+    bindDisplay(() => {
+        overview.renderOptions();
+        overview.render();
+    });
+
+    setInterval(() => overview.render(), MEDIUM_INTERVAL_MS);
+}
@@ -0,0 +1,376 @@
+/**
+ * NEXUS AI - Telemetry Chart
+ * Time-series plot of history and live samples, with alert bands, a crosshair
+ * tooltip and drag-to-zoom.
+ */
+
+import { SEVERITY_COLORS } from '../ai-view.js';
+import { alertRuleLabel } from '../alert-rules.js';
+import { display } from '../display-settings.js';
+import { TelemetryHistory } from '../telemetry-history.js';
+
+const CHART_RANGES = { '1m': 60000, '10m': 600000, '1h': 3600000, trip: null };
+const CHART_TIME_STEPS_MS = [1000, 2000, 5000, 10000, 15000, 30000, 60000, 120000, 300000, 600000, 900000, 1800000, 3600000];
+const CHART_MIN_SPAN_MS = 2000;
+const CHART_BAND_ALPHA = '14'; // Hex alpha appended to a band's colour
+
+/**
+ * Time-series plot over a TelemetryHistory.
+ * options: {
+ *   series: [{ channel, label, color, unit, digits, axis: 'left' | 'right', convert? }], // convert: stored value -> plotted
+ *   axes: { left: { min, max }, right: { min, max } }, // Omitted bounds follow the data
+ *   bands: [{ axis, from, to, color }] or a function returning them,
+ *   history: TelemetryHistory, // Without one the chart keeps its own, fed by update(sample)
+ *   tripStart: () => t | null // Start of the 'trip' range
+ * }
+ * Hover shows a crosshair tooltip, dragging zooms in, double-click zooms back out.
+ */
+export class DetailedChart {
+    constructor(canvasId, options) {
+        this.canvas = document.getElementById(canvasId);
+        if (!this.canvas) return;
+        this.ctx = this.canvas.getContext('2d');
+        this.series = options.series;
+        this.axes = options.axes || {};
+        this.bands = options.bands || [];
+        this.ownsHistory = !options.history;
+        this.history = options.history || new TelemetryHistory();
+        this.tripStart = options.tripStart || (() => null);
+        this.range = '1m';
+        this.zoom = null; // { from, to } while zoomed in; the view stops following live data
+        this.hoverX = null;
+        this.dragFrom = null;
+        this.width = this.canvas.width;
+        this.height = this.canvas.height;
+        this.padding = { top: 30, right: 45, bottom: 30, left: 45 };
+        this.bindPointer();
+    }
+
+    update(sample) {
+        if (!this.ctx) return;
+        if (sample && this.ownsHistory) this.history.push(sample);
+        this.draw();
+    }
+
+    setSeries(series) {
+        this.series = series;
+        this.update();
+    }
+
+    /** A row's value for a series, in the series' unit. */
+    valueOf(s, row) {
+        return s.convert ? s.convert(row[s.channel]) : row[s.channel];
+    }
+
+    setRange(range) {
+        if (!this.ctx || !(range in CHART_RANGES)) return;
+        this.range = range;
+        this.zoom = null;
+        this.draw();
+    }
+
+    bindPointer() {
+        // Canvas pixels, whatever size CSS gives the element
+        const toX = (e) => {
+            const rect = this.canvas.getBoundingClientRect();
+            return (e.clientX - rect.left) * (this.width / rect.width);
+        };
+        this.canvas.addEventListener('pointermove', (e) => {
+            this.hoverX = toX(e);
+            this.draw();
+        });
+        this.canvas.addEventListener('pointerleave', () => {
+            this.hoverX = null;
+            this.dragFrom = null;
+            this.draw();
+        });
+        this.canvas.addEventListener('pointerdown', (e) => {
+            this.dragFrom = toX(e);
+            this.canvas.setPointerCapture(e.pointerId);
+        });
+        this.canvas.addEventListener('pointerup', (e) => {
+            const from = this.dragFrom;
+            this.dragFrom = null;
+            if (from === null || Math.abs(toX(e) - from) < 5) return this.draw();
+            const view = this.view();
+            const a = this.timeAt(Math.min(from, toX(e)), view);
+            const b = this.timeAt(Math.max(from, toX(e)), view);
+            if (b - a >= CHART_MIN_SPAN_MS) this.zoom = { from: a, to: b };
+            this.draw();
+        });
+        this.canvas.addEventListener('dblclick', () => {
+            this.zoom = null;
+            this.draw();
+        });
+    }
+
+    plotRect() {
+        return {
+            x: this.padding.left,
+            y: this.padding.top,
+            w: this.width - this.padding.left - this.padding.right,
+            h: this.height - this.padding.top - this.padding.bottom
+        };
+    }
+
+    /** Visible time window: the zoom if any, else the selected range ending at the newest sample. */
+    view() {
+        if (this.zoom) return this.zoom;
+        const last = this.history.latest();
+        const first = this.history.first();
+        const to = last ? last.t : Date.now();
+        const span = CHART_RANGES[this.range];
+        let from = span ? to - span : (this.tripStart() || (first ? first.t : to));
+        if (to - from < CHART_MIN_SPAN_MS) from = to - CHART_MIN_SPAN_MS;
+        return { from, to };
+    }
+
+    timeAt(x, view) {
+        const p = this.plotRect();
+        const f = Math.max(0, Math.min(1, (x - p.x) / p.w));
+        return view.from + f * (view.to - view.from);
+    }
+
+    /** { min, max } for one axis over the visible samples, unless the axis is pinned. */
+    scale(axis, rows) {
+        const series = this.series.filter(s => (s.axis || 'left') === axis);
+        if (!series.length) return null;
+        const cfg = this.axes[axis] || {};
+        let min = Infinity;
+        let max = -Infinity;
+        rows.forEach(r => series.forEach(s => {
+            const v = this.valueOf(s, r);
+            if (v < min) min = v;
+            if (v > max) max = v;
+        }));
+        if (min === Infinity) { min = 0; max = 1; }
+        const pad = (max - min) * 0.1 || Math.abs(max) * 0.1 || 1;
+        return {
+            min: cfg.min !== undefined ? cfg.min : min - pad,
+            max: cfg.max !== undefined ? cfg.max : max + pad
+        };
+    }
+
+    formatTime(t, stepMs) {
+        const opts = { hour: '2-digit', minute: '2-digit', hour12: false };
+        if (stepMs < 60000) opts.second = '2-digit';
+        return new Date(t).toLocaleTimeString(display.settings.locale, opts);
+    }
+
+    draw() {
+        if (!this.ctx) return;
+        const ctx = this.ctx;
+        const p = this.plotRect();
+        const view = this.view();
+        const span = view.to - view.from;
+        const rows = this.history.range(view.from, view.to);
+        const scales = { left: this.scale('left', rows), right: this.scale('right', rows) };
+        const xOf = (t) => p.x + ((t - view.from) / span) * p.w;
+        const yOf = (axis, v) => {
+            const sc = scales[axis || 'left'];
+            return p.y + p.h - ((v - sc.min) / (sc.max - sc.min)) * p.h;
+        };
+        ctx.clearRect(0, 0, this.width, this.height);
+
+        // Threshold bands
+        const bands = typeof this.bands === 'function' ? this.bands() : this.bands;
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(p.x, p.y, p.w, p.h);
+        ctx.clip();
+        bands.forEach(b => {
+            if (!scales[b.axis || 'left']) return;
+            const top = yOf(b.axis, b.to === undefined ? scales[b.axis || 'left'].max : b.to);
+            const bottom = yOf(b.axis, b.from);
+            ctx.fillStyle = b.color + CHART_BAND_ALPHA;
+            ctx.fillRect(p.x, top, p.w, bottom - top);
+            ctx.strokeStyle = b.color + '55';
+            ctx.setLineDash([4, 4]);
+            ctx.beginPath();
+            ctx.moveTo(p.x, bottom);
+            ctx.lineTo(p.x + p.w, bottom);
+            ctx.stroke();
+            ctx.setLineDash([]);
+        });
+        ctx.restore();
+
+        // Grid and time axis on whole-clock steps
+        const stepMs = CHART_TIME_STEPS_MS.find(s => span / s <= 6) || CHART_TIME_STEPS_MS[CHART_TIME_STEPS_MS.length - 1];
+        const ticks = [];
+        for (let t = Math.ceil(view.from / stepMs) * stepMs; t <= view.to; t += stepMs) ticks.push(t);
+        ctx.strokeStyle = 'rgba(255,255,255,0.05)';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ticks.forEach(t => {
+            ctx.moveTo(xOf(t), p.y);
+            ctx.lineTo(xOf(t), p.y + p.h);
+        });
+        for (let i = 0; i <= 4; i++) {
+            const y = p.y + (p.h / 4) * i;
+            ctx.moveTo(p.x, y);
+            ctx.lineTo(p.x + p.w, y);
+        }
+        ctx.stroke();
+
+        ctx.fillStyle = '#666';
+        ctx.font = '10px Roboto';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'top';
+        ticks.forEach(t => ctx.fillText(this.formatTime(t, stepMs), xOf(t), p.y + p.h + 8));
+
+        // Y axes, each labelled in the colour of its first series
+        ctx.textBaseline = 'middle';
+        ['left', 'right'].forEach(axis => {
+            const sc = scales[axis];
+            if (!sc) return;
+            const s = this.series.find(x => (x.axis || 'left') === axis);
+            ctx.fillStyle = this.series.some(x => (x.axis || 'left') !== axis) ? s.color + 'aa' : '#666';
+            ctx.textAlign = axis === 'left' ? 'right' : 'left';
+            for (let i = 0; i <= 4; i++) {
+                const val = sc.min + (sc.max - sc.min) * (1 - i / 4);
+                const digits = Math.abs(sc.max - sc.min) < 10 ? 1 : 0;
+                ctx.fillText(val.toFixed(digits), axis === 'left' ? p.x - 8 : p.x + p.w + 8, p.y + (p.h / 4) * i);
+            }
+        });
+
+        // Anomaly / alert markers
+        const markers = this.history.markersIn(view.from, view.to);
+        markers.forEach(m => {
+            const x = xOf(m.t);
+            ctx.strokeStyle = SEVERITY_COLORS[m.severity] || SEVERITY_COLORS.warning;
+            ctx.fillStyle = ctx.strokeStyle;
+            ctx.setLineDash([2, 3]);
+            ctx.beginPath();
+            ctx.moveTo(x, p.y);
+            ctx.lineTo(x, p.y + p.h);
+            ctx.stroke();
+            ctx.setLineDash([]);
+            ctx.beginPath();
+            ctx.moveTo(x - 4, p.y);
+            ctx.lineTo(x + 4, p.y);
+            ctx.lineTo(x, p.y + 6);
+            ctx.fill();
+        });
+
+        // Series: raw points when they fit, otherwise a min/max envelope per pixel column
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(p.x, p.y, p.w, p.h);
+        ctx.clip();
+        this.series.forEach(s => {
+            ctx.beginPath();
+            ctx.strokeStyle = s.color;
+            ctx.lineWidth = 2;
+            ctx.lineJoin = 'round';
+            if (rows.length <= p.w) {
+                rows.forEach((r, i) => {
+                    if (i === 0) ctx.moveTo(xOf(r.t), yOf(s.axis, this.valueOf(s, r)));
+                    else ctx.lineTo(xOf(r.t), yOf(s.axis, this.valueOf(s, r)));
+                });
+            } else {
+                ctx.lineWidth = 1.5;
+                let col = -1;
+                let lo = 0;
+                let hi = 0;
+                const flush = () => {
+                    const x = p.x + col;
+                    ctx.lineTo(x, yOf(s.axis, hi));
+                    ctx.lineTo(x, yOf(s.axis, lo));
+                };
+                rows.forEach(r => {
+                    const c = Math.floor(((r.t - view.from) / span) * p.w);
+                    const v = this.valueOf(s, r);
+                    if (c !== col) {
+                        if (col >= 0) flush();
+                        else ctx.moveTo(p.x + c, yOf(s.axis, v));
+                        col = c;
+                        lo = v;
+                        hi = v;
+                    } else {
+                        lo = Math.min(lo, v);
+                        hi = Math.max(hi, v);
+                    }
+                });
+                if (col >= 0) flush();
+            }
+            ctx.stroke();
+        });
+        ctx.restore();
+
+        // Legend with the newest visible values
+        const last = rows[rows.length - 1];
+        ctx.font = 'bold 12px Roboto';
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'alphabetic';
+        let lx = p.x + 10;
+        this.series.forEach(s => {
+            const text = `${s.label} ${last ? display.number(this.valueOf(s, last), s.digits || 0) : '--'} ${s.unit}`;
+            ctx.fillStyle = s.color;
+            ctx.fillText(text, lx, p.y - 10);
+            lx += ctx.measureText(text).width + 16;
+        });
+
+        if (this.zoom) {
+            ctx.fillStyle = '#666';
+            ctx.font = '10px Roboto';
+            ctx.textAlign = 'right';
+            ctx.fillText(display.t('chart.zoomed'), p.x + p.w, p.y - 10);
+        }
+
+        // Drag-to-zoom selection
+        if (this.dragFrom !== null && this.hoverX !== null) {
+            const a = Math.max(p.x, Math.min(this.dragFrom, this.hoverX));
+            const b = Math.min(p.x + p.w, Math.max(this.dragFrom, this.hoverX));
+            ctx.fillStyle = 'rgba(0, 229, 255, 0.08)';
+            ctx.fillRect(a, p.y, b - a, p.h);
+        }
+
+        if (this.hoverX !== null && this.hoverX >= p.x && this.hoverX <= p.x + p.w && rows.length) {
+            this.drawCrosshair(rows, markers, view, xOf, yOf);
+        }
+    }
+
+    drawCrosshair(rows, markers, view, xOf, yOf) {
+        const ctx = this.ctx;
+        const p = this.plotRect();
+        const t = this.timeAt(this.hoverX, view);
+        let row = rows[0];
+        rows.forEach(r => { if (Math.abs(r.t - t) < Math.abs(row.t - t)) row = r; });
+        const x = xOf(row.t);
+
+        ctx.strokeStyle = 'rgba(255,255,255,0.3)';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(x, p.y);
+        ctx.lineTo(x, p.y + p.h);
+        ctx.stroke();
+        this.series.forEach(s => {
+            ctx.fillStyle = s.color;
+            ctx.beginPath();
+            ctx.arc(x, yOf(s.axis, this.valueOf(s, row)), 3, 0, Math.PI * 2);
+            ctx.fill();
+        });
+
+        const near = (view.to - view.from) / 100;
+        const lines = [
+            { text: new Date(row.t).toLocaleTimeString(display.settings.locale, { hour12: false }), color: '#aaa' },
+            ...this.series.map(s => ({ text: `${s.label}: ${display.number(this.valueOf(s, row), s.digits || 0)} ${s.unit}`, color: s.color })),
+            ...markers.filter(m => Math.abs(m.t - row.t) <= near)
+                .map(m => ({ text: m.ruleId ? alertRuleLabel(m, display) : display.format(m.label), color: SEVERITY_COLORS[m.severity] || SEVERITY_COLORS.warning }))
+        ];
+        ctx.font = '11px Roboto';
+        const w = Math.max(...lines.map(l => ctx.measureText(l.text).width)) + 16;
+        const h = lines.length * 15 + 8;
+        const bx = x + 10 + w > p.x + p.w ? x - 10 - w : x + 10;
+        ctx.fillStyle = 'rgba(10, 10, 10, 0.9)';
+        ctx.strokeStyle = 'rgba(255,255,255,0.1)';
+        ctx.fillRect(bx, p.y + 4, w, h);
+        ctx.strokeRect(bx, p.y + 4, w, h);
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'top';
+        lines.forEach((l, i) => {
+            ctx.fillStyle = l.color;
+            ctx.fillText(l.text, bx + 8, p.y + 8 + i * 15);
+        });
+    }
+}
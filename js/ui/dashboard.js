@@ -0,0 +1,297 @@
+/**
+ * NEXUS AI - Dashboard
+ * Live readings, cockpit gauges, charts and the AI cards. What the cards show is
+ * decided in js/ai-view.js; this only renders it.
+ */
+
+import { SEVERITY_COLORS, healthRisk, driverColor, monitorStatus } from '../ai-view.js';
+import { alertRuleLabel } from '../alert-rules.js';
+import { display } from '../display-settings.js';
+import { escapeHtml } from '../health-report.js';
+import { rulFactorLabel } from '../rul-estimator.js';
+import { DetailedChart } from './chart.js';
+
+// Dial full scale per display unit, so each unit gets round numbers rather than a converted 160 km/h.
+const GAUGE_SCALES = {
+    speed: { kmh: [0, 160], mph: [0, 100] },
+    temperature: { c: [0, 130], f: [32, 270] }
+};
+
+export class UIController {
+    constructor(source, ml, history) {
+        this.source = source;
+        this.ml = ml;
+        this.session = null;
+
+        // Helper to safely get element
+        const get = (id) => document.getElementById(id);
+
+        this.els = {
+            rpm: get('val-rpm'),
+            speed: get('val-speed'),
+            throttle: get('val-throttle'),
+            throttleBar: get('prog-throttle'),
+            load: get('val-load'),
+            loadBar: get('prog-load'),
+            coolant: get('val-coolant'),
+            battery: get('val-battery'),
+            sourceStatus: get('source-status'),
+            sourceDot: get('source-dot'),
+            gaugeRpm: get('gauge-rpm-val'),
+            gaugeSpeed: get('gauge-speed-val'),
+            gaugeTemp: get('gauge-temp-val'),
+
+            // AI ELEMENTS
+            healthScore: get('health-score-val'),
+            healthRing: get('health-ring-fill'),
+            healthRul: get('rul-val'),
+            rulBreakdown: get('rul-breakdown'),
+            healthRisk: get('health-risk'),
+            healthSummary: get('health-summary'),
+
+            driverBadge: get('driver-badge'),
+            driverConfBar: get('driver-conf-bar'),
+            driverConfVal: get('driver-conf-val'),
+            fuelImpact: get('fuel-impact'),
+            driverSummary: get('driver-summary'),
+            driverProbs: get('driver-probs'),
+            driverModel: get('driver-model'),
+
+            anomalyStatus: get('anomaly-status-badge'),
+            anomalyList: get('anomaly-list'),
+            recsList: get('recs-list')
+        };
+
+        // CHARTS (DetailedChart handles a missing canvas safely)
+        const tripStart = () => {
+            const trip = this.session && this.session.currentTrip();
+            return trip ? trip.startedAt : null;
+        };
+        this.charts = [
+            new DetailedChart('load-chart', {
+                history, tripStart,
+                series: this.chartSeries([
+                    { channel: 'load', label: 'chart.load', color: '#00e5ff', axis: 'left' },
+                    { channel: 'coolant', label: 'chart.coolant', color: '#bd00ff', axis: 'right' }
+                ]),
+                axes: { left: { min: 0, max: 100 } },
+                bands: () => this.alertBands('coolant', 'right')
+            }),
+            new DetailedChart('fuel-chart', {
+                history, tripStart,
+                series: this.chartSeries([
+                    { channel: 'fuelEff', label: 'chart.fuel', color: '#00ff41', digits: 1, axis: 'left' },
+                    { channel: 'speed', label: 'chart.speed', color: '#00e5ff', axis: 'right' }
+                ]),
+                axes: { left: { min: 0 }, right: { min: 0 } }
+            })
+        ];
+        this.rangeButtons = document.querySelectorAll('.chart-range');
+        this.rangeButtons.forEach(btn => btn.addEventListener('click', () => {
+            this.charts.forEach(chart => chart.setRange(btn.dataset.range));
+            this.rangeButtons.forEach(b => b.classList.toggle('active', b === btn));
+        }));
+    }
+
+    setSession(session) { this.session = session; }
+
+    /** Chart series in the display units; label is a catalog key. */
+    chartSeries(series) {
+        return series.map(s => ({
+            ...s,
+            key: s.key || s.label,
+            label: display.t(s.key || s.label),
+            unit: display.units.channelUnit(s.channel),
+            convert: (v) => display.units.channelValue(s.channel, v)
+        }));
+    }
+
+    /** Units or language changed: relabel the charts and redraw everything. */
+    applyDisplay() {
+        this.updateSourceStatus();
+        this.charts.forEach(chart => chart.setSeries(this.chartSeries(chart.series || [])));
+        this.updateFast();
+        this.updateMedium();
+        this.updateAI();
+    }
+
+    /** The alert rules' gauge bands for a channel, as chart threshold bands. */
+    alertBands(channel, axis) {
+        const bands = (this.ml.alerts.ruleSet.gaugeBands || {})[channel] || [];
+        const convert = (v) => (v === undefined ? v : display.units.channelValue(channel, v));
+        return bands.map((b, i) => ({
+            axis,
+            from: convert(b.from),
+            to: convert(bands[i + 1] ? bands[i + 1].from : undefined),
+            color: SEVERITY_COLORS[b.severity]
+        }));
+    }
+
+    setSource(source) {
+        this.source = source;
+        this.updateSourceStatus();
+    }
+
+    updateSourceStatus() {
+        if (this.els.sourceStatus) this.els.sourceStatus.textContent = display.format(this.source.describeStatus());
+        if (this.els.sourceDot) this.els.sourceDot.className = `status-dot pulsing ${this.source.status}`;
+    }
+
+    updateFast() {
+        const data = this.source.getData();
+        if (this.els.rpm) this.els.rpm.textContent = Math.round(data.rpm);
+        if (this.els.speed) this.els.speed.textContent = Math.round(display.units.convert('speed', data.speed));
+        if (this.els.throttle) this.els.throttle.textContent = Math.round(data.throttle);
+        if (this.els.load) this.els.load.textContent = Math.round(data.load);
+        if (this.els.throttleBar) this.els.throttleBar.style.width = `${data.throttle}%`;
+        if (this.els.loadBar) this.els.loadBar.style.width = `${data.load}%`;
+
+        this.updateGauges(data);
+
+        // Charts will self-check for canvas existence
+        this.charts.forEach(chart => chart.update());
+    }
+
+    /** Share of a dial's sweep for a metric reading, on the scale of the current display unit. */
+    gaugeFraction(quantity, value) {
+        const [min, max] = GAUGE_SCALES[quantity][display.units.choices[quantity]];
+        return Math.max(0, Math.min((display.units.convert(quantity, value) - min) / (max - min), 1));
+    }
+
+    updateGauges(data) {
+        // Speed Gauge (Full Circle)
+        if (this.els.gaugeSpeed) this.els.gaugeSpeed.textContent = Math.round(display.units.convert('speed', data.speed));
+
+        // 565 is circumference of r=90 circle
+        const speedOffset = 565 - (this.gaugeFraction('speed', data.speed) * 565 * 0.75); // 0.75 because it's probably not a full 360 use visually? wrapper says full-circle but offset logic suggests partial. 
+        // Actually earlier code used 0.75 factor, keeping it for safety or visual preference.
+        // Wait, earlier code: const offset = 565 - ((data.speed / maxSpeed) * 565 * 0.75);
+        // If it used 0.75, it means at max speed it's 25% empty.
+
+        const gaugeFill = document.getElementById('gauge-speed-fill');
+        if (gaugeFill) gaugeFill.style.strokeDashoffset = speedOffset;
+
+        // RPM Gauge (Semi-Circle, length 251)
+        if (this.els.gaugeRpm) this.els.gaugeRpm.textContent = Math.round(data.rpm);
+        const rpmFill = document.getElementById('gauge-rpm-fill');
+        if (rpmFill) {
+            const maxRpm = 6000;
+            const rpmPct = Math.min(data.rpm / maxRpm, 1);
+            // 251 is full length. Offset 251 = empty. Offset 0 = full.
+            const rpmOffset = 251 - (rpmPct * 251);
+            rpmFill.style.strokeDashoffset = rpmOffset;
+        }
+
+        // Temp Gauge (Semi-Circle)
+        if (this.els.gaugeTemp) this.els.gaugeTemp.textContent = Math.round(display.units.convert('temperature', data.coolant));
+        const tempFill = document.getElementById('gauge-temp-fill');
+        if (tempFill) {
+            const tempPct = this.gaugeFraction('temperature', data.coolant);
+            const tempOffset = 251 - (tempPct * 251);
+            tempFill.style.strokeDashoffset = tempOffset;
+
+            // Colour bands come from the vehicle's alert rule set
+            tempFill.style.stroke = SEVERITY_COLORS[this.ml.alerts.gaugeSeverity('coolant', data.coolant)];
+        }
+    }
+
+    updateMedium() {
+        const data = this.source.getData();
+        if (this.els.coolant) this.els.coolant.textContent = Math.round(display.units.convert('temperature', data.coolant));
+        if (this.els.battery) this.els.battery.textContent = data.battery.toFixed(1);
+        this.updateSourceStatus();
+    }
+
+    monitorText(item) {
+        if (item.anomaly) return `${display.format(item.anomaly.message)} <span class="score">${display.number(item.anomaly.score, 1)}</span>`;
+        if (item.alert) return escapeHtml(alertRuleLabel(item.alert, display));
+        return display.format(item.message);
+    }
+
+    updateAI() {
+        // The host runs inference whichever page is open; this only renders its latest result.
+        const result = this.ml.result;
+        if (!result || (!this.els.healthScore && !this.els.driverBadge)) return;
+
+        // 1. HEALTH CARD
+        if (this.els.healthScore) {
+            this.els.healthScore.textContent = result.scores.hygiene;
+
+            const { level: risk, color } = healthRisk(result.scores.hygiene);
+
+            this.els.healthScore.style.color = color;
+            if (this.els.healthRing) {
+                this.els.healthRing.style.stroke = color;
+                this.els.healthRing.style.strokeDasharray = `${result.scores.hygiene}, 100`;
+            }
+            if (this.els.healthRisk) {
+                this.els.healthRisk.textContent = display.t(`risk.${risk}`);
+                this.els.healthRisk.style.color = color;
+            }
+            if (this.els.healthRul) {
+                this.els.healthRul.textContent = display.t('rul.estimate', result.rul);
+            }
+            if (this.els.rulBreakdown) {
+                this.els.rulBreakdown.innerHTML = result.rul.components.map(c => `
+                    <li class="${c.id === result.rul.component ? 'limiting' : ''}">
+                        <span class="name">${display.label('rul.component', c.id, c.label)}</span>
+                        <span class="km">${display.quantity('distance', c.val)}</span>
+                        <span class="factors">${c.factors.length
+                            ? c.factors.slice(0, 2).map(f => `${rulFactorLabel(f, display)} ${Math.round(f.share * 100)}%`).join(' · ')
+                            : display.t('rul.normalWear')}</span>
+                    </li>
+                `).join('');
+            }
+
+            if (this.els.healthSummary) this.els.healthSummary.textContent = display.t(`health.summary.${risk}`);
+        }
+
+        // 2. DRIVER CARD
+        if (this.els.driverBadge) {
+            const type = result.driver.type;
+            const color = driverColor(type);
+            this.els.driverBadge.textContent = display.label('driver.type', type);
+            if (this.els.fuelImpact) this.els.fuelImpact.textContent = display.label('driver.impact', type, display.t('driver.impact.neutral'));
+            this.els.driverBadge.style.color = color;
+            this.els.driverBadge.style.textShadow = `0 0 10px ${color}66`;
+
+            if (this.els.driverConfVal) this.els.driverConfVal.textContent = result.driver.conf + "%";
+            if (this.els.driverConfBar) this.els.driverConfBar.style.width = result.driver.conf + "%";
+            if (this.els.driverSummary) this.els.driverSummary.textContent = display.format(result.driver.insight);
+            if (this.els.driverModel) this.els.driverModel.textContent = display.t('driver.model', { model: result.driver.model || display.t('driver.modelNotLoaded') });
+            if (this.els.driverProbs) {
+                this.els.driverProbs.innerHTML = Object.entries(result.driver.probs).map(([cls, p]) => `
+                    <div class="driver-share${cls === type ? ' top' : ''}">
+                        <span class="type">${display.label('driver.type', cls)}</span>
+                        <div class="progress-bar-bg"><div class="progress-bar-fill" style="width: ${Math.round(p * 100)}%"></div></div>
+                        <span class="pct">${Math.round(p * 100)}%</span>
+                    </div>
+                `).join('');
+            }
+        }
+
+        // 3. ANOMALY MONITOR
+        if (this.els.anomalyStatus) {
+            const { status, statusClass, items } = monitorStatus(result);
+            this.els.anomalyStatus.className = `monitor-status ${statusClass}`;
+            const txt = this.els.anomalyStatus.querySelector('.status-text');
+            if (txt) txt.textContent = display.t(status);
+
+            if (this.els.anomalyList) {
+                this.els.anomalyList.innerHTML = items.map(i => `
+                    <li><span class="material-icons ${i.class}">${i.icon}</span> ${this.monitorText(i)}</li>
+                `).join('');
+            }
+        }
+
+        // 4. RECOMMENDATIONS
+        if (this.els.recsList) {
+            this.els.recsList.innerHTML = result.recommendations.map(r => `
+                <div class="rec-item">
+                     <span class="material-icons icon">info</span>
+                     <span class="text">${display.format(r)}</span>
+                </div>
+            `).join('');
+        }
+    }
+}
@@ -0,0 +1,68 @@
+/**
+ * NEXUS AI - Drive Mode
+ * Cockpit for a phone or tablet on the dashboard: full screen, locked to landscape, with
+ * the screen kept on. Browsers support different parts of that, so each is best effort.
+ */
+
+export class DriveMode {
+    constructor(router) {
+        this.button = document.getElementById('btn-drive-mode');
+        this.active = false;
+        this.wakeLock = null;
+        if (!this.button) return;
+
+        this.button.addEventListener('click', () => (this.active ? this.exit() : this.enter()));
+        document.addEventListener('fullscreenchange', () => {
+            if (this.active && !document.fullscreenElement) this.exit();
+        });
+        // The browser drops the wake lock whenever the page is hidden
+        document.addEventListener('visibilitychange', () => {
+            if (this.active && document.visibilityState === 'visible') this.keepAwake();
+        });
+        router.onChange(page => {
+            if (this.active && page !== 'cockpit.html') this.exit();
+        });
+    }
+
+    async enter() {
+        this.active = true;
+        this.render();
+        try {
+            await document.documentElement.requestFullscreen({ navigationUI: 'hide' });
+            await screen.orientation.lock('landscape');
+        } catch (err) {
+            console.warn('Drive mode without full screen or landscape lock:', err.message);
+        }
+        await this.keepAwake();
+    }
+
+    async keepAwake() {
+        if (!('wakeLock' in navigator)) return;
+        try {
+            this.wakeLock = await navigator.wakeLock.request('screen');
+        } catch (err) {
+            console.warn('Screen may turn off, wake lock refused:', err.message);
+        }
+    }
+
+    async exit() {
+        this.active = false;
+        this.render();
+        if (this.wakeLock) this.wakeLock.release().catch(() => { });
+        this.wakeLock = null;
+        if (screen.orientation && screen.orientation.unlock) {
+            try {
+                screen.orientation.unlock();
+            } catch (err) {
+                // Nothing was locked
+            }
+        }
+        if (document.fullscreenElement) await document.exitFullscreen().catch(() => { });
+    }
+
+    render() {
+        document.body.classList.toggle('drive-mode', this.active);
+        this.button.classList.toggle('active', this.active);
+        this.button.querySelector('.material-icons').textContent = this.active ? 'fullscreen_exit' : 'fullscreen';
+    }
+}
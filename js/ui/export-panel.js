@@ -0,0 +1,124 @@
+/**
+ * NEXUS AI - Export Panel
+ * Raw samples and inference output for a chosen time range as CSV / JSON, and the
+ * printable health report built from the same slice of history.
+ */
+
+import { display } from '../display-settings.js';
+import { HEALTH_WEIGHTS } from '../health-model.js';
+import { HealthReport } from '../health-report.js';
+import { TripRecorder } from '../trip-recorder.js';
+
+export class ExportPanel {
+    constructor(history, faultCodes) {
+        this.history = history;
+        this.faultCodes = faultCodes;
+        this.session = null;
+        const get = (id) => document.getElementById(id);
+        this.els = {
+            form: get('export-form'),
+            range: get('export-range'),
+            summary: get('export-summary')
+        };
+        if (!this.els.form) return;
+        this.els.custom = this.els.form.querySelectorAll('[data-custom]');
+        this.els.buttons = this.els.form.querySelectorAll('button');
+
+        this.els.range.addEventListener('change', () => {
+            const custom = this.els.range.value === 'custom';
+            if (custom) {
+                // Start from whatever is held, so the pickers only need narrowing
+                const first = this.history.first();
+                const last = this.history.latest();
+                this.els.form.elements.from.value = ExportPanel.localInput(first ? first.t : Date.now());
+                this.els.form.elements.to.value = ExportPanel.localInput(last ? last.t : Date.now());
+            }
+            this.els.custom.forEach(el => { el.hidden = !custom; });
+            this.render();
+        });
+        this.els.form.addEventListener('input', () => this.render());
+        this.els.form.addEventListener('click', (e) => {
+            const btn = e.target.closest('[data-export]');
+            if (btn) this.exportData(btn.dataset.export);
+        });
+        this.els.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.openReport();
+        });
+    }
+
+    setSession(session) { this.session = session; }
+
+    /** Value for a datetime-local input, which wants local time without a zone. */
+    static localInput(t) {
+        return new Date(t - new Date(t).getTimezoneOffset() * 60000).toISOString().slice(0, 19);
+    }
+
+    range() {
+        const latest = this.history.latest();
+        const to = latest ? latest.t : Date.now();
+        const value = this.els.range.value;
+        if (value === 'custom') {
+            const { from: a, to: b } = this.els.form.elements;
+            return { from: new Date(a.value).getTime(), to: new Date(b.value).getTime() };
+        }
+        if (value === 'trip') {
+            const trip = this.session && this.session.currentTrip();
+            return { from: trip ? trip.startedAt : to, to };
+        }
+        return { from: to - Number(value), to };
+    }
+
+    slice() {
+        const { from, to } = this.range();
+        return {
+            from,
+            to,
+            samples: this.history.range(from, to),
+            inferences: this.history.inferencesIn(from, to),
+            markers: this.history.markersIn(from, to)
+        };
+    }
+
+    render() {
+        if (!this.els.form) return;
+        const { from, to } = this.range();
+        const valid = from < to;
+        const samples = valid ? this.history.indexAt(to + 1) - this.history.indexAt(from) : 0;
+        const results = valid ? this.history.inferencesIn(from, to).length : 0;
+        this.els.summary.textContent = valid
+            ? display.t('export.summary', { samples, results })
+            : display.t('export.badRange');
+        this.els.buttons.forEach(btn => { btn.disabled = !samples; });
+    }
+
+    exportData(format) {
+        const slice = this.slice();
+        if (!slice.samples.length) return;
+        const stamp = new Date(slice.from).toISOString().replace(/[:.]/g, '-');
+        TripRecorder.saveFile(
+            { startedAt: slice.from, source: this.history.sourceLabel, samples: slice.samples, inferences: slice.inferences },
+            format, `nexus-export-${stamp}`);
+    }
+
+    openReport() {
+        const slice = this.slice();
+        // The weights the slice was scored with, which the vehicle's own may have replaced
+        const scored = slice.inferences.filter(r => r.health).pop();
+        const report = HealthReport.build({
+            ...slice,
+            profile: this.session ? this.session.profile : null,
+            dtcs: this.faultCodes.result,
+            weights: scored ? scored.health.weights : HEALTH_WEIGHTS
+        });
+        const url = URL.createObjectURL(new Blob([HealthReport.toHTML(report, display.i18n)], { type: 'text/html' }));
+        // Blocked pop-ups still get the report, as a download
+        if (!window.open(url, '_blank')) {
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `nexus-health-report-${new Date(slice.to).toISOString().slice(0, 10)}.html`;
+            link.click();
+        }
+        setTimeout(() => URL.revokeObjectURL(url), 60000);
+    }
+}
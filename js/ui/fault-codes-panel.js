@@ -0,0 +1,106 @@
+/**
+ * NEXUS AI - Fault Codes Panel
+ * Stored/pending trouble codes with the live channels they affect, the freeze frame
+ * and Mode 04 clear on the AI page. Asks whichever source is active.
+ */
+
+import { display } from '../display-settings.js';
+import { CHANNEL_META } from '../telemetry-source.js';
+
+export class FaultCodesPanel {
+    constructor() {
+        this.source = null;
+        this.result = null;
+        this.error = '';
+        this.busy = false;
+        const get = (id) => document.getElementById(id);
+        this.els = {
+            status: get('dtc-status'),
+            list: get('dtc-list'),
+            freeze: get('dtc-freeze'),
+            read: get('btn-dtc-read'),
+            clear: get('btn-dtc-clear')
+        };
+        if (!this.els.list) return;
+        this.els.read.addEventListener('click', () => this.refresh());
+        this.els.clear.addEventListener('click', () => this.clear());
+    }
+
+    setSource(source) {
+        this.source = source;
+        this.result = null;
+        this.refresh();
+    }
+
+    async refresh() {
+        if (!this.els.list || !this.source || this.busy) return;
+        this.busy = true;
+        try {
+            this.result = await this.source.readDtcs();
+            this.error = '';
+        } catch (err) {
+            this.error = err.message;
+        } finally {
+            this.busy = false;
+        }
+        this.render();
+    }
+
+    async clear() {
+        if (!this.result || !confirm(display.t('dtc.confirmClear'))) return;
+        try {
+            await this.source.clearDtcs();
+        } catch (err) {
+            this.error = err.message;
+        }
+        await this.refresh();
+    }
+
+    formatChannel(ch, value) {
+        return `${display.label('channel', ch, CHANNEL_META[ch] ? CHANNEL_META[ch].label : ch)} ${display.reading(ch, value)}`;
+    }
+
+    render() {
+        if (!this.els.list || !this.source) return;
+        const r = this.result;
+        let status = display.t('dtc.status.none');
+        let statusClass = '';
+        if (this.error) {
+            status = display.t('dtc.status.failed');
+            statusClass = 'warning';
+        } else if (!r) {
+            status = display.t('dtc.status.noAccess');
+            statusClass = 'warning';
+        } else if (r.stored.length) {
+            status = display.t(r.pending.length ? 'dtc.status.storedPending' : 'dtc.status.stored', { stored: r.stored.length, pending: r.pending.length });
+            statusClass = 'critical';
+        } else if (r.pending.length) {
+            status = display.t('dtc.status.pending', { pending: r.pending.length });
+            statusClass = 'warning';
+        }
+        this.els.status.className = `monitor-status ${statusClass}`;
+        this.els.status.querySelector('.status-text').textContent = status;
+        this.els.clear.disabled = !r;
+
+        const codes = r ? [...r.stored, ...r.pending] : [];
+        const data = this.source.getData();
+        this.els.list.innerHTML = codes.length
+            ? codes.map(d => `
+                <li class="${d.kind}${d.critical ? ' critical' : ''}">
+                    <span class="code">${d.code}</span>
+                    <span class="desc">${d.description}</span>
+                    <span class="kind">${display.label('dtc.kind', d.kind)}</span>
+                    <span class="channels">${d.channels.map(ch => `<span class="chip">${this.formatChannel(ch, data[ch])}</span>`).join('')}</span>
+                </li>
+            `).join('')
+            : `<li class="empty">${this.error || display.t(r ? 'dtc.noCodes' : 'dtc.noAccess')}</li>`;
+
+        const ff = r && r.freezeFrame;
+        this.els.freeze.innerHTML = ff
+            ? `<div class="label">${display.t('dtc.freezeFrame', { code: ff.code })}</div>
+                <table>${Object.entries(ff.sample).filter(([ch]) => CHANNEL_META[ch]).map(([ch, v]) => `
+                    <tr><td>${display.label('channel', ch, CHANNEL_META[ch].label)}</td><td class="val">${display.reading(ch, v)}</td></tr>
+                `).join('')}</table>`
+            : '';
+    }
+}
@@ -0,0 +1,166 @@
+/**
+ * NEXUS AI - Fleet Overview
+ * Fleet page: one live row per vehicle, most urgent first, each linking into the
+ * telemetry / cockpit / AI pages scoped to that vehicle.
+ */
+
+import { SEVERITY_COLORS, healthRisk } from '../ai-view.js';
+import { alertRuleLabel } from '../alert-rules.js';
+import { display } from '../display-settings.js';
+import { FleetRoster } from '../fleet.js';
+import { escapeHtml } from '../health-report.js';
+import { IngestFeedSource } from '../ingest-feed.js';
+import { SCENARIOS, DRIVER_STYLES } from '../simulator.js';
+import { DEFAULT_VEHICLE_ID } from '../vehicle-store.js';
+
+const FLEET_PAGES = [
+    { page: 'index.html', icon: 'speed', label: 'ui.telemetry' },
+    { page: 'cockpit.html', icon: 'av_timer', label: 'ui.cockpit' },
+    { page: 'ai-core.html', icon: 'psychology', label: 'ui.aiCore' }
+];
+
+export class FleetOverview {
+    constructor(monitors, actions) {
+        this.monitors = monitors;
+        this.actions = actions;
+        const get = (id) => document.getElementById(id);
+        this.els = {
+            list: get('fleet-list'),
+            summary: get('fleet-summary'),
+            form: get('fleet-add-form'),
+            source: get('fleet-source'),
+            scenario: get('fleet-scenario'),
+            driver: get('fleet-driver'),
+            feedIds: get('fleet-feed-ids'),
+            error: get('fleet-add-error')
+        };
+        if (!this.els.list) return;
+
+        this.renderOptions();
+        this.els.driver.value = 'normal';
+
+        this.els.source.addEventListener('change', () => this.showSourceFields());
+        this.els.form.elements.feedUrl.addEventListener('change', () => this.listFeedVehicles());
+
+        this.els.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const fields = this.els.form.elements;
+            try {
+                if (this.els.source.value === 'ingest') {
+                    this.actions.add(fields.name.value, null, { url: fields.feedUrl.value.trim(), vehicleId: fields.feedVehicle.value.trim() });
+                } else {
+                    this.actions.add(fields.name.value, { scenario: this.els.scenario.value, driver: this.els.driver.value });
+                }
+                fields.name.value = '';
+                fields.feedVehicle.value = '';
+                this.els.error.textContent = '';
+            } catch (err) {
+                this.els.error.textContent = err.message;
+            }
+            this.render();
+        });
+        this.els.list.addEventListener('click', (e) => {
+            if (e.target.closest('a')) return;
+            const row = e.target.closest('[data-id]');
+            if (!row) return;
+            if (e.target.closest('.fleet-remove')) {
+                if (!confirm(display.t('fleet.confirmRemove'))) return;
+                this.actions.remove(row.dataset.id)
+                    .catch(err => console.warn('Could not remove vehicle:', err.message))
+                    .then(() => this.render());
+                return;
+            }
+            window.location.href = FleetRoster.scopedUrl('ai-core.html', row.dataset.id);
+        });
+    }
+
+    /** Scenario and driving-style pickers in the display language, keeping what is picked. */
+    renderOptions() {
+        if (!this.els.list) return;
+        const fill = (select, items, prefix) => {
+            const value = select.value;
+            select.innerHTML = Object.entries(items)
+                .map(([id, item]) => `<option value="${id}">${display.label(prefix, id, item.label)}</option>`).join('');
+            if (value) select.value = value;
+        };
+        fill(this.els.scenario, SCENARIOS, 'sim.scenario');
+        fill(this.els.driver, DRIVER_STYLES, 'sim.driver');
+    }
+
+    showSourceFields() {
+        const ingest = this.els.source.value === 'ingest';
+        this.els.form.querySelectorAll('[data-sim]').forEach(el => { el.hidden = ingest; });
+        this.els.form.querySelectorAll('[data-feed]').forEach(el => { el.hidden = !ingest; });
+        const url = this.els.form.elements.feedUrl;
+        if (ingest && !url.value) url.value = IngestFeedSource.defaultUrl(window.location);
+        if (ingest) this.listFeedVehicles();
+    }
+
+    /** Suggests the vehicle ids the ingest server has heard from. */
+    listFeedVehicles() {
+        let endpoint;
+        try {
+            endpoint = IngestFeedSource.httpUrl(this.els.form.elements.feedUrl.value, '/api/vehicles');
+        } catch (err) {
+            return;
+        }
+        fetch(endpoint)
+            .then(res => (res.ok ? res.json() : []))
+            .then(vehicles => {
+                this.els.feedIds.innerHTML = vehicles.map(v => `<option value="${escapeHtml(v.vehicleId)}">`).join('');
+            })
+            .catch(() => { this.els.feedIds.innerHTML = ''; });
+    }
+
+    render() {
+        if (!this.els.list) return;
+        const monitors = [...this.monitors.values()].sort((a, b) => b.urgency() - a.urgency());
+        const attention = monitors.filter(m => m.result && (healthRisk(m.result.scores.hygiene).level !== 'Low'
+            || m.result.alerts.some(a => a.severity === 'critical'))).length;
+        this.els.summary.textContent = `${display.plural('fleet.vehicles', monitors.length)} · ${display.plural('fleet.attention', attention)}`;
+        this.els.list.innerHTML = monitors.length
+            ? monitors.map(m => this.renderRow(m)).join('')
+            : `<li class="empty">${display.t('fleet.empty')}</li>`;
+    }
+
+    renderRow(monitor) {
+        const d = monitor.describe(display);
+        const r = monitor.result;
+        const links = FLEET_PAGES.map(p => `
+            <a class="session-btn" href="${FleetRoster.scopedUrl(p.page, d.id)}" title="${display.t(p.label)}">
+                <span class="material-icons">${p.icon}</span>
+            </a>`).join('');
+        const remove = d.id === DEFAULT_VEHICLE_ID ? '' : `
+            <button class="session-btn fleet-remove" title="${display.t('fleet.remove')}"><span class="material-icons">delete</span></button>`;
+        if (!r) {
+            return `<li class="fleet-row" data-id="${d.id}">
+                <div class="fleet-vehicle"><span class="name">${escapeHtml(d.name)}</span><span class="meta">${display.t('fleet.starting')}</span></div>
+                <div class="fleet-links">${links}${remove}</div>
+            </li>`;
+        }
+        const risk = healthRisk(r.scores.hygiene);
+        const alerts = r.alerts;
+        const top = alerts[0];
+        const rulComponent = r.rul.components.find(c => c.id === r.rul.component);
+        return `
+            <li class="fleet-row ${top ? top.severity : ''}" data-id="${d.id}">
+                <div class="fleet-vehicle">
+                    <span class="name">${escapeHtml(d.name)}</span>
+                    <span class="meta">${escapeHtml([d.vehicle, d.source].filter(Boolean).join(' · '))}</span>
+                </div>
+                <div class="fleet-stat"><span class="label">${display.t('fleet.hygiene')}</span><span class="val" style="color: ${risk.color}">${r.scores.hygiene}</span></div>
+                <div class="fleet-stat"><span class="label">${display.t('fleet.risk')}</span><span class="val" style="color: ${risk.color}">${display.t(`risk.${risk.level}`)}</span></div>
+                <div class="fleet-stat alerts">
+                    <span class="label">${display.t('fleet.activeAlerts')}</span>
+                    <span class="val" style="color: ${top ? SEVERITY_COLORS[top.severity] : 'inherit'}">${alerts.length || display.t('fleet.none')}</span>
+                    <span class="sub">${top ? escapeHtml(alertRuleLabel(top, display)) : ''}</span>
+                </div>
+                <div class="fleet-stat">
+                    <span class="label">${display.t('fleet.rul')}</span>
+                    <span class="val">${display.quantity('distance', r.rul.val)}</span>
+                    <span class="sub">${rulComponent ? display.label('rul.component', rulComponent.id, rulComponent.label) : ''}</span>
+                </div>
+                <div class="fleet-links">${links}${remove}</div>
+            </li>`;
+    }
+}
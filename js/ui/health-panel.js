@@ -0,0 +1,115 @@
+/**
+ * NEXUS AI - Health Panel
+ * Score breakdown on the AI page's health card: each sub-score as a gauge with its trend
+ * over the last hour and the factors costing it points, plus the vehicle's weights.
+ */
+
+import { healthRisk } from '../ai-view.js';
+import { display } from '../display-settings.js';
+import { HEALTH_WEIGHTS, validateHealthWeights } from '../health-model.js';
+
+const SCORE_RING_PATH = 'M18 2.0845 a 15.9155 15.9155 0 0 1 0 31.831 a 15.9155 15.9155 0 0 1 0 -31.831';
+
+export class HealthPanel {
+    constructor(ml) {
+        this.ml = ml;
+        this.session = null;
+        const get = (id) => document.getElementById(id);
+        this.els = {
+            toggle: get('btn-health-breakdown'),
+            breakdown: get('health-breakdown'),
+            formula: get('health-formula'),
+            subscores: get('health-subscores'),
+            editor: get('weights-editor'),
+            reset: get('btn-weights-reset'),
+            error: get('weights-error')
+        };
+        if (!this.els.breakdown) return;
+
+        this.els.toggle.addEventListener('click', () => {
+            const open = this.els.breakdown.hidden;
+            this.els.breakdown.hidden = !open;
+            this.els.breakdown.closest('.health-card').classList.toggle('expanded', open);
+            this.els.toggle.classList.toggle('active', open);
+            if (open) {
+                this.fillEditor(this.ml.result ? this.ml.result.health.weights : HEALTH_WEIGHTS);
+                this.render();
+            }
+        });
+        this.els.editor.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveWeights();
+        });
+        this.els.reset.addEventListener('click', () => this.fillEditor(HEALTH_WEIGHTS));
+    }
+
+    setSession(session) { this.session = session; }
+
+    /** Weights as whole percentages; the model scales whatever is saved to add up to 100. */
+    fillEditor(weights) {
+        Object.keys(HEALTH_WEIGHTS).forEach(key => { this.els.editor.elements[key].value = Math.round(weights[key] * 100); });
+        this.els.error.textContent = '';
+    }
+
+    async saveWeights() {
+        const weights = {};
+        Object.keys(HEALTH_WEIGHTS).forEach(key => { weights[key] = Number(this.els.editor.elements[key].value); });
+        try {
+            validateHealthWeights(weights);
+            if (this.session) await this.session.setHealthWeights(weights);
+        } catch (err) {
+            this.els.error.textContent = err.message;
+            return;
+        }
+        this.els.error.textContent = '';
+    }
+
+    render() {
+        const result = this.ml.result;
+        if (!this.els.breakdown || this.els.breakdown.hidden || !result) return;
+        const health = result.health;
+        const pct = {};
+        Object.entries(health.weights).forEach(([key, w]) => { pct[key] = Math.round(w * 100); });
+        this.els.formula.textContent = display.t('health.formula', pct);
+        this.els.subscores.innerHTML = Object.keys(HEALTH_WEIGHTS).map(key => {
+            const value = result.scores[key];
+            const { color } = healthRisk(value);
+            const trend = health.trend.scores[key];
+            const factors = health.factors.filter(f => f.score === key);
+            return `
+                <div class="subscore">
+                    <div class="score-ring-outer">
+                        <svg viewBox="0 0 36 36" class="circular-chart">
+                            <path class="circle-bg" d="${SCORE_RING_PATH}" />
+                            <path class="circle" d="${SCORE_RING_PATH}" style="stroke: ${color}; stroke-dasharray: ${value}, 100" />
+                        </svg>
+                        <div class="score-text">
+                            <span class="main-val" style="color: ${color}">${value}</span>
+                            <span class="label">${display.t(`health.score.${key}`)}</span>
+                        </div>
+                    </div>
+                    <div class="trend">
+                        ${this.sparkline(trend.points)}
+                        <span>${trend.points.length > 1
+                            ? display.t('health.trend', { delta: trend.delta, min: Math.round((result.t - health.trend.from) / 60000) })
+                            : display.t('health.trendNone')}</span>
+                    </div>
+                    <ul class="health-factors">${factors.length ? factors.map(f => `
+                        <li>
+                            <span>${display.label('health.factor', f.id, f.id, f)}</span>
+                            <span class="points">${display.t('health.points', f)}</span>
+                            <span class="overall">${display.t('health.overall', { points: f.overall })}</span>
+                        </li>
+                    `).join('') : `<li class="empty">${display.t('health.noFactors')}</li>`}</ul>
+                </div>
+            `;
+        }).join('');
+    }
+
+    /** Trend points (0-100, oldest first) as a small line. */
+    sparkline(points) {
+        if (points.length < 2) return '';
+        const xy = points.map((v, i) => `${(i / (points.length - 1) * 60).toFixed(1)},${(19 - v * 0.18).toFixed(1)}`).join(' ');
+        return `<svg viewBox="0 0 60 20" preserveAspectRatio="none"><polyline points="${xy}" /></svg>`;
+    }
+}
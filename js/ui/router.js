@@ -0,0 +1,96 @@
+/**
+ * NEXUS AI - View Router
+ * Client-side navigation between the telemetry, cockpit and AI pages. The other pages'
+ * sections are fetched once (from the service worker's cache when offline) and kept in
+ * this document, so the host connection, history, charts and panels carry on across
+ * views. When they cannot be fetched the links stay ordinary page loads. Also scopes
+ * the page links to the vehicle on screen.
+ */
+
+import { FleetRoster } from '../fleet.js';
+
+const VIEW_PAGES = ['index.html', 'cockpit.html', 'ai-core.html'];
+
+/** The page a URL (or location) names; '/' is index.html. */
+function pageOf(url) {
+    return url.pathname.split('/').pop() || 'index.html';
+}
+
+export class ViewRouter {
+    constructor() {
+        this.main = document.getElementById('main-content');
+        this.page = pageOf(window.location);
+        this.views = { [this.page]: this.sectionsOf(document) };
+        this.listeners = [];
+    }
+
+    sectionsOf(doc) {
+        return [...doc.querySelectorAll('#main-content > section')];
+    }
+
+    /** Mounts the other views, hidden; false if any could not be loaded. Call before building panels. */
+    async load() {
+        if (!VIEW_PAGES.includes(this.page)) return false;
+        try {
+            const docs = await Promise.all(VIEW_PAGES.filter(page => page !== this.page).map(async page => {
+                const res = await fetch(page);
+                if (!res.ok) throw new Error(`${page}: HTTP ${res.status}`);
+                return [page, new DOMParser().parseFromString(await res.text(), 'text/html')];
+            }));
+            docs.forEach(([page, doc]) => {
+                this.views[page] = this.sectionsOf(doc).map(section => {
+                    section.classList.replace('active-section', 'hidden-section');
+                    return this.main.appendChild(document.adoptNode(section));
+                });
+            });
+        } catch (err) {
+            console.warn('Client-side navigation unavailable, pages load in full:', err.message);
+            return false;
+        }
+        this.bindLinks();
+        return true;
+    }
+
+    bindLinks() {
+        document.addEventListener('click', (e) => {
+            const link = e.target.closest('a.nav-link, a.bottom-nav-item');
+            if (!link || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+            const url = new URL(link.href);
+            if (url.origin !== window.location.origin || !this.views[pageOf(url)]) return;
+            e.preventDefault();
+            if (url.href !== window.location.href) history.pushState(null, '', url);
+            this.show(pageOf(url));
+        });
+        window.addEventListener('popstate', () => this.show(pageOf(window.location)));
+    }
+
+    onChange(fn) { this.listeners.push(fn); }
+
+    show(page) {
+        if (!this.views[page] || page === this.page) return;
+        this.page = page;
+        Object.entries(this.views).forEach(([p, sections]) => sections.forEach(section => {
+            section.classList.toggle('active-section', p === page);
+            section.classList.toggle('hidden-section', p !== page);
+        }));
+        document.querySelectorAll('.nav-link').forEach(link => {
+            link.closest('.nav-item').classList.toggle('active', pageOf(new URL(link.href)) === page);
+        });
+        document.querySelectorAll('a.bottom-nav-item').forEach(link => {
+            link.classList.toggle('active', pageOf(new URL(link.href)) === page);
+        });
+        this.main.scrollTop = 0;
+        this.listeners.forEach(fn => fn(page));
+    }
+}
+
+/** Points the page links at the vehicle this page is scoped to and names it in the sidebar. */
+export function scopeNavigation(vehicleId) {
+    const entry = FleetRoster.find(vehicleId);
+    document.querySelectorAll('.nav-link, a.bottom-nav-item').forEach(link => {
+        const page = link.getAttribute('href');
+        if (page !== 'fleet.html') link.setAttribute('href', FleetRoster.scopedUrl(page, vehicleId));
+    });
+    const label = document.getElementById('vehicle-scope-name');
+    if (label && entry) label.textContent = entry.name;
+}
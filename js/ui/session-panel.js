@@ -0,0 +1,205 @@
+/**
+ * NEXUS AI - Session Panel
+ * Record / replay / simulation controls in the sidebar. The telemetry host runs the source;
+ * a loaded recording and the chosen scenario are also kept in sessionStorage, so a host that
+ * starts fresh (no shared worker, or the last tab just closed) picks them up again.
+ */
+
+import { display } from '../display-settings.js';
+import { FleetRoster } from '../fleet.js';
+import { SCENARIOS, DRIVER_STYLES, FAULT_TYPES, MockOBDSimulator } from '../simulator.js';
+import { TripRecorder } from '../trip-recorder.js';
+import { DEFAULT_VEHICLE_ID } from '../vehicle-store.js';
+
+export const REPLAY_STORAGE_KEY = 'nexus.replay';
+const SIM_STORAGE_KEY = 'nexus.sim';
+
+export class SessionPanel {
+    constructor(recorder, useSource) {
+        this.recorder = recorder;
+        this.useSource = useSource;
+        this.source = null;
+
+        const get = (id) => document.getElementById(id);
+        this.els = {
+            record: get('btn-record'),
+            saveNdjson: get('btn-save-ndjson'),
+            saveCsv: get('btn-save-csv'),
+            load: get('input-replay'),
+            replay: get('replay-controls'),
+            play: get('btn-replay-play'),
+            eject: get('btn-replay-eject'),
+            seek: get('replay-seek'),
+            time: get('replay-time'),
+            speeds: document.querySelectorAll('.replay-speed'),
+            scenario: get('sim-scenario'),
+            fault: get('sim-fault'),
+            driver: get('sim-driver'),
+            seed: get('sim-seed'),
+            error: get('sim-error')
+        };
+        if (!this.els.record) return;
+
+        this.renderOptions();
+        const restart = () => {
+            const config = { scenario: this.els.scenario.value, driver: this.els.driver.value };
+            sessionStorage.setItem(SessionPanel.storageKey(SIM_STORAGE_KEY), JSON.stringify(config));
+            this.useSource({ kind: 'simulator', options: config });
+        };
+        this.els.scenario.addEventListener('change', restart);
+        this.els.driver.addEventListener('change', restart);
+        this.els.fault.addEventListener('change', () => {
+            if (this.els.fault.value && this.source.kind === 'simulator') this.injectFault(this.els.fault.value);
+            this.els.fault.value = '';
+        });
+
+        this.els.record.addEventListener('click', () => {
+            if (this.recorder.recording) this.recorder.stop();
+            else this.recorder.start();
+            this.update();
+        });
+        this.els.saveNdjson.addEventListener('click', () => this.recorder.download('ndjson'));
+        this.els.saveCsv.addEventListener('click', () => this.recorder.download('csv'));
+        this.els.load.addEventListener('change', (e) => this.loadFile(e.target.files[0]));
+        this.els.play.addEventListener('click', () => {
+            if (this.source.replay.playing) this.source.pause();
+            else this.source.play();
+            this.update();
+        });
+        this.els.eject.addEventListener('click', () => {
+            sessionStorage.removeItem(SessionPanel.storageKey(REPLAY_STORAGE_KEY));
+            this.useSource({ kind: 'simulator', options: SessionPanel.simulatorOptions() });
+        });
+        this.els.seek.addEventListener('input', (e) => {
+            this.source.seek((e.target.value / 1000) * this.source.replay.duration);
+        });
+        this.els.speeds.forEach(btn => btn.addEventListener('click', () => {
+            this.source.setSpeed(Number(btn.dataset.speed));
+            this.update();
+        }));
+        window.addEventListener('pagehide', () => this.saveReplayPosition());
+    }
+
+    /** Scenario, fault and driving-style pickers, in the display language. */
+    renderOptions() {
+        if (!this.els.record) return;
+        const option = (prefix) => ([id, item]) => `<option value="${id}">${display.label(prefix, id, item.label)}</option>`;
+        this.els.scenario.innerHTML = Object.entries(SCENARIOS).map(option('sim.scenario')).join('');
+        this.els.fault.innerHTML = `<option value="">${display.t('sim.injectFault')}</option>`
+            + Object.entries(FAULT_TYPES).map(option('sim.fault')).join('');
+        this.els.driver.innerHTML = Object.entries(DRIVER_STYLES).map(option('sim.driver')).join('');
+    }
+
+    setSource(source) {
+        this.source = source;
+        if (this.els.replay) this.els.replay.hidden = source.kind !== 'replay';
+        if (this.els.scenario) {
+            const sim = source.sim;
+            this.els.fault.disabled = !sim;
+            this.els.driver.disabled = !sim;
+            if (sim) {
+                this.els.scenario.value = sim.scenario;
+                this.els.driver.value = sim.driver;
+            }
+            this.els.seed.textContent = sim ? display.t('sim.seed', { seed: String(sim.seed) }) : '';
+        }
+        this.update();
+    }
+
+    async injectFault(type) {
+        try {
+            await this.source.injectFault(type);
+        } catch (err) {
+            this.els.error.textContent = err.message;
+            return;
+        }
+        this.els.error.textContent = '';
+    }
+
+    async loadFile(file) {
+        if (!file) return;
+        const text = await file.text();
+        try {
+            const recording = TripRecorder.parse(text);
+            try {
+                sessionStorage.setItem(SessionPanel.storageKey(REPLAY_STORAGE_KEY), JSON.stringify({ text, cursor: 0, speed: 1, playing: true }));
+            } catch (err) {
+                console.warn('Recording too large to keep across pages:', err.message);
+            }
+            await this.useSource({ kind: 'replay', recording, playing: true });
+        } catch (err) {
+            console.warn('Could not load recording:', err.message);
+        }
+        this.els.load.value = '';
+    }
+
+    saveReplayPosition() {
+        const replay = this.source && this.source.replay;
+        if (!replay) return;
+        const saved = SessionPanel.readSaved();
+        if (!saved) return;
+        saved.cursor = replay.cursor;
+        saved.speed = replay.speed;
+        saved.playing = replay.playing;
+        sessionStorage.setItem(SessionPanel.storageKey(REPLAY_STORAGE_KEY), JSON.stringify(saved));
+    }
+
+    static readSaved(key) {
+        try {
+            return JSON.parse(sessionStorage.getItem(SessionPanel.storageKey(key || REPLAY_STORAGE_KEY)));
+        } catch (err) {
+            return null;
+        }
+    }
+
+    /** sessionStorage keys are per vehicle, so each scoped page keeps its own scenario and replay. */
+    static storageKey(base) {
+        const id = FleetRoster.currentId(window.location.search);
+        return id === DEFAULT_VEHICLE_ID ? base : `${base}.${id}`;
+    }
+
+    /**
+     * Simulator options for the page's vehicle: its fleet roster config, then the scenario
+     * picked this session, then ?scenario=&driver=&seed=&faults=
+     */
+    static simulatorOptions() {
+        const entry = FleetRoster.find(FleetRoster.currentId(window.location.search));
+        let query = {};
+        try {
+            query = MockOBDSimulator.optionsFromQuery(window.location.search);
+        } catch (err) {
+            console.warn('Ignoring simulator query:', err.message);
+        }
+        return { ...(entry && entry.sim), ...SessionPanel.readSaved(SIM_STORAGE_KEY), ...query };
+    }
+
+    /** Source spec for the replay that was running on the previous page, if any. */
+    static restoreReplay() {
+        const saved = SessionPanel.readSaved();
+        if (!saved) return null;
+        return { kind: 'replay', recording: TripRecorder.parse(saved.text), cursor: saved.cursor, speed: saved.speed, playing: saved.playing };
+    }
+
+    update() {
+        if (!this.els.record) return;
+        const rec = this.recorder.recording;
+        this.els.record.classList.toggle('recording', rec);
+        this.els.record.title = display.t(rec ? 'session.stopRecording' : 'session.record');
+        const hasData = this.recorder.samples.length > 0;
+        this.els.saveNdjson.disabled = !hasData;
+        this.els.saveCsv.disabled = !hasData;
+
+        const replay = this.source && this.source.replay;
+        if (!replay) return;
+        const fmt = (ms) => {
+            const sec = Math.floor(ms / 1000);
+            return `${Math.floor(sec / 60)}:${String(sec % 60).padStart(2, '0')}`;
+        };
+        this.els.play.querySelector('.material-icons').textContent = replay.playing ? 'pause' : 'play_arrow';
+        if (document.activeElement !== this.els.seek) {
+            this.els.seek.value = replay.duration ? Math.round((replay.cursor / replay.duration) * 1000) : 0;
+        }
+        this.els.time.textContent = `${fmt(replay.cursor)} / ${fmt(replay.duration)}`;
+        this.els.speeds.forEach(btn => btn.classList.toggle('active', Number(btn.dataset.speed) === replay.speed));
+    }
+}
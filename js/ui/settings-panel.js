@@ -0,0 +1,53 @@
+/**
+ * NEXUS AI - Settings Panel
+ * Language and unit pickers in a dialog opened from the sidebar or the bottom nav, on every page.
+ */
+
+import { LOCALES } from '../i18n.js';
+import { UNIT_OPTIONS, UNIT_PRESETS } from '../units.js';
+
+export class SettingsPanel {
+    constructor(settings) {
+        this.settings = settings;
+        const get = (id) => document.getElementById(id);
+        this.els = {
+            dialog: get('settings-dialog'),
+            form: get('settings-form'),
+            open: document.querySelectorAll('[data-settings]')
+        };
+        if (!this.els.dialog) return;
+
+        this.els.open.forEach(btn => btn.addEventListener('click', () => {
+            this.render();
+            this.els.dialog.showModal();
+        }));
+        this.els.form.addEventListener('change', (e) => {
+            const { name, value } = e.target;
+            if (name === 'locale') settings.update({ locale: value });
+            else if (name === 'preset') settings.update({ units: UNIT_PRESETS[value] });
+            else settings.update({ units: { [name]: value } });
+        });
+        settings.onChange(() => this.render());
+    }
+
+    render() {
+        if (!this.els.dialog) return;
+        const s = this.settings;
+        const select = (name, label, options, value, wide) => `
+            <label class="field${wide ? ' wide' : ''}">
+                <span class="label">${label}</span>
+                <select class="session-select" name="${name}">${options.map(([id, text, disabled]) => `
+                    <option value="${id}"${id === value ? ' selected' : ''}${disabled ? ' disabled' : ''}>${text}</option>`).join('')}
+                </select>
+            </label>`;
+        const presets = Object.keys(UNIT_PRESETS).map(id => [id, s.t(`settings.preset.${id}`)]);
+        this.els.form.innerHTML = [
+            `<h3>${s.t('settings.title')}</h3>`,
+            select('locale', s.t('settings.language'), Object.entries(LOCALES), s.settings.locale, true),
+            select('preset', s.t('settings.units'), [...presets, ['custom', s.t('settings.preset.custom'), true]], s.preset(), true),
+            ...Object.keys(UNIT_OPTIONS).map(q => select(q, s.t(`settings.quantity.${q}`),
+                Object.entries(UNIT_OPTIONS[q]).map(([id, u]) => [id, u.label]), s.settings.units[q])),
+            `<div class="form-actions"><button class="session-btn" value="close">${s.t('settings.done')}</button></div>`
+        ].join('');
+    }
+}
@@ -0,0 +1,124 @@
+/**
+ * NEXUS AI - Trip Panel
+ * Live trip totals, the driver-class mix, and the trip history with a side-by-side
+ * comparison of two trips on the telemetry page.
+ */
+
+import { display } from '../display-settings.js';
+
+// Labels are catalog keys trip.metric.<key>; lowerIsBetter compares the stored (metric) values.
+const TRIP_METRICS = [
+    { key: 'km', fmt: (v) => display.quantity('distance', v, 1) },
+    { key: 'durationMin', fmt: (v) => `${Math.floor(v / 60)}h ${String(Math.round(v % 60)).padStart(2, '0')}m` },
+    { key: 'litres', fmt: (v) => display.quantity('volume', v, 2) },
+    { key: 'avgL100', fmt: (v) => (v === null ? '--' : display.quantity('economy', v, 1)), lowerIsBetter: true },
+    { key: 'avgKmh', fmt: (v) => display.quantity('speed', v) },
+    { key: 'idlePct', fmt: (v) => `${Math.round(v)}%`, lowerIsBetter: true },
+    { key: 'harshAccel', fmt: (v) => String(v), lowerIsBetter: true },
+    { key: 'harshBrake', fmt: (v) => String(v), lowerIsBetter: true },
+    { key: 'highRpmSec', fmt: (v) => `${Math.round(v)} s`, lowerIsBetter: true }
+];
+
+export class TripPanel {
+    constructor(session) {
+        this.session = session;
+        this.compare = [];
+        const get = (id) => document.getElementById(id);
+        this.els = {
+            current: get('trip-current'),
+            state: get('trip-state'),
+            drivers: get('trip-drivers'),
+            end: get('btn-trip-end'),
+            history: get('trip-history'),
+            compare: get('trip-compare')
+        };
+        if (!this.els.current) return;
+
+        this.els.end.addEventListener('click', () => this.session.endTrip().then(() => this.render()));
+        this.els.history.addEventListener('change', (e) => {
+            const id = e.target.dataset.compare;
+            if (!id) return;
+            this.compare = this.compare.filter(c => c !== id);
+            if (e.target.checked) this.compare.push(id);
+            if (this.compare.length > 2) this.compare.shift();
+            this.renderHistory();
+        });
+        this.els.history.addEventListener('click', (e) => {
+            const btn = e.target.closest('[data-delete]');
+            if (btn) this.session.deleteTrip(btn.dataset.delete);
+        });
+        session.onChange(() => this.renderHistory());
+    }
+
+    render() {
+        if (!this.els.current) return;
+        const trip = this.session.currentTrip();
+        this.els.end.disabled = !trip;
+        this.els.state.textContent = trip
+            ? display.t('trip.since', { time: new Date(trip.startedAt).toLocaleTimeString(display.settings.locale) })
+            : display.t(this.session.tracking ? 'trip.waiting' : 'trip.paused');
+        this.els.current.innerHTML = TRIP_METRICS.map(m => `
+            <div class="agg">${display.t(`trip.metric.${m.key}`)}<span class="val">${trip ? m.fmt(trip[m.key]) : '--'}</span></div>
+        `).join('');
+        this.els.drivers.innerHTML = this.renderDrivers(trip ? trip.drivers : {});
+    }
+
+    renderDrivers(drivers) {
+        const entries = Object.entries(drivers).sort((a, b) => b[1] - a[1]);
+        if (!entries.length) return `<div class="empty">${display.t('trip.noDrivers')}</div>`;
+        return entries.map(([type, share]) => `
+            <div class="driver-share">
+                <span class="type">${display.label('driver.type', type)}</span>
+                <div class="progress-bar-bg"><div class="progress-bar-fill" style="width: ${Math.round(share * 100)}%"></div></div>
+                <span class="pct">${Math.round(share * 100)}%</span>
+            </div>
+        `).join('');
+    }
+
+    renderHistory() {
+        if (!this.els.history) return;
+        const trips = this.session.tripLog;
+        this.compare = this.compare.filter(id => trips.some(t => t.id === id));
+        this.els.history.innerHTML = trips.length
+            ? trips.slice(0, 30).map(t => `
+                <li>
+                    <input type="checkbox" data-compare="${t.id}" ${this.compare.includes(t.id) ? 'checked' : ''} title="${display.t('trip.compare')}">
+                    <span class="when">${new Date(t.startedAt).toLocaleString(display.settings.locale, { dateStyle: 'short', timeStyle: 'short' })}</span>
+                    <span>${display.quantity('distance', t.km, 1)}</span>
+                    <span>${t.avgL100 === null ? '--' : display.quantity('economy', t.avgL100, 1)}</span>
+                    <span>${display.t('trip.harsh', { n: t.harshAccel + t.harshBrake })}</span>
+                    <button class="session-btn" data-delete="${t.id}" title="${display.t('trip.delete')}"><span class="material-icons">close</span></button>
+                </li>
+            `).join('')
+            : `<li class="empty">${display.t('ui.finishedTripsAppearHere')}</li>`;
+        this.renderCompare();
+    }
+
+    renderCompare() {
+        const [a, b] = this.compare.map(id => this.session.tripLog.find(t => t.id === id));
+        if (!a || !b) {
+            this.els.compare.innerHTML = `<div class="empty">${display.t('trip.compareHint')}</div>`;
+            return;
+        }
+        const label = (t) => new Date(t.startedAt).toLocaleString(display.settings.locale, { dateStyle: 'short', timeStyle: 'short' });
+        const rows = TRIP_METRICS.map(m => {
+            const va = a[m.key], vb = b[m.key];
+            let cls = '';
+            if (va !== null && vb !== null && va !== vb && m.lowerIsBetter !== undefined) {
+                cls = (vb < va) === m.lowerIsBetter ? 'better' : 'worse';
+            }
+            return `<tr><td>${display.t(`trip.metric.${m.key}`)}</td><td class="val">${m.fmt(va)}</td><td class="val ${cls}">${m.fmt(vb)}</td></tr>`;
+        });
+        this.els.compare.innerHTML = `
+            <table>
+                <tr><th></th><th>${label(a)}</th><th>${label(b)}</th></tr>
+                ${rows.join('')}
+                <tr><td>${display.t('trip.driver')}</td><td class="val">${this.topDriver(a)}</td><td class="val">${this.topDriver(b)}</td></tr>
+            </table>`;
+    }
+
+    topDriver(trip) {
+        const top = Object.entries(trip.drivers).sort((x, y) => y[1] - x[1])[0];
+        return top ? `${display.label('driver.type', top[0])} ${Math.round(top[1] * 100)}%` : '--';
+    }
+}
@@ -0,0 +1,121 @@
+/**
+ * NEXUS AI - Vehicle Panel
+ * Vehicle profile form, service logging and the stored aggregates on the AI page.
+ */
+
+import { display } from '../display-settings.js';
+import { escapeHtml } from '../health-report.js';
+import { SERVICE_TYPES, isValidVin } from '../vehicle-store.js';
+
+export class VehiclePanel {
+    constructor(session) {
+        this.session = session;
+        const get = (id) => document.getElementById(id);
+        this.els = {
+            form: get('vehicle-form'),
+            formError: get('vehicle-form-error'),
+            serviceForm: get('service-form'),
+            serviceError: get('service-form-error'),
+            serviceType: get('service-type'),
+            log: get('maintenance-log'),
+            aggregates: get('vehicle-aggregates')
+        };
+        if (!this.els.form) return;
+
+        this.renderOptions();
+        this.els.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveProfile();
+        });
+        this.els.serviceForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.logService();
+        });
+        session.onChange(() => this.render());
+    }
+
+    renderOptions() {
+        if (!this.els.form) return;
+        this.els.serviceType.innerHTML = Object.entries(SERVICE_TYPES)
+            .map(([id, t]) => `<option value="${id}">${display.label('service', id, t.label)}</option>`).join('');
+    }
+
+    async logService() {
+        const data = new FormData(this.els.serviceForm);
+        try {
+            await this.session.logService(data.get('type'), data.get('notes').trim());
+        } catch (err) {
+            this.els.serviceError.textContent = err.message;
+            return;
+        }
+        this.els.serviceError.textContent = '';
+        this.els.serviceForm.reset();
+    }
+
+    async saveProfile() {
+        const data = new FormData(this.els.form);
+        const vin = data.get('vin').trim().toUpperCase();
+        const vinInput = this.els.form.elements.vin;
+        if (vin && !isValidVin(vin)) {
+            vinInput.classList.add('invalid');
+            this.els.formError.textContent = display.t('vehicle.vinInvalid');
+            return;
+        }
+        vinInput.classList.remove('invalid');
+        // Distances are typed in the display unit and stored in km
+        const km = (name) => Math.round(display.units.toMetric('distance', Number(data.get(name)))) || undefined;
+        const interval = (name) => km(`interval-${name}`);
+        try {
+            await this.session.updateProfile({
+                vin,
+                make: data.get('make').trim(),
+                model: data.get('model').trim(),
+                odometerKm: km('odometerKm') || 0,
+                oilType: data.get('oilType').trim(),
+                serviceIntervals: { oil: interval('oil'), coolant: interval('coolant'), battery: interval('battery') }
+            });
+        } catch (err) {
+            this.els.formError.textContent = err.message;
+            return;
+        }
+        this.els.formError.textContent = '';
+    }
+
+    render() {
+        if (!this.els.form || !this.session.profile) return;
+        const p = this.session.profile;
+        const f = this.els.form.elements;
+        f.vin.value = p.vin;
+        f.make.value = p.make;
+        f.model.value = p.model;
+        const distance = (km) => Math.round(display.units.convert('distance', km));
+        f.odometerKm.value = distance(p.odometerKm);
+        f.oilType.value = p.oilType;
+        ['oil', 'coolant', 'battery'].forEach(c => { f[`interval-${c}`].value = distance(p.serviceIntervals[c]); });
+
+        this.els.log.innerHTML = this.session.log.length
+            ? this.session.log.map(e => `
+                <li>
+                    <span class="type">${display.label('service', e.type, SERVICE_TYPES[e.type].label)}</span>
+                    <span class="notes">${new Date(e.date).toLocaleDateString(display.settings.locale)}${e.notes ? ` · ${escapeHtml(e.notes)}` : ''}</span>
+                    <span class="odo">${display.quantity('distance', e.odometerKm)}</span>
+                </li>
+            `).join('')
+            : `<li class="empty">${display.t('vehicle.noServices')}</li>`;
+        this.renderAggregates();
+    }
+
+    renderAggregates() {
+        if (!this.els.aggregates || !this.session.profile || !this.session.totals) return;
+        const t = this.session.totals;
+        const agg = (label, val) => `<div class="agg">${label}<span class="val">${val}</span></div>`;
+        this.els.aggregates.innerHTML = [
+            agg(display.t('vehicle.odometer'), display.quantity('distance', this.session.profile.odometerKm)),
+            agg(display.t('vehicle.engineHours'), display.number(t.engineHours, 1)),
+            agg(display.t('vehicle.idle'), t.engineHours > 0 ? `${Math.round((t.idleHours / t.engineHours) * 100)}%` : '--'),
+            `<div class="storage">${display.t(this.session.tracking ? 'vehicle.storedIn' : 'vehicle.storedInPaused', {
+                store: this.session.storageKind === 'indexeddb' ? 'IndexedDB' : 'localStorage'
+            })}</div>`
+        ].join('');
+    }
+}
@@ -0,0 +1,96 @@
+/**
+ * NEXUS AI - Units
+ * Telemetry is stored, computed and exported in metric (km/h, °C, L/100km, km, L);
+ * this converts for display only, into whatever the settings panel picked.
+ */
+
+import { CHANNEL_META } from './telemetry-source.js';
+
+// scale / offset are linear (display = metric * scale + offset); `inverse` is for
+// distance-per-volume units, display = inverse / metric.
+export const UNIT_OPTIONS = {
+    speed: {
+        kmh: { label: 'km/h', scale: 1 },
+        mph: { label: 'mph', scale: 0.621371 }
+    },
+    distance: {
+        km: { label: 'km', scale: 1 },
+        mi: { label: 'mi', scale: 0.621371 }
+    },
+    temperature: {
+        c: { label: '°C', scale: 1, offset: 0 },
+        f: { label: '°F', scale: 1.8, offset: 32 }
+    },
+    economy: {
+        l100km: { label: 'L/100km', scale: 1 },
+        mpgUs: { label: 'mpg (US)', inverse: 235.215 },
+        mpgUk: { label: 'mpg (UK)', inverse: 282.481 }
+    }
+};
+// Fuel volume follows the economy unit: nobody reads MPG and litres together.
+const VOLUME_FOR_ECONOMY = {
+    l100km: { label: 'L', scale: 1 },
+    mpgUs: { label: 'gal', scale: 1 / 3.78541 },
+    mpgUk: { label: 'gal', scale: 1 / 4.54609 }
+};
+export const UNIT_PRESETS = {
+    metric: { speed: 'kmh', distance: 'km', temperature: 'c', economy: 'l100km' },
+    us: { speed: 'mph', distance: 'mi', temperature: 'f', economy: 'mpgUs' },
+    uk: { speed: 'mph', distance: 'mi', temperature: 'c', economy: 'mpgUk' }
+};
+const CHANNEL_QUANTITIES = { speed: 'speed', coolant: 'temperature', fuelEff: 'economy' };
+
+export class UnitConverter {
+    /** choices: { speed, distance, temperature, economy } option ids; anything missing is metric. */
+    constructor(choices) {
+        this.choices = { ...UNIT_PRESETS.metric };
+        Object.keys(UNIT_OPTIONS).forEach(q => {
+            if (choices && UNIT_OPTIONS[q][choices[q]]) this.choices[q] = choices[q];
+        });
+    }
+
+    unit(quantity) {
+        if (quantity === 'volume') return VOLUME_FOR_ECONOMY[this.choices.economy];
+        return UNIT_OPTIONS[quantity][this.choices[quantity]];
+    }
+
+    label(quantity) { return this.unit(quantity).label; }
+
+    convert(quantity, value) {
+        if (value === null || value === undefined) return value;
+        const u = this.unit(quantity);
+        if (u.inverse) return value > 0 ? u.inverse / value : 0;
+        return value * u.scale + (u.offset || 0);
+    }
+
+    /** A difference or a rate: scaled, never offset. */
+    delta(quantity, value) {
+        const u = this.unit(quantity);
+        return u.inverse ? this.convert(quantity, value) : value * u.scale;
+    }
+
+    /** Back to metric, for values typed into a form. */
+    toMetric(quantity, value) {
+        const u = this.unit(quantity);
+        if (u.inverse) return value > 0 ? u.inverse / value : 0;
+        return (value - (u.offset || 0)) / u.scale;
+    }
+
+    // --- Telemetry channels: the ones with a quantity convert, the rest pass through ---
+
+    channelValue(ch, value) {
+        const q = CHANNEL_QUANTITIES[ch];
+        return q ? this.convert(q, value) : value;
+    }
+
+    channelDelta(ch, value) {
+        const q = CHANNEL_QUANTITIES[ch];
+        return q ? this.delta(q, value) : value;
+    }
+
+    channelUnit(ch) {
+        const q = CHANNEL_QUANTITIES[ch];
+        if (q) return this.label(q);
+        return CHANNEL_META[ch] ? CHANNEL_META[ch].unit : '';
+    }
+}
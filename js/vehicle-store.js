@@ -0,0 +1,371 @@
+/**
+ * NEXUS AI - Vehicle Store
+ * Persists the vehicle profile, maintenance log, RUL wear state, rolling
+ * aggregates and trip history so nothing is lost between page loads. IndexedDB when available,
+ * localStorage otherwise; both backends expose the same async API.
+ */
+
+import { DEFAULT_ALERT_RULESET } from './alert-rules.js';
+import { RUL_MAX_GAP_MS } from './rul-estimator.js';
+import { TripAnalytics } from './trip-analytics.js';
+import { ReplaySource } from './trip-recorder.js';
+
+const DB_NAME = 'nexus-ai';
+const DB_VERSION = 2;
+const DB_STORES = ['vehicles', 'maintenance', 'state', 'trips'];
+export const DEFAULT_VEHICLE_ID = 'default';
+const VEHICLE_SAVE_INTERVAL_MS = 5000;
+const AGGREGATE_DAYS = 30;
+
+// Maintenance entry type -> RUL component it renews
+export const SERVICE_TYPES = {
+    oil_change: { label: 'Oil change', component: 'oil' },
+    coolant_flush: { label: 'Coolant flush', component: 'coolant' },
+    battery_replacement: { label: 'Battery replacement', component: 'battery' }
+};
+
+const DEFAULT_PROFILE = {
+    id: DEFAULT_VEHICLE_ID,
+    vin: '',
+    make: '',
+    model: '',
+    odometerKm: 0,
+    oilType: '5W-30',
+    serviceIntervals: { oil: 15000, coolant: 60000, battery: 80000 },
+    alertRules: null, // null = DEFAULT_ALERT_RULESET
+    healthWeights: null // null = HEALTH_WEIGHTS
+};
+
+class IndexedDBBackend {
+    constructor(db) { this.db = db; this.kind = 'indexeddb'; }
+
+    static open() {
+        return new Promise((resolve, reject) => {
+            const req = indexedDB.open(DB_NAME, DB_VERSION);
+            req.onupgradeneeded = () => {
+                DB_STORES.forEach(name => {
+                    if (!req.result.objectStoreNames.contains(name)) req.result.createObjectStore(name, { keyPath: 'id' });
+                });
+            };
+            req.onsuccess = () => resolve(new IndexedDBBackend(req.result));
+            req.onerror = () => reject(req.error);
+            req.onblocked = () => reject(new Error('IndexedDB upgrade blocked by another tab'));
+        });
+    }
+
+    request(store, mode, fn) {
+        return new Promise((resolve, reject) => {
+            const req = fn(this.db.transaction(store, mode).objectStore(store));
+            req.onsuccess = () => resolve(req.result);
+            req.onerror = () => reject(req.error);
+        });
+    }
+
+    get(store, id) { return this.request(store, 'readonly', s => s.get(id)); }
+    getAll(store) { return this.request(store, 'readonly', s => s.getAll()); }
+    put(store, value) { return this.request(store, 'readwrite', s => s.put(value)); }
+    delete(store, id) { return this.request(store, 'readwrite', s => s.delete(id)); }
+}
+
+export class LocalStorageBackend {
+    constructor() { this.kind = 'localstorage'; }
+
+    read(store) {
+        try {
+            return JSON.parse(localStorage.getItem(`${DB_NAME}.${store}`)) || {};
+        } catch (err) {
+            return {};
+        }
+    }
+    write(store, records) { localStorage.setItem(`${DB_NAME}.${store}`, JSON.stringify(records)); }
+
+    async get(store, id) { return this.read(store)[id]; }
+    async getAll(store) { return Object.values(this.read(store)); }
+    async put(store, value) {
+        const records = this.read(store);
+        records[value.id] = value;
+        this.write(store, records);
+        return value.id;
+    }
+    async delete(store, id) {
+        const records = this.read(store);
+        delete records[id];
+        this.write(store, records);
+    }
+}
+
+export const STORAGE_OPS = ['get', 'getAll', 'put', 'delete'];
+
+/**
+ * A page's localStorage, for a store in a worker (which has none): call(op, store, ...args)
+ * runs one backend call on a LocalStorageBackend in a page and resolves with its result.
+ */
+class PageStorageBackend {
+    constructor(call) { this.call = call; this.kind = 'localstorage'; }
+
+    get(store, id) { return this.call('get', store, id); }
+    getAll(store) { return this.call('getAll', store); }
+    put(store, value) { return this.call('put', store, value); }
+    delete(store, id) { return this.call('delete', store, id); }
+}
+
+export class VehicleStore {
+    constructor(backend) { this.backend = backend; }
+
+    /**
+     * Opens IndexedDB, falling back to localStorage (private mode, old browsers, file://).
+     * Workers have no localStorage; there `pageStorage` (see PageStorageBackend) borrows a page's.
+     */
+    static async open(pageStorage) {
+        if (typeof indexedDB !== 'undefined') {
+            try {
+                return new VehicleStore(await IndexedDBBackend.open());
+            } catch (err) {
+                console.warn('IndexedDB unavailable, using localStorage:', err.message);
+            }
+        }
+        if (typeof localStorage !== 'undefined') return new VehicleStore(new LocalStorageBackend());
+        if (pageStorage) return new VehicleStore(new PageStorageBackend(pageStorage));
+        throw new Error('No IndexedDB or localStorage here');
+    }
+
+    async getProfile(id) {
+        const stored = await this.backend.get('vehicles', id || DEFAULT_VEHICLE_ID);
+        return {
+            ...DEFAULT_PROFILE,
+            ...stored,
+            id: id || DEFAULT_VEHICLE_ID,
+            serviceIntervals: { ...DEFAULT_PROFILE.serviceIntervals, ...(stored && stored.serviceIntervals) }
+        };
+    }
+
+    saveProfile(profile) { return this.backend.put('vehicles', profile); }
+    listVehicles() { return this.backend.getAll('vehicles'); }
+
+    async getMaintenanceLog(vehicleId) {
+        const all = await this.backend.getAll('maintenance');
+        return all.filter(e => e.vehicleId === vehicleId).sort((a, b) => b.date - a.date);
+    }
+
+    async addMaintenance(vehicleId, entry) {
+        if (!SERVICE_TYPES[entry.type]) throw new Error(`Unknown service type "${entry.type}"`);
+        const record = {
+            id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+            vehicleId,
+            date: Date.now(),
+            ...entry
+        };
+        await this.backend.put('maintenance', record);
+        return record;
+    }
+
+    deleteMaintenance(id) { return this.backend.delete('maintenance', id); }
+
+    async getTrips(vehicleId) {
+        const all = await this.backend.getAll('trips');
+        return all.filter(t => t.vehicleId === vehicleId).sort((a, b) => b.startedAt - a.startedAt);
+    }
+
+    addTrip(vehicleId, summary) { return this.backend.put('trips', { ...summary, vehicleId }); }
+    deleteTrip(id) { return this.backend.delete('trips', id); }
+
+    async loadState(vehicleId) { return (await this.backend.get('state', vehicleId)) || null; }
+    saveState(vehicleId, state) { return this.backend.put('state', { ...state, id: vehicleId, savedAt: Date.now() }); }
+}
+
+/** Running totals since the profile was created, plus per-day buckets for the last month. */
+class RollingAggregates {
+    constructor(snapshot) {
+        this.totals = { km: 0, engineHours: 0, idleHours: 0, maxCoolant: 0, minBattery: null, samples: 0 };
+        this.days = {};
+        this.lastT = null;
+        if (snapshot) {
+            Object.assign(this.totals, snapshot.totals);
+            this.days = { ...snapshot.days };
+        }
+    }
+
+    update(sample) {
+        const dtMs = this.lastT === null ? 0 : sample.t - this.lastT;
+        this.lastT = sample.t;
+        if (dtMs <= 0 || dtMs > RUL_MAX_GAP_MS) return 0;
+
+        const hours = dtMs / 3600000;
+        const km = Math.max(sample.speed, 0) * hours;
+        const running = sample.rpm > 400;
+        const t = this.totals;
+        t.km += km;
+        t.samples++;
+        if (running) t.engineHours += hours;
+        if (running && sample.speed < 2) t.idleHours += hours;
+        t.maxCoolant = Math.max(t.maxCoolant, sample.coolant);
+        t.minBattery = t.minBattery === null ? sample.battery : Math.min(t.minBattery, sample.battery);
+
+        const day = new Date(sample.t).toISOString().slice(0, 10);
+        const bucket = this.days[day] || (this.days[day] = { km: 0, engineHours: 0 });
+        bucket.km += km;
+        if (running) bucket.engineHours += hours;
+        return km;
+    }
+
+    snapshot() {
+        const keep = Object.keys(this.days).sort().slice(-AGGREGATE_DAYS);
+        const days = {};
+        keep.forEach(d => { days[d] = this.days[d]; });
+        this.days = days;
+        return { totals: { ...this.totals }, days };
+    }
+}
+
+/**
+ * Binds one vehicle's stored state to the live MLInferenceEngine: restores RUL wear on
+ * load, advances the odometer and aggregates, and saves periodically. Replays are
+ * history, so they never add wear to the vehicle.
+ */
+export class VehicleSession {
+    constructor(store, ml, vehicleId) {
+        this.store = store;
+        this.ml = ml;
+        this.vehicleId = vehicleId || DEFAULT_VEHICLE_ID;
+        this.profile = null;
+        this.log = [];
+        this.aggregates = new RollingAggregates();
+        this.trips = new TripAnalytics();
+        this.tripLog = [];
+        this.tracking = true;
+        this.savedState = null;
+        this.unsubscribe = null;
+        this.lastSave = 0;
+        this.listeners = [];
+    }
+
+    onChange(fn) { this.listeners.push(fn); }
+    notify() { this.listeners.forEach(fn => fn(this)); }
+
+    async load() {
+        this.profile = await this.store.getProfile(this.vehicleId);
+        this.log = await this.store.getMaintenanceLog(this.vehicleId);
+        this.tripLog = await this.store.getTrips(this.vehicleId);
+        this.savedState = await this.store.loadState(this.vehicleId);
+        this.applyState();
+        this.notify();
+    }
+
+    applyState() {
+        this.ml.rul.setIntervals(this.profile.serviceIntervals);
+        if (this.savedState && this.savedState.rul) this.ml.rul.restore(this.savedState.rul);
+        this.ml.alerts.setRules(this.profile.alertRules || DEFAULT_ALERT_RULESET);
+        this.ml.health.setWeights(this.profile.healthWeights);
+        this.ml.alerts.restore(this.savedState && this.savedState.alerts);
+        this.aggregates = new RollingAggregates(this.savedState && this.savedState.aggregates);
+        this.trips = new TripAnalytics(this.savedState && this.savedState.trip);
+        this.trips.onTripEnd(summary => this.saveTrip(summary));
+    }
+
+    setSource(source) {
+        if (this.unsubscribe) this.unsubscribe();
+        const wasTracking = this.tracking;
+        this.tracking = !(source instanceof ReplaySource);
+        // Coming back from a replay: throw away whatever wear the replay integrated.
+        if (this.tracking && !wasTracking && this.profile) this.applyState();
+        this.unsubscribe = source.on('sample', sample => this.onSample(sample));
+    }
+
+    onSample(sample) {
+        if (!this.tracking || !this.profile) return;
+        this.profile.odometerKm += this.aggregates.update(sample);
+        this.trips.update(sample);
+        if (sample.t - this.lastSave > VEHICLE_SAVE_INTERVAL_MS) {
+            this.lastSave = sample.t;
+            this.save();
+        }
+    }
+
+    async save() {
+        if (!this.tracking || !this.profile) return;
+        this.savedState = {
+            rul: this.ml.rul.snapshot(),
+            aggregates: this.aggregates.snapshot(),
+            alerts: this.ml.alerts.snapshot(),
+            trip: this.trips.snapshot()
+        };
+        try {
+            await Promise.all([
+                this.store.saveProfile(this.profile),
+                this.store.saveState(this.vehicleId, this.savedState)
+            ]);
+        } catch (err) {
+            console.warn('Could not save vehicle state:', err.message);
+        }
+    }
+
+    async updateProfile(changes) {
+        const intervals = { ...this.profile.serviceIntervals };
+        Object.entries(changes.serviceIntervals || {}).forEach(([id, km]) => { if (km > 0) intervals[id] = km; });
+        this.profile = { ...this.profile, ...changes, serviceIntervals: intervals };
+        this.ml.rul.setIntervals(this.profile.serviceIntervals);
+        await this.save();
+        this.notify();
+    }
+
+    /** Driver-class mix per trip comes from whatever the classifier said while it ran. */
+    recordInference(result) {
+        if (this.tracking) this.trips.recordInference(result);
+    }
+
+    async saveTrip(summary) {
+        this.tripLog.unshift({ ...summary, vehicleId: this.vehicleId });
+        try {
+            await this.store.addTrip(this.vehicleId, summary);
+        } catch (err) {
+            console.warn('Could not save trip:', err.message);
+        }
+        this.notify();
+    }
+
+    async endTrip() {
+        this.trips.end('manual');
+        await this.save();
+    }
+
+    async deleteTrip(id) {
+        this.tripLog = this.tripLog.filter(t => t.id !== id);
+        await this.store.deleteTrip(id);
+        this.notify();
+    }
+
+    /** Replaces this vehicle's alert rules; null goes back to the defaults. Throws if invalid. */
+    async setAlertRules(ruleSet) {
+        this.ml.alerts.setRules(ruleSet || DEFAULT_ALERT_RULESET);
+        this.profile = { ...this.profile, alertRules: ruleSet };
+        await this.save();
+        this.notify();
+    }
+
+    /** Replaces this vehicle's health score weights; null goes back to the defaults. Throws if invalid. */
+    async setHealthWeights(weights) {
+        this.ml.health.setWeights(weights);
+        this.profile = { ...this.profile, healthWeights: weights };
+        await this.save();
+        this.notify();
+    }
+
+    /** Records a service and renews the matching RUL component. */
+    async logService(type, notes) {
+        const entry = await this.store.addMaintenance(this.vehicleId, {
+            type,
+            odometerKm: Math.round(this.profile.odometerKm),
+            notes: notes || ''
+        });
+        this.ml.rul.resetComponent(SERVICE_TYPES[type].component);
+        this.log.unshift(entry);
+        await this.save();
+        this.notify();
+        return entry;
+    }
+}
+
+/** VIN: 17 characters, letters I, O and Q are never used. */
+export function isValidVin(vin) {
+    return /^[A-HJ-NPR-Z0-9]{17}$/.test(String(vin).toUpperCase());
+}
@@ -0,0 +1,278 @@
+/**
+ * NEXUS AI - Telemetry Ingest Server
+ * Accepts telemetry frames from loggers and scripts over HTTP POST or WebSocket, checks
+ * them against the dashboard's channel schema and streams them to every dashboard
+ * watching that vehicle. It serves the dashboard too, so http://localhost:8080/ is enough
+ * (the pages are ES modules, which browsers will not load from file://).
+ *
+ *   node server/ingest-server.js [--port 8080] [--host 127.0.0.1]
+ *
+ * With INGEST_TOKEN set, publishing needs "Authorization: Bearer <token>" (or ?token=);
+ * watching does not.
+ *
+ * A frame is { vehicleId, t?, rpm?, speed?, throttle?, load?, coolant?, battery?, fuelEff? }
+ * with at least one channel; t (ms since the epoch) defaults to the time it arrived.
+ *
+ *   POST /api/telemetry   One frame, a JSON array of them or NDJSON     -> 202 { accepted }
+ *   GET  /api/vehicles    Vehicles heard from, with their last frame
+ *   GET  /api/schema      The channel schema frames are checked against
+ *
+ *   WebSocket /ws, JSON messages
+ *     <- welcome { version, channels, vehicles }                       on connect
+ *     -> subscribe { vehicleId | '*' }   <- frame { frame }            last known frame first
+ *     -> frame { frame } | frames { frames }   <- ack { accepted } | error { message }
+ */
+
+import fs from 'fs';
+import http from 'http';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { WebSocketServer } from 'ws';
+import { CHANNEL_META, FRAME_VEHICLE_ID, validateTelemetryFrame } from '../js/telemetry-source.js';
+
+const ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+const INGEST_VERSION = 1;
+const MAX_BODY_BYTES = 1024 * 1024;
+const HEARTBEAT_MS = 30000; // Drops dashboards that vanished without closing
+const PUBLIC_DIRS = ['js', 'models', 'fonts', 'icons'];
+const PUBLIC_ROOT_FILE = /^[\w-]+\.(html|css|js|webmanifest)$/;
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.webmanifest': 'application/manifest+json; charset=utf-8',
+    '.woff2': 'font/woff2',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png'
+};
+
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+/** Last frame per vehicle and the dashboards subscribed to each. */
+class IngestHub {
+    constructor() {
+        this.vehicles = new Map(); // vehicleId -> { vehicleId, frames, firstSeen, lastSeen, last }
+        this.subscribers = new Map(); // socket -> Set of vehicleIds, '*' for all
+    }
+
+    /** Validates the whole batch before accepting any of it, so a rejected batch can be resent as is. */
+    accept(frames) {
+        const now = Date.now();
+        const valid = frames.map((frame, i) => {
+            try {
+                const { vehicleId, sample } = validateTelemetryFrame(frame);
+                return { vehicleId, t: now, ...sample };
+            } catch (err) {
+                throw new HttpError(400, frames.length > 1 ? `Frame ${i}: ${err.message}` : err.message);
+            }
+        });
+        valid.forEach(frame => this.record(frame, now));
+        return valid.length;
+    }
+
+    record(frame, now) {
+        let vehicle = this.vehicles.get(frame.vehicleId);
+        if (!vehicle) {
+            vehicle = { vehicleId: frame.vehicleId, frames: 0, firstSeen: now, lastSeen: now, last: null };
+            this.vehicles.set(frame.vehicleId, vehicle);
+        }
+        vehicle.frames++;
+        vehicle.lastSeen = now;
+        vehicle.last = frame;
+        const message = JSON.stringify({ type: 'frame', frame });
+        this.subscribers.forEach((ids, socket) => {
+            if (ids.has('*') || ids.has(frame.vehicleId)) socket.send(message);
+        });
+    }
+
+    subscribe(socket, vehicleId) {
+        if (vehicleId !== '*' && !FRAME_VEHICLE_ID.test(String(vehicleId))) throw new HttpError(400, '"vehicleId" must be a vehicle id or "*"');
+        this.subscribers.get(socket).add(vehicleId);
+        const known = vehicleId === '*' ? [...this.vehicles.values()] : [this.vehicles.get(vehicleId)].filter(Boolean);
+        known.forEach(v => socket.send(JSON.stringify({ type: 'frame', frame: v.last })));
+    }
+
+    list() {
+        return [...this.vehicles.values()].sort((a, b) => b.lastSeen - a.lastSeen);
+    }
+}
+
+/** A JSON frame, a JSON array of frames, or one frame per line. */
+function parseFrames(text) {
+    const trimmed = text.trim();
+    if (!trimmed) throw new HttpError(400, 'Empty body');
+    try {
+        const doc = JSON.parse(trimmed);
+        return Array.isArray(doc) ? doc : [doc];
+    } catch (err) {
+        // More than one JSON value: NDJSON
+    }
+    return trimmed.split('\n').filter(line => line.trim()).map((line, i) => {
+        try {
+            return JSON.parse(line);
+        } catch (err) {
+            throw new HttpError(400, `Line ${i + 1} is not JSON: ${err.message}`);
+        }
+    });
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                reject(new HttpError(413, `Body over ${MAX_BODY_BYTES} bytes; send smaller batches`));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        req.on('error', reject);
+    });
+}
+
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': CONTENT_TYPES['.json'] });
+    res.end(JSON.stringify(body));
+}
+
+/** Only the dashboard's own files; never the server, tools or dotfiles. */
+function publicFile(pathname) {
+    let rel;
+    try {
+        rel = path.posix.normalize(decodeURIComponent(pathname)).replace(/^\/+/, '') || 'index.html';
+    } catch (err) {
+        return null;
+    }
+    const parts = rel.split('/');
+    // fs throws synchronously on a NUL byte, so such a path never gets that far
+    if (rel.includes('\0') || parts.some(p => p === '..' || p.startsWith('.'))) return null;
+    const allowed = parts.length === 1 ? PUBLIC_ROOT_FILE.test(rel) : PUBLIC_DIRS.includes(parts[0]);
+    return allowed ? path.join(ROOT, ...parts) : null;
+}
+
+function serveStatic(req, res, pathname) {
+    const file = publicFile(pathname);
+    if (!file) throw new HttpError(404, 'Not found');
+    fs.readFile(file, (err, data) => {
+        if (err) {
+            sendJson(res, 404, { error: 'Not found' });
+            return;
+        }
+        res.writeHead(200, { 'Content-Type': CONTENT_TYPES[path.extname(file)] || 'application/octet-stream' });
+        res.end(req.method === 'HEAD' ? undefined : data);
+    });
+}
+
+function createIngestServer(options) {
+    const opts = options || {};
+    const token = opts.token || '';
+    const hub = new IngestHub();
+    const authorized = (req, url) => !token
+        || req.headers.authorization === `Bearer ${token}` || url.searchParams.get('token') === token;
+
+    const server = http.createServer(async (req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        try {
+            if (url.pathname.startsWith('/api/')) {
+                // Dashboards opened from another origin (or from disk) read and post here too
+                res.setHeader('Access-Control-Allow-Origin', '*');
+                res.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type');
+                res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+                if (req.method === 'OPTIONS') {
+                    res.writeHead(204);
+                    res.end();
+                    return;
+                }
+            }
+            if (url.pathname === '/api/telemetry') {
+                if (req.method !== 'POST') throw new HttpError(405, 'POST frames here');
+                if (!authorized(req, url)) throw new HttpError(401, 'Missing or wrong ingest token');
+                const accepted = hub.accept(parseFrames(await readBody(req)));
+                sendJson(res, 202, { accepted });
+            } else if (url.pathname === '/api/vehicles' && req.method === 'GET') {
+                sendJson(res, 200, hub.list());
+            } else if (url.pathname === '/api/schema' && req.method === 'GET') {
+                sendJson(res, 200, { version: INGEST_VERSION, channels: CHANNEL_META });
+            } else if (req.method === 'GET' || req.method === 'HEAD') {
+                serveStatic(req, res, url.pathname);
+            } else {
+                throw new HttpError(405, `${req.method} not allowed`);
+            }
+        } catch (err) {
+            if (!(err instanceof HttpError)) console.error('Ingest request failed:', err);
+            if (!res.headersSent) sendJson(res, err.status || 500, { error: err instanceof HttpError ? err.message : 'Internal error' });
+        }
+    });
+
+    const wss = new WebSocketServer({ server, path: '/ws', maxPayload: MAX_BODY_BYTES });
+    wss.on('connection', (socket, req) => {
+        const canPublish = authorized(req, new URL(req.url, 'http://localhost'));
+        hub.subscribers.set(socket, new Set());
+        socket.alive = true;
+        socket.on('pong', () => { socket.alive = true; });
+        socket.on('close', () => hub.subscribers.delete(socket));
+        socket.on('message', (data) => {
+            let msg;
+            try {
+                msg = JSON.parse(data);
+                switch (msg && msg.type) {
+                    case 'subscribe':
+                        hub.subscribe(socket, msg.vehicleId);
+                        break;
+                    case 'frame':
+                    case 'frames':
+                        if (!canPublish) throw new HttpError(401, 'Missing or wrong ingest token');
+                        if (msg.type === 'frames' && !Array.isArray(msg.frames)) throw new HttpError(400, '"frames" must be an array');
+                        socket.send(JSON.stringify({ type: 'ack', accepted: hub.accept(msg.type === 'frame' ? [msg.frame] : msg.frames) }));
+                        break;
+                    default:
+                        throw new HttpError(400, `Unknown message type "${msg && msg.type}"`);
+                }
+            } catch (err) {
+                socket.send(JSON.stringify({ type: 'error', message: err instanceof HttpError ? err.message : `Not JSON: ${err.message}` }));
+            }
+        });
+        socket.send(JSON.stringify({ type: 'welcome', version: INGEST_VERSION, channels: CHANNEL_META, vehicles: hub.list() }));
+    });
+
+    const heartbeat = setInterval(() => {
+        wss.clients.forEach(socket => {
+            if (!socket.alive) {
+                socket.terminate();
+                return;
+            }
+            socket.alive = false;
+            socket.ping();
+        });
+    }, HEARTBEAT_MS);
+    server.on('close', () => clearInterval(heartbeat));
+
+    return { server, wss, hub };
+}
+
+function option(name, fallback) {
+    const i = process.argv.indexOf(`--${name}`);
+    return i > 0 && process.argv[i + 1] ? process.argv[i + 1] : fallback;
+}
+
+if (process.argv[1] && fileURLToPath(import.meta.url) === path.resolve(process.argv[1])) {
+    const port = Number(option('port', process.env.PORT || 8080));
+    const host = option('host', '127.0.0.1');
+    const { server } = createIngestServer({ token: process.env.INGEST_TOKEN });
+    server.listen(port, host, () => {
+        console.log(`NEXUS ingest server on http://${host}:${port}/ (WebSocket ws://${host}:${port}/ws)`);
+        if (!process.env.INGEST_TOKEN) console.log('INGEST_TOKEN not set: anyone who can reach this port can publish');
+    });
+}
+
+export { createIngestServer, IngestHub, parseFrames };
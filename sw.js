@@ -0,0 +1,102 @@
+/**
+ * NEXUS AI - Service Worker
+ * Keeps every page, script, model, font and icon in the cache so the dashboard opens
+ * and runs with no signal. Answers from the cache first and refreshes it from the
+ * network behind the page, so a deploy shows up on the next load rather than this one.
+ * Telemetry APIs and the ingest WebSocket are never cached.
+ *
+ * Add new files to PRECACHE_URLS; bump CACHE_VERSION when one is removed or renamed.
+ */
+
+const CACHE_VERSION = 2;
+const CACHE_NAME = `nexus-ai-v${CACHE_VERSION}`;
+const PRECACHE_URLS = [
+    './',
+    'index.html',
+    'cockpit.html',
+    'ai-core.html',
+    'fleet.html',
+    'styles.css',
+    'script.js',
+    'manifest.webmanifest',
+    'js/telemetry-source.js',
+    'js/ingest-feed.js',
+    'js/elm327.js',
+    'js/dtc.js',
+    'js/simulator.js',
+    'js/anomaly-detector.js',
+    'js/rul-estimator.js',
+    'js/health-model.js',
+    'js/alert-rules.js',
+    'js/driver-classifier.js',
+    'js/trip-analytics.js',
+    'js/trip-recorder.js',
+    'js/telemetry-history.js',
+    'js/health-report.js',
+    'js/vehicle-store.js',
+    'js/fleet.js',
+    'js/inference-engine.js',
+    'js/telemetry-host.js',
+    'js/telemetry-client.js',
+    'js/telemetry-worker.js',
+    'js/units.js',
+    'js/i18n.js',
+    'js/locales/en.js',
+    'js/locales/de.js',
+    'js/display-settings.js',
+    'js/ai-view.js',
+    'js/ui/chart.js',
+    'js/ui/dashboard.js',
+    'js/ui/health-panel.js',
+    'js/ui/session-panel.js',
+    'js/ui/vehicle-panel.js',
+    'js/ui/fault-codes-panel.js',
+    'js/ui/alert-panel.js',
+    'js/ui/trip-panel.js',
+    'js/ui/export-panel.js',
+    'js/ui/fleet-overview.js',
+    'js/ui/settings-panel.js',
+    'js/ui/router.js',
+    'js/ui/drive-mode.js',
+    'js/ui/app.js',
+    'models/driver-classifier.json',
+    'fonts/fonts.css',
+    'fonts/roboto-latin-300.woff2',
+    'fonts/roboto-latin-400.woff2',
+    'fonts/roboto-latin-500.woff2',
+    'fonts/roboto-latin-700.woff2',
+    'fonts/material-icons.woff2',
+    'icons/icon.svg',
+    'icons/icon-192.png',
+    'icons/icon-512.png'
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(caches.open(CACHE_NAME)
+        .then(cache => cache.addAll(PRECACHE_URLS))
+        .then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(caches.keys()
+        .then(keys => Promise.all(keys.filter(key => key.startsWith('nexus-ai-') && key !== CACHE_NAME).map(key => caches.delete(key))))
+        .then(() => self.clients.claim()));
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    const url = new URL(request.url);
+    if (request.method !== 'GET' || url.origin !== self.location.origin || url.pathname.startsWith('/api/')) return;
+
+    event.respondWith(caches.open(CACHE_NAME).then(async cache => {
+        // Pages are cached without their ?vehicle= scope; every vehicle shares them
+        const cached = await cache.match(request, { ignoreSearch: true });
+        const refresh = fetch(request).then(response => {
+            if (response.ok) cache.put(url.search ? url.pathname : request, response.clone());
+            return response;
+        });
+        if (!cached) return refresh;
+        event.waitUntil(refresh.catch(() => { })); // Offline: the cached copy stands
+        return cached;
+    }));
+});
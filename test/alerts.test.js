@@ -0,0 +1,196 @@
+import assert from 'assert/strict';
+import { describe, it } from 'node:test';
+import { healthRisk, monitorStatus } from '../js/ai-view.js';
+import { AlertEngine, AlertNotifier } from '../js/alert-rules.js';
+import { Translator } from '../js/i18n.js';
+import { MLInferenceEngine, RUL_SERVICE_SOON_KM } from '../js/inference-engine.js';
+import { MockOBDSimulator } from '../js/simulator.js';
+import { UNIT_PRESETS, UnitConverter } from '../js/units.js';
+import { drive } from './drive.js';
+
+const reading = (t, over) => ({ t, rpm: 2000, speed: 50, throttle: 20, load: 40, coolant: 90, battery: 14, ...over });
+
+// The parts of an inference result the recommendations and the monitor read.
+function result(over) {
+    return {
+        scores: { hygiene: 100, thermal: 100, engine: 100, electrical: 100 },
+        rul: { components: [{ id: 'oil', val: 9000 }, { id: 'battery', val: 70000 }] },
+        driver: { type: 'NORMAL' },
+        anomaly: false,
+        anomalies: [],
+        anomalyModel: { warm: true, progress: 1 },
+        alerts: [],
+        ...over
+    };
+}
+
+describe('AlertEngine', () => {
+    it('raises at the threshold and clears only past the hysteresis', () => {
+        const alerts = new AlertEngine();
+        alerts.evaluate(reading(0, { coolant: 101 }));
+        assert.deepEqual(alerts.getActive().map(a => a.ruleId), ['coolant-high']);
+        alerts.evaluate(reading(100, { coolant: 98 }));
+        assert.equal(alerts.getActive().length, 1);
+        alerts.evaluate(reading(200, { coolant: 97 }));
+        assert.equal(alerts.getActive().length, 0);
+        assert.equal(alerts.history[0].ruleId, 'coolant-high');
+        assert.equal(alerts.history[0].peak, 101);
+    });
+
+    it('waits for a condition to hold before raising', () => {
+        const alerts = new AlertEngine();
+        alerts.evaluate(reading(0, { battery: 12.3 }));
+        alerts.evaluate(reading(4900, { battery: 12.3 }));
+        assert.equal(alerts.getActive().length, 0);
+        alerts.evaluate(reading(5000, { battery: 12.6 })); // Recovered: the hold starts over
+        alerts.evaluate(reading(5100, { battery: 12.3 }));
+        alerts.evaluate(reading(10000, { battery: 12.3 }));
+        assert.equal(alerts.getActive().length, 0);
+        alerts.evaluate(reading(10100, { battery: 12.3 }));
+        assert.deepEqual(alerts.getActive().map(a => a.ruleId), ['battery-low']);
+    });
+
+    it('lists the most severe alert first', () => {
+        const alerts = new AlertEngine();
+        for (let t = 0; t <= 31000; t += 1000) alerts.evaluate(reading(t, { coolant: 107, rpm: 5800 }));
+        assert.deepEqual(alerts.getActive().map(a => a.severity), ['critical', 'warning', 'info']);
+    });
+});
+
+/** Runs fn with just enough of a browser for AlertNotifier: granted notifications, given storage. */
+async function withBrowser(storage, fn) {
+    const shown = [];
+    class Notification {
+        constructor(title, options) { shown.push({ title, ...options }); }
+    }
+    Notification.permission = 'granted';
+    const globals = { window: { Notification }, Notification, localStorage: storage, document: { addEventListener() { } } };
+    Object.keys(globals).forEach(name => Object.defineProperty(globalThis, name, { value: globals[name], configurable: true, writable: true }));
+    try {
+        await fn(shown);
+    } finally {
+        Object.keys(globals).forEach(name => delete globalThis[name]);
+    }
+}
+
+const memoryStorage = () => {
+    const items = {};
+    return { getItem: (key) => (key in items ? items[key] : null), setItem: (key, value) => { items[key] = String(value); }, removeItem: (key) => { delete items[key]; } };
+};
+
+describe('AlertNotifier', () => {
+    it('words the notification in the reader\'s language and units', () => {
+        const storage = memoryStorage();
+        storage.setItem('nexus.alerts.notify', '1');
+        return withBrowser(storage, (shown) => {
+            const alerts = new AlertEngine();
+            new AlertNotifier(alerts, new Translator('de', new UnitConverter(UNIT_PRESETS.us)));
+            for (let t = 0; t <= 30000; t += 1000) alerts.evaluate(reading(t, { coolant: 106 }));
+            assert.equal(shown.length, 1);
+            assert.equal(shown[0].title, 'NEXUS AI: Motor überhitzt');
+            assert.equal(shown[0].body, 'Kühlmittel 223 °F (Grenzwert 221 °F)');
+        });
+    });
+
+    it('starts switched off when storage is blocked, and can still be switched on', async () => {
+        const blocked = () => { throw new Error('The operation is insecure.'); };
+        const warn = console.warn;
+        console.warn = () => { };
+        try {
+            await withBrowser({ getItem: blocked, setItem: blocked, removeItem: blocked }, async (shown) => {
+                const alerts = new AlertEngine();
+                const notifier = new AlertNotifier(alerts, new Translator('en'));
+                assert.equal(notifier.enabled, false);
+                await notifier.enable();
+                assert.equal(notifier.enabled, true);
+                for (let t = 0; t <= 30000; t += 1000) alerts.evaluate(reading(t, { coolant: 106 }));
+                assert.equal(shown.length, 1);
+                notifier.disable();
+                assert.equal(notifier.enabled, false);
+            });
+        } finally {
+            console.warn = warn;
+        }
+    });
+});
+
+describe('Recommendations', () => {
+    const ml = new MLInferenceEngine(new MockOBDSimulator({ seed: 1 }));
+    const keys = (over) => ml.recommend(result(over)).map(r => r.key);
+
+    it('start with the driving style', () => {
+        assert.deepEqual(keys(), ['rec.keepStyle']);
+        assert.deepEqual(keys({ driver: { type: 'AGGRESSIVE' } }), ['rec.aggressive']);
+        assert.deepEqual(keys({ driver: { type: 'ERRATIC' } }), ['rec.erratic']);
+        assert.deepEqual(keys({ driver: { type: 'ANALYZING' } }), ['rec.keepStyle']);
+    });
+
+    it('follow the sub-scores', () => {
+        assert.deepEqual(keys({ scores: { hygiene: 80, thermal: 89, engine: 100, electrical: 100 } }), ['rec.keepStyle', 'rec.checkCoolant']);
+        assert.deepEqual(keys({ scores: { hygiene: 90, thermal: 90, engine: 100, electrical: 90 } }), ['rec.keepStyle', 'rec.testBattery']);
+    });
+
+    it('book a service for each component close to its interval', () => {
+        const recs = ml.recommend(result({
+            rul: { components: [{ id: 'oil', val: RUL_SERVICE_SOON_KM - 1 }, { id: 'coolant', val: RUL_SERVICE_SOON_KM }, { id: 'battery', val: 200 }] }
+        }));
+        assert.deepEqual(recs.slice(1), [
+            { key: 'rec.serviceDue', params: { component: 'oil', km: RUL_SERVICE_SOON_KM - 1 } },
+            { key: 'rec.serviceDue', params: { component: 'battery', km: 200 } }
+        ]);
+    });
+});
+
+describe('Anomaly monitor', () => {
+    const warning = { id: 'rpm-spike', channel: 'rpm', severity: 'warning', message: { key: 'anomaly.jump' } };
+    const critical = { ruleId: 'coolant-overheat', channel: 'coolant', severity: 'critical' };
+
+    it('is normal within the baseline and says when it is still learning', () => {
+        assert.deepEqual(monitorStatus(result()), {
+            status: 'monitor.normal', statusClass: '',
+            items: [{ icon: 'check_circle', class: 'check', message: { key: 'monitor.withinBaseline' } }]
+        });
+        const learning = monitorStatus(result({ anomalyModel: { warm: false, progress: 0.42 } }));
+        assert.deepEqual(learning.items[0].message, { key: 'monitor.learning', params: { pct: 42 } });
+    });
+
+    it('takes the worst of the findings and the alerts', () => {
+        const findings = monitorStatus(result({ anomaly: true, anomalies: [warning] }));
+        assert.equal(findings.status, 'monitor.warning');
+        assert.deepEqual(findings.items.map(i => i.icon), ['speed']);
+
+        const info = monitorStatus(result({ alerts: [{ ruleId: 'rpm-redline', channel: 'rpm', severity: 'info' }] }));
+        assert.equal(info.status, 'monitor.normal');
+
+        const both = monitorStatus(result({ anomaly: true, anomalies: [warning], alerts: [critical] }));
+        assert.equal(both.status, 'monitor.anomaly');
+        assert.equal(both.statusClass, 'critical');
+        assert.deepEqual(both.items.map(i => i.class), ['issue', 'issue critical']);
+        assert.equal(both.items[1].alert, critical);
+    });
+
+    it('bands the health score', () => {
+        assert.equal(healthRisk(59).level, 'High');
+        assert.equal(healthRisk(60).level, 'Medium');
+        assert.equal(healthRisk(80).level, 'Low');
+    });
+});
+
+describe('Simulated faults', () => {
+    it('a stuck thermostat ends in an overheat alert and a coolant check', () => {
+        const results = drive({ seed: 42, faults: [{ type: 'thermostat', at: 20 }] }, 180);
+        const first = results.findIndex(r => r.alerts.some(a => a.ruleId === 'coolant-high'));
+        assert.ok(first > 0 && results.slice(0, 10).every(r => !r.alerts.length));
+        const last = results[results.length - 1];
+        assert.deepEqual(last.alerts.map(a => a.ruleId), ['coolant-overheat', 'coolant-high']);
+        assert.ok(last.recommendations.some(r => r.key === 'rec.checkCoolant'));
+        assert.equal(monitorStatus(last).status, 'monitor.anomaly');
+    });
+
+    it('a failing alternator ends in a low-voltage alert and a battery test', () => {
+        const last = drive({ seed: 42, faults: [{ type: 'alternator', at: 20 }] }, 180).pop();
+        assert.deepEqual(last.alerts.map(a => a.ruleId), ['battery-low']);
+        assert.ok(last.recommendations.some(r => r.key === 'rec.testBattery'));
+        assert.ok(!last.recommendations.some(r => r.key === 'rec.checkCoolant'));
+    });
+});
@@ -0,0 +1,56 @@
+import assert from 'assert/strict';
+import { describe, it } from 'node:test';
+import { ANOMALY_HOLD_MS, ANOMALY_WARMUP_SAMPLES, AnomalyDetector } from '../js/anomaly-detector.js';
+import { drive, samples } from './drive.js';
+
+// Idling engine with a little RPM noise; `swing` alternates the RPM by that much every sample.
+const idle = (swing) => (s) => ({
+    rpm: 2000 + (Math.round(s * 10) % 2 ? 1 : -1) * (swing || 10),
+    speed: 0, throttle: 20, load: 30, coolant: 90, battery: 14
+});
+
+function feed(detector, list, offsetMs) {
+    list.forEach(sample => detector.update({ ...sample, t: sample.t + (offsetMs || 0) }));
+}
+
+describe('AnomalyDetector', () => {
+    it('flags RPM variance far outside the learned baseline', () => {
+        const detector = new AnomalyDetector();
+        feed(detector, samples(30, idle()));
+        assert.ok(detector.isWarm());
+        assert.deepEqual(detector.getFindings(), []);
+
+        feed(detector, samples(2, idle(800)), 30100);
+        const rpm = detector.getFindings().find(f => f.id === 'rpm-spike');
+        assert.ok(rpm, 'no rpm-spike finding');
+        assert.equal(rpm.severity, 'critical');
+        assert.equal(rpm.message.key, 'anomaly.jump');
+    });
+
+    it('stays quiet until the baseline has warmed up', () => {
+        const detector = new AnomalyDetector();
+        feed(detector, samples((ANOMALY_WARMUP_SAMPLES - 2) / 10, idle(800)));
+        assert.ok(!detector.isWarm());
+        assert.deepEqual(detector.getFindings(), []);
+    });
+
+    it('holds a finding after the variance stops, then drops it', () => {
+        const detector = new AnomalyDetector();
+        feed(detector, samples(30, idle()));
+        feed(detector, samples(1, idle(800)), 30100);
+        feed(detector, samples(ANOMALY_HOLD_MS / 1000 - 1, idle()), 31200);
+        assert.ok(detector.getFindings().some(f => f.id === 'rpm-spike'));
+        feed(detector, samples(2, idle()), 31200 + ANOMALY_HOLD_MS);
+        assert.ok(!detector.getFindings().some(f => f.id === 'rpm-spike'));
+    });
+
+    it('picks up a simulated misfire and nothing on the same drive without it', () => {
+        const healthy = drive({ seed: 42 }, 120);
+        assert.ok(healthy.every(r => !r.anomaly), 'healthy drive flagged');
+
+        const misfire = drive({ seed: 42, faults: [{ type: 'misfire', at: 60 }] }, 120);
+        assert.ok(misfire.slice(0, 29).every(r => !r.anomaly), 'flagged before the fault');
+        const after = misfire.slice(30);
+        assert.ok(after.some(r => r.anomalies.some(a => a.id === 'rpm-spike' && a.severity === 'critical')));
+    });
+});
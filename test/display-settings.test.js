@@ -0,0 +1,24 @@
+import assert from 'assert/strict';
+import { describe, it } from 'node:test';
+import { display } from '../js/display-settings.js';
+
+describe('DisplaySettings', () => {
+    it('applies a change on this page when storage is blocked', () => {
+        const blocked = () => { throw new Error('The operation is insecure.'); };
+        Object.defineProperty(globalThis, 'localStorage', { value: { getItem: blocked, setItem: blocked }, configurable: true, writable: true });
+        const warn = console.warn;
+        console.warn = () => { };
+        const seen = [];
+        display.onChange(settings => seen.push(settings.settings.locale));
+        try {
+            display.update({ locale: 'de', units: { temperature: 'f' } });
+            assert.equal(display.settings.locale, 'de');
+            assert.equal(display.settings.units.temperature, 'f');
+            assert.equal(display.t('vehicle.odometer'), 'Kilometerstand');
+            assert.deepEqual(seen, ['de']);
+        } finally {
+            console.warn = warn;
+            delete globalThis.localStorage;
+        }
+    });
+});
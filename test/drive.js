@@ -0,0 +1,42 @@
+/**
+ * NEXUS AI - Test Drives
+ * Seeded simulator runs through the inference engine the way the telemetry host does:
+ * every sample into the engine, a result every AI interval.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { DriverClassifier } from '../js/driver-classifier.js';
+import { MLInferenceEngine } from '../js/inference-engine.js';
+import { MockOBDSimulator, SIM_STEP_MS } from '../js/simulator.js';
+import { AI_INTERVAL_MS } from '../js/telemetry-host.js';
+
+export const ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+export function loadDriverModel() {
+    return new DriverClassifier(JSON.parse(fs.readFileSync(path.join(ROOT, 'models', 'driver-classifier.json'), 'utf8')));
+}
+
+/** options: MockOBDSimulator options (seed required) plus driverModel; returns every result. */
+export function drive(options, seconds) {
+    const { driverModel, ...simOptions } = options;
+    const sim = new MockOBDSimulator({ startTime: 0, ...simOptions });
+    const ml = new MLInferenceEngine(sim);
+    if (driverModel) ml.setDriverModel(driverModel);
+    const results = [];
+    const ticks = seconds * 1000 / SIM_STEP_MS;
+    for (let i = 1; i <= ticks; i++) {
+        sim.tick();
+        if (i % (AI_INTERVAL_MS / SIM_STEP_MS) === 0) results.push(ml.runInference());
+    }
+    return results;
+}
+
+/** Evenly spaced samples from a function of the time in seconds. */
+export function samples(seconds, fn, stepMs) {
+    const step = stepMs || SIM_STEP_MS;
+    const out = [];
+    for (let t = 0; t <= seconds * 1000; t += step) out.push({ t, ...fn(t / 1000) });
+    return out;
+}
@@ -0,0 +1,85 @@
+import assert from 'assert/strict';
+import { describe, it } from 'node:test';
+import { DRIVER_FEATURES, DRIVER_MIN_MOVING, DRIVER_MIN_WINDOW_MS, DriverClassifier, DriverFeatureExtractor } from '../js/driver-classifier.js';
+import { drive, loadDriverModel, samples } from './drive.js';
+
+const CLASS_FOR_STYLE = { eco: 'ECO', normal: 'NORMAL', aggressive: 'AGGRESSIVE', erratic: 'ERRATIC' };
+
+// One softmax layer on jerk alone: AGGRESSIVE above 2 m/s³, ECO below.
+const JERK_MODEL = {
+    type: 'mlp',
+    classes: ['ECO', 'AGGRESSIVE'],
+    features: DRIVER_FEATURES.map(f => f.id),
+    mean: DRIVER_FEATURES.map(() => 0),
+    std: DRIVER_FEATURES.map(() => 1),
+    layers: [{
+        weights: [DRIVER_FEATURES.map(() => 0), DRIVER_FEATURES.map(f => (f.id === 'jerkRms' ? 1 : 0))],
+        bias: [0, -2],
+        activation: 'softmax'
+    }]
+};
+const withJerk = (jerk) => DRIVER_FEATURES.map(f => (f.id === 'jerkRms' ? jerk : 0));
+
+describe('DriverClassifier', () => {
+    it('splits the classes at the model boundary', () => {
+        const model = new DriverClassifier(JERK_MODEL);
+        assert.equal(model.predict(withJerk(1.9)).type, 'ECO');
+        assert.equal(model.predict(withJerk(2.1)).type, 'AGGRESSIVE');
+        const edge = model.predict(withJerk(2));
+        assert.ok(Math.abs(edge.probs.ECO - 0.5) < 1e-9 && Math.abs(edge.probs.AGGRESSIVE - 0.5) < 1e-9);
+        assert.equal(model.predict(withJerk(5)).topFeature.id, 'jerkRms');
+    });
+
+    it('rejects a model built for other features', () => {
+        assert.throws(() => new DriverClassifier({ ...JERK_MODEL, features: ['jerkRms'] }), /features must be/);
+        assert.throws(() => new DriverClassifier({ ...JERK_MODEL, classes: ['ECO'] }), /does not match its classes/);
+    });
+
+    it('classifies every simulated style as itself', () => {
+        const driverModel = loadDriverModel();
+        Object.entries(CLASS_FOR_STYLE).forEach(([style, cls]) => {
+            const results = drive({ seed: 4242, driver: style, driverModel }, 300);
+            const late = results.slice(-30).map(r => r.driver.type);
+            assert.deepEqual(late, late.map(() => cls), `${style} drive`);
+            const last = results[results.length - 1].driver;
+            assert.ok(last.ready && last.conf > 50 && last.conf <= 100);
+            assert.ok(Math.abs(Object.values(last.probs).reduce((a, b) => a + b, 0) - 1) < 1e-9);
+        });
+    });
+});
+
+describe('DriverFeatureExtractor', () => {
+    const cruise = (speed) => ({ speed, rpm: 2000, throttle: 25 });
+
+    it('waits for a filled window before classifying', () => {
+        const short = new DriverFeatureExtractor();
+        samples(DRIVER_MIN_WINDOW_MS / 1000 - 1, () => cruise(60)).forEach(s => short.update(s));
+        assert.equal(short.extract().ready, false);
+
+        const full = new DriverFeatureExtractor();
+        samples(DRIVER_MIN_WINDOW_MS / 1000, () => cruise(60)).forEach(s => full.update(s));
+        assert.equal(full.extract().ready, true);
+    });
+
+    it('waits for the car to be moving for enough of the window', () => {
+        const span = DRIVER_MIN_WINDOW_MS / 1000 + 5;
+        const stopped = new DriverFeatureExtractor();
+        samples(span, (s) => cruise(s < span * (1 - DRIVER_MIN_MOVING) + 1 ? 0 : 60)).forEach(s => stopped.update(s));
+        assert.ok(stopped.extract().moving < DRIVER_MIN_MOVING);
+        assert.equal(stopped.extract().ready, false);
+
+        const moving = new DriverFeatureExtractor();
+        samples(span, (s) => cruise(s < span * (1 - DRIVER_MIN_MOVING) - 1 ? 0 : 60)).forEach(s => moving.update(s));
+        assert.equal(moving.extract().ready, true);
+    });
+
+    it('reports why the driver card is still analyzing', () => {
+        const [first] = drive({ seed: 7 }, 2);
+        assert.equal(first.driver.type, 'ANALYZING');
+        assert.equal(first.driver.insight.key, 'driver.noModel');
+
+        const early = drive({ seed: 7, driverModel: loadDriverModel() }, 4);
+        assert.ok(early.every(r => r.driver.type === 'ANALYZING' && !r.driver.ready));
+        assert.ok(['driver.waitingToMove', 'driver.collecting'].includes(early[1].driver.insight.key));
+    });
+});
@@ -0,0 +1,75 @@
+import assert from 'assert/strict';
+import { describe, it } from 'node:test';
+import { DtcProtocol, describeDtc } from '../js/dtc.js';
+import { ELM327Source, FakeELM327Transport } from '../js/elm327.js';
+
+const reply = (...lines) => `${lines.join('\r')}\r\r>`;
+// P0133, P0217, P0300, U0100 from one CAN ECU: a 10-byte ISO-TP reply, zero-padded in its last frame.
+const MULTI_FRAME = reply('00A', '0: 43 04 01 33 02 17', '1: 03 00 C1 00 00 00 00');
+
+describe('DtcProtocol', () => {
+    it('decodes and encodes every system letter', () => {
+        assert.equal(DtcProtocol.decode(0x01, 0x33), 'P0133');
+        assert.equal(DtcProtocol.decode(0xC1, 0x00), 'U0100');
+        ['P0420', 'C0035', 'B1000', 'U0155', 'P3A0F'].forEach(code => {
+            assert.equal(DtcProtocol.decode(...DtcProtocol.encode(code)), code);
+        });
+    });
+
+    it('reads a padded multi-frame CAN reply up to its byte count', () => {
+        assert.deepEqual(DtcProtocol.parseDtcs(MULTI_FRAME, '03'), ['P0133', 'P0217', 'P0300', 'U0100']);
+        assert.deepEqual(DtcProtocol.parseDtcs(MULTI_FRAME, '03', true), ['P0133', 'P0217', 'P0300', 'U0100']);
+    });
+
+    it('keeps multi-frame responses from several ECUs apart', () => {
+        const raw = reply('00A', '0: 43 04 01 33 02 17', '1: 03 00 C1 00 00 00 00', '43 01 07 00');
+        assert.deepEqual(DtcProtocol.parseDtcs(raw, '03'), ['P0133', 'P0217', 'P0300', 'U0100', 'P0700']);
+    });
+
+    it('reads single-frame CAN and padded K-line replies', () => {
+        assert.deepEqual(DtcProtocol.parseDtcs(reply('43 02 01 33 02 17'), '03'), ['P0133', 'P0217']);
+        assert.deepEqual(DtcProtocol.parseDtcs(reply('43 00'), '03', true), []);
+        assert.deepEqual(DtcProtocol.parseDtcs(reply('43 01 33 02 17 00 00'), '03'), ['P0133', 'P0217']);
+        assert.deepEqual(DtcProtocol.parseDtcs(reply('43 01 33 00 00 00 00'), '03', false), ['P0133']);
+    });
+
+    it('has no codes when the ECU answers NO DATA and rejects other modes', () => {
+        assert.deepEqual(DtcProtocol.parseDtcs(reply('NO DATA'), '07'), []);
+        assert.throws(() => DtcProtocol.parseDtcs(reply('41 0C 1A F8'), '01'), /does not return trouble codes/);
+    });
+
+    it('names the code behind the freeze frame', () => {
+        assert.equal(DtcProtocol.parseFreezeFrameDtc(reply('42 02 00 03 00')), 'P0300');
+        assert.equal(DtcProtocol.parseFreezeFrameDtc(reply('42 02 00 00 00')), null);
+    });
+});
+
+describe('describeDtc', () => {
+    it('explains known codes and falls back to the code structure', () => {
+        const misfire = describeDtc('P0300');
+        assert.equal(misfire.critical, true);
+        assert.deepEqual(misfire.channels, ['rpm', 'load']);
+        const unknown = describeDtc('P1399', 'pending');
+        assert.equal(unknown.known, false);
+        assert.equal(unknown.kind, 'pending');
+        assert.equal(unknown.description, 'Manufacturer-specific ignition system or misfire fault');
+    });
+});
+
+describe('ELM327Source.readDtcs', () => {
+    it('asks for the protocol and reads CAN codes with their freeze frame', async () => {
+        const transport = new FakeELM327Transport({
+            ATDPN: 'A6',
+            '03': MULTI_FRAME.replace(/\r\r>$/, ''),
+            '020200': '42 02 00 01 33',
+            '020500': '42 05 00 8C'
+        });
+        const source = new ELM327Source(transport, { pids: ['05'] });
+        await source.start();
+        const dtcs = await source.readDtcs();
+        assert.equal(source.can, true);
+        assert.deepEqual(dtcs.stored.map(d => d.code), ['P0133', 'P0217', 'P0300', 'U0100']);
+        assert.deepEqual(dtcs.pending, []);
+        assert.deepEqual(dtcs.freezeFrame, { code: 'P0133', sample: { coolant: 100 } });
+    });
+});
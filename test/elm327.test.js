@@ -0,0 +1,125 @@
+import assert from 'assert/strict';
+import { describe, it } from 'node:test';
+import { ELM327Protocol, ELM327Source, FakeELM327Transport, WebSerialTransport } from '../js/elm327.js';
+import { SOURCE_STATUS } from '../js/telemetry-source.js';
+
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+/**
+ * A serial port whose adapter answers each command through `respond(command, push)`;
+ * push(text) delivers bytes whenever the test likes, e.g. after the transport gave up.
+ */
+function fakeSerialPort(respond) {
+    const chunks = [];
+    let waiting = null;
+    const push = (text) => {
+        const value = new TextEncoder().encode(text);
+        if (waiting) {
+            waiting({ value, done: false });
+            waiting = null;
+        } else {
+            chunks.push(value);
+        }
+    };
+    return {
+        reads: 0,
+        async open() { },
+        async close() { },
+        writable: { getWriter: () => ({ write: async (bytes) => respond(new TextDecoder().decode(bytes).trim(), push), releaseLock() { } }) },
+        get readable() {
+            const port = this;
+            return {
+                getReader: () => ({
+                    read() {
+                        port.reads++;
+                        if (chunks.length) return Promise.resolve({ value: chunks.shift(), done: false });
+                        return new Promise(resolve => { waiting = resolve; });
+                    },
+                    async cancel() {
+                        if (waiting) waiting({ value: undefined, done: true });
+                    },
+                    releaseLock() { }
+                })
+            };
+        }
+    };
+}
+
+/** One tick with the backoff skipped, once the poll it started has finished. */
+async function pollNow(source) {
+    source.retryAt = 0;
+    source.tick();
+    await settle();
+}
+
+describe('ELM327Protocol', () => {
+    it('decodes a Mode 01 reply and tells NO DATA from bus errors', () => {
+        assert.equal(ELM327Protocol.parse('41 0C 1A F8\r\r>', '0C'), 1726);
+        assert.equal(ELM327Protocol.parse('SEARCHING...\r41 05 7B\r\r>', '05'), 83);
+        assert.equal(ELM327Protocol.parse('NO DATA\r\r>', '0D'), null);
+        assert.throws(() => ELM327Protocol.parse('BUS INIT: ...ERROR\r\r>', '0D'), { code: 'BUS_ERROR' });
+        assert.throws(() => ELM327Protocol.parse('?\r\r>', '0D'), { code: 'UNKNOWN_COMMAND' });
+    });
+});
+
+describe('ELM327Source', () => {
+    it('rides out a few failed polls and recovers', async () => {
+        const source = new ELM327Source(new FakeELM327Transport({ '010C': ['STOPPED', 'BUS INIT: ...', '41 0C 1A F8'] }), { pids: ['0C'] });
+        await source.start();
+
+        await pollNow(source);
+        assert.equal(source.status, SOURCE_STATUS.LIVE);
+        assert.match(source.statusDetail, /STOPPED, retrying in 0.5s/);
+        source.tick(); // Still backing off
+        await settle();
+        assert.equal(source.transport.sent.filter(c => c === '010C').length, 1);
+
+        await pollNow(source);
+        assert.equal(source.failures, 2);
+        await pollNow(source);
+        assert.equal(source.failures, 0);
+        assert.equal(source.statusDetail, '');
+        assert.equal(source.getData().rpm, 1726);
+    });
+
+    it('gives up after a run of failures and reconnects on request', async () => {
+        const source = new ELM327Source(new FakeELM327Transport({ '010C': ['STOPPED', 'STOPPED', 'STOPPED', '41 0C 1A F8'] }), { pids: ['0C'], maxFailures: 3 });
+        await source.start();
+        for (let i = 0; i < 3; i++) await pollNow(source);
+        assert.equal(source.status, SOURCE_STATUS.ERROR);
+        assert.match(source.statusDetail, /3 failed polls in a row/);
+        await pollNow(source);
+        assert.equal(source.transport.sent.filter(c => c === '010C').length, 3);
+
+        await source.reconnect();
+        assert.equal(source.status, SOURCE_STATUS.LIVE);
+        assert.deepEqual(source.transport.sent.slice(-6), ['ATZ', 'ATE0', 'ATL0', 'ATS0', 'ATH0', 'ATSP0']);
+        await pollNow(source);
+        assert.equal(source.getData().rpm, 1726);
+    });
+});
+
+describe('WebSerialTransport', () => {
+    it('does not hand a late reply to the next command', async () => {
+        let late = null;
+        const port = fakeSerialPort((command, push) => {
+            if (command === '010C') late = () => push('41 0C 1A F8\r\r>');
+            else if (command === '010D') push('41 0D 32\r\r>');
+        });
+        Object.defineProperty(globalThis, 'navigator', { value: { serial: { requestPort: async () => port } }, configurable: true, writable: true });
+        const transport = new WebSerialTransport();
+        transport.timeoutMs = 50;
+        try {
+            await transport.open();
+            await assert.rejects(transport.send('010C'), { code: 'TIMEOUT' });
+            const reply = transport.send('010D');
+            await settle();
+            late(); // The answer to 010C turns up only now
+            assert.equal(ELM327Protocol.parse(await reply, '0D'), 50);
+            assert.equal(port.reads, 2); // The late reply went to the read the timed-out command left waiting
+            await transport.close();
+        } finally {
+            delete globalThis.navigator;
+        }
+    });
+});
@@ -0,0 +1,22 @@
+import assert from 'assert/strict';
+import { describe, it } from 'node:test';
+import { FleetRoster } from '../js/fleet.js';
+
+describe('FleetRoster', () => {
+    it('keeps an added vehicle on this page when storage is blocked', () => {
+        const blocked = () => { throw new Error('The operation is insecure.'); };
+        Object.defineProperty(globalThis, 'localStorage', { value: { getItem: blocked, setItem: blocked }, configurable: true, writable: true });
+        const warn = console.warn;
+        console.warn = () => { };
+        try {
+            const entry = FleetRoster.add('Tow Truck', { scenario: 'towing', driver: 'normal' });
+            assert.deepEqual(FleetRoster.find(entry.id), entry);
+            FleetRoster.remove(entry.id);
+            assert.equal(FleetRoster.find(entry.id), null);
+            assert.ok(FleetRoster.load().length > 0);
+        } finally {
+            console.warn = warn;
+            delete globalThis.localStorage;
+        }
+    });
+});
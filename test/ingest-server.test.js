@@ -0,0 +1,225 @@
+import assert from 'assert/strict';
+import { execFile } from 'child_process';
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { describe, it, before, after } from 'node:test';
+import WebSocket from 'ws';
+import { createIngestServer } from '../server/ingest-server.js';
+import { TripRecorder } from '../js/trip-recorder.js';
+import { ROOT, samples } from './drive.js';
+
+/** An ingest server on a free port; close() also drops open connections. */
+async function startServer(options) {
+    const { server, wss, hub } = createIngestServer(options);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const { port } = server.address();
+    return {
+        hub,
+        http: `http://127.0.0.1:${port}`,
+        ws: `ws://127.0.0.1:${port}/ws`,
+        close() {
+            wss.clients.forEach(socket => socket.terminate());
+            wss.close();
+            server.closeAllConnections();
+            return new Promise(resolve => server.close(resolve));
+        }
+    };
+}
+
+const post = (url, body, headers) => fetch(url, { method: 'POST', headers, body: typeof body === 'string' ? body : JSON.stringify(body) });
+
+/** GET with the path sent exactly as written; fetch would normalise the dot segments away. */
+function rawGet(base, rawPath) {
+    return new Promise((resolve, reject) => {
+        const { hostname, port } = new URL(base);
+        http.get({ hostname, port, path: rawPath, agent: false }, res => {
+            res.resume();
+            res.on('end', () => resolve(res.statusCode));
+        }).on('error', reject);
+    });
+}
+
+/** A WebSocket client; next(type) resolves with the next message of that type. */
+function connect(url, headers) {
+    const socket = new WebSocket(url, { headers });
+    const inbox = [];
+    const waiting = [];
+    socket.on('message', data => {
+        const msg = JSON.parse(data);
+        const i = waiting.findIndex(w => w.type === msg.type);
+        if (i >= 0) waiting.splice(i, 1)[0].resolve(msg);
+        else inbox.push(msg);
+    });
+    socket.next = (type) => {
+        const i = inbox.findIndex(msg => msg.type === type);
+        if (i >= 0) return Promise.resolve(inbox.splice(i, 1)[0]);
+        return new Promise(resolve => waiting.push({ type, resolve }));
+    };
+    return socket;
+}
+
+describe('Ingest server', () => {
+    let ingest;
+    before(async () => { ingest = await startServer(); });
+    after(() => ingest.close());
+
+    it('accepts a frame, an array of frames and NDJSON', async () => {
+        let res = await post(`${ingest.http}/api/telemetry`, { vehicleId: 'car-1', rpm: 2100 });
+        assert.equal(res.status, 202);
+        assert.deepEqual(await res.json(), { accepted: 1 });
+
+        res = await post(`${ingest.http}/api/telemetry`, [{ vehicleId: 'car-1', speed: 40 }, { vehicleId: 'car-2', coolant: 88 }]);
+        assert.deepEqual(await res.json(), { accepted: 2 });
+
+        res = await post(`${ingest.http}/api/telemetry`, '{"vehicleId":"car-2","battery":14.1}\n\n{"vehicleId":"car-2","load":35}\n');
+        assert.deepEqual(await res.json(), { accepted: 2 });
+
+        const vehicles = await (await fetch(`${ingest.http}/api/vehicles`)).json();
+        const car2 = vehicles.find(v => v.vehicleId === 'car-2');
+        assert.equal(car2.frames, 3);
+        assert.equal(car2.last.load, 35);
+        assert.equal(vehicles.find(v => v.vehicleId === 'car-1').frames, 2);
+    });
+
+    it('rejects a batch with any bad frame, naming it', async () => {
+        const cases = [
+            [{ vehicleId: 'car 1', rpm: 900 }, /"vehicleId" must be/],
+            [{ vehicleId: 'car-3' }, /none of/],
+            [{ vehicleId: 'car-3', boost: 1 }, /Unknown channel "boost"/],
+            [{ vehicleId: 'car-3', rpm: '900' }, /"rpm" must be a number/],
+            [{ vehicleId: 'car-3', coolant: 900 }, /outside/],
+            [{ vehicleId: 'car-3', rpm: 900, t: -1 }, /"t" must be/],
+            [[{ vehicleId: 'car-3', rpm: 900 }, { vehicleId: 'car-3', rpm: -5 }], /^Frame 1: "rpm"/],
+            ['{"vehicleId":"car-3","rpm":900}\n{not json', /^Line 2 is not JSON/],
+            ['  ', /Empty body/]
+        ];
+        for (const [body, message] of cases) {
+            const res = await post(`${ingest.http}/api/telemetry`, body);
+            assert.equal(res.status, 400, JSON.stringify(body));
+            assert.match((await res.json()).error, message);
+        }
+        const vehicles = await (await fetch(`${ingest.http}/api/vehicles`)).json();
+        assert.equal(vehicles.find(v => v.vehicleId === 'car-3'), undefined);
+    });
+
+    it('streams frames to WebSocket subscribers, last known frame first', async () => {
+        const watcher = connect(ingest.ws);
+        const publisher = connect(ingest.ws);
+        try {
+            const welcome = await watcher.next('welcome');
+            assert.ok(welcome.channels.rpm);
+            watcher.send(JSON.stringify({ type: 'subscribe', vehicleId: 'car-1' }));
+            assert.equal((await watcher.next('frame')).frame.vehicleId, 'car-1');
+
+            await publisher.next('welcome');
+            publisher.send(JSON.stringify({ type: 'frames', frames: [{ vehicleId: 'car-2', rpm: 1000 }, { vehicleId: 'car-1', rpm: 3000 }] }));
+            assert.deepEqual(await publisher.next('ack'), { type: 'ack', accepted: 2 });
+            assert.equal((await watcher.next('frame')).frame.rpm, 3000);
+
+            publisher.send(JSON.stringify({ type: 'frame', frame: { vehicleId: 'car-1', rpm: 99999 } }));
+            assert.match((await publisher.next('error')).message, /outside/);
+            publisher.send('{nope');
+            assert.match((await publisher.next('error')).message, /^Not JSON/);
+            watcher.send(JSON.stringify({ type: 'subscribe', vehicleId: '../x' }));
+            assert.match((await watcher.next('error')).message, /"vehicleId" must be/);
+        } finally {
+            watcher.close();
+            publisher.close();
+        }
+    });
+
+    it('serves only the dashboard\'s own files', async () => {
+        for (const file of ['/', '/index.html', '/styles.css', '/js/telemetry-source.js', '/models/driver-classifier.json']) {
+            assert.equal(await rawGet(ingest.http, file), 200, file);
+        }
+        const hidden = [
+            '/server/ingest-server.js', '/tools/publish-recording.js', '/package.json', '/.git/config',
+            '/js/../server/ingest-server.js', '/js/%2e%2e/server/ingest-server.js', '/js/..%2fserver/ingest-server.js',
+            '/js/%2e%2e%2f%2e%2e%2fetc/passwd', '/%2egit/config', '/js/%00', '/index.html%00.js', '/%E0%A4%A'
+        ];
+        for (const file of hidden) assert.equal(await rawGet(ingest.http, file), 404, file);
+        assert.equal((await post(`${ingest.http}/index.html`, '')).status, 405);
+    });
+});
+
+describe('Ingest server with a token', () => {
+    let ingest;
+    before(async () => { ingest = await startServer({ token: 's3cret' }); });
+    after(() => ingest.close());
+
+    it('needs the token to publish over HTTP, not to read', async () => {
+        const frame = { vehicleId: 'car-1', rpm: 800 };
+        assert.equal((await post(`${ingest.http}/api/telemetry`, frame)).status, 401);
+        assert.equal((await post(`${ingest.http}/api/telemetry`, frame, { Authorization: 'Bearer wrong' })).status, 401);
+        assert.equal((await post(`${ingest.http}/api/telemetry`, frame, { Authorization: 'Bearer s3cret' })).status, 202);
+        assert.equal((await post(`${ingest.http}/api/telemetry?token=s3cret`, frame)).status, 202);
+        assert.equal((await fetch(`${ingest.http}/api/vehicles`)).status, 200);
+    });
+
+    it('needs the token to publish over the WebSocket, not to watch', async () => {
+        const watcher = connect(ingest.ws);
+        const publisher = connect(ingest.ws, { Authorization: 'Bearer s3cret' });
+        try {
+            await watcher.next('welcome');
+            watcher.send(JSON.stringify({ type: 'subscribe', vehicleId: '*' }));
+            await watcher.next('frame');
+            watcher.send(JSON.stringify({ type: 'frame', frame: { vehicleId: 'car-1', rpm: 900 } }));
+            assert.match((await watcher.next('error')).message, /ingest token/);
+
+            await publisher.next('welcome');
+            publisher.send(JSON.stringify({ type: 'frame', frame: { vehicleId: 'car-1', rpm: 900 } }));
+            assert.deepEqual(await publisher.next('ack'), { type: 'ack', accepted: 1 });
+        } finally {
+            watcher.close();
+            publisher.close();
+        }
+    });
+});
+
+describe('publish-recording', () => {
+    let ingest;
+    let dir;
+    const recording = {
+        startedAt: 0,
+        source: 'test',
+        samples: samples(2, s => ({ rpm: 900 + 100 * s, speed: 10 * s, throttle: 20, load: 30, coolant: 90, battery: 14, fuelEff: 8 }), 100),
+        inferences: []
+    };
+    before(async () => {
+        ingest = await startServer({ token: 's3cret' });
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'nexus-publish-'));
+    });
+    after(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+        return ingest.close();
+    });
+
+    const publish = (file, ...args) => new Promise((resolve, reject) => {
+        execFile(process.execPath, [path.join(ROOT, 'tools', 'publish-recording.js'), file, '--url', ingest.ws, '--token', 's3cret', '--speed', '20', ...args],
+            { timeout: 30000 }, (err, stdout, stderr) => (err ? reject(new Error(stderr || err.message)) : resolve({ stdout, stderr })));
+    });
+
+    for (const [format, transport] of [['ndjson', []], ['csv', ['--http']]]) {
+        it(`publishes every sample of a ${format} recording${transport.length ? ' over HTTP' : ''}`, async () => {
+            const file = path.join(dir, `trip.${format}`);
+            fs.writeFileSync(file, TripRecorder.serialize(recording, format));
+            const vehicleId = `replay-${format}`;
+            const { stdout, stderr } = await publish(file, '--vehicle', vehicleId, ...transport);
+            assert.match(stdout, new RegExp(`Done: ${recording.samples.length} frames sent`));
+            assert.equal(stderr, '');
+            const vehicle = ingest.hub.vehicles.get(vehicleId);
+            assert.equal(vehicle.frames, recording.samples.length);
+            assert.equal(vehicle.last.rpm, 1100);
+        });
+    }
+
+    it('reports the frames the server rejects', async () => {
+        const file = path.join(dir, 'trip.ndjson');
+        fs.writeFileSync(file, TripRecorder.serialize(recording, 'ndjson'));
+        const { stderr } = await publish(file, '--vehicle', 'replay-denied', '--token', 'wrong');
+        assert.match(stderr, /Server rejected frames: Missing or wrong ingest token/);
+        assert.equal(ingest.hub.vehicles.get('replay-denied'), undefined);
+    });
+});
@@ -0,0 +1,100 @@
+/**
+ * NEXUS AI - Test Pages
+ * Loads one of the dashboard pages into jsdom and makes its window the global scope,
+ * the way the browser runs js/ui. jsdom cannot run module scripts, so tests import the
+ * page code themselves. There are no workers here, so the telemetry host runs on the
+ * page; fetch serves the repository. Close the page to stop its timers and channels.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { JSDOM, VirtualConsole } from 'jsdom';
+import { ROOT } from './drive.js';
+
+const PAGE_GLOBALS = [
+    'window', 'document', 'navigator', 'location', 'history', 'screen', 'localStorage', 'sessionStorage',
+    'DOMParser', 'FormData'
+];
+
+const NodeMessageChannel = globalThis.MessageChannel;
+const nodeSetTimeout = globalThis.setTimeout;
+const nodeSetInterval = globalThis.setInterval;
+
+async function serve(input) {
+    const url = new URL(input, globalThis.location.href);
+    const file = path.join(ROOT, decodeURIComponent(url.pathname));
+    if (!file.startsWith(ROOT) || !fs.existsSync(file)) return new Response('Not found', { status: 404 });
+    return new Response(fs.readFileSync(file), { status: 200 });
+}
+
+/** { window, document, errors, close() }; errors collects uncaught page errors. */
+export function openPage(page) {
+    const errors = [];
+    const virtualConsole = new VirtualConsole();
+    virtualConsole.on('jsdomError', err => {
+        if (!/^Not implemented/.test(err.message)) errors.push(err);
+    });
+    const dom = new JSDOM(fs.readFileSync(path.join(ROOT, page), 'utf8'), {
+        url: `http://localhost/${page}`,
+        pretendToBeVisual: true,
+        virtualConsole
+    });
+    const { window } = dom;
+
+    const saved = {};
+    const channels = [];
+    const timers = [];
+    const install = (name, value) => {
+        saved[name] = Object.getOwnPropertyDescriptor(globalThis, name);
+        Object.defineProperty(globalThis, name, { value, configurable: true, writable: true });
+    };
+    PAGE_GLOBALS.forEach(name => {
+        const value = window[name];
+        install(name, typeof value === 'function' ? value.bind(window) : value);
+    });
+    // Page timers report what they throw like the browser would, and stop with the page
+    const timer = (start) => (fn, ...args) => {
+        const id = start((...params) => {
+            try {
+                fn(...params);
+            } catch (err) {
+                errors.push(err);
+            }
+        }, ...args);
+        timers.push(id);
+        return id;
+    };
+    install('setTimeout', timer(nodeSetTimeout));
+    install('setInterval', timer(nodeSetInterval));
+    install('fetch', serve);
+    install('MessageChannel', class extends NodeMessageChannel {
+        constructor() {
+            super();
+            channels.push(this);
+        }
+    });
+
+    return {
+        window,
+        document: window.document,
+        errors,
+        close() {
+            window.dispatchEvent(new window.Event('pagehide'));
+            window.close();
+            timers.forEach(id => clearTimeout(id));
+            channels.forEach(c => {
+                c.port1.close();
+                c.port2.close();
+            });
+            Object.entries(saved).forEach(([name, descriptor]) => {
+                if (descriptor) Object.defineProperty(globalThis, name, descriptor);
+                else delete globalThis[name];
+            });
+        }
+    };
+}
+
+/** Lets the page's timers run for ms. */
+export function wait(ms) {
+    return new Promise(resolve => nodeSetTimeout(resolve, ms));
+}
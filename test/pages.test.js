@@ -0,0 +1,168 @@
+import assert from 'assert/strict';
+import { describe, it } from 'node:test';
+import { openPage, wait } from './page.js';
+
+const VIEWS = {
+    'index.html': ['section-engine', 'section-trips'],
+    'cockpit.html': ['section-gauges'],
+    'ai-core.html': ['section-ai']
+};
+const HOST_WARMUP_MS = 2500; // One inference from the host, plus some samples
+
+/** Elements whose catalog key was shown as-is. */
+function untranslated(document) {
+    return [...document.querySelectorAll('[data-i18n]')]
+        .filter(el => el.textContent === el.dataset.i18n)
+        .map(el => el.dataset.i18n);
+}
+
+describe('Vehicle pages', () => {
+    Object.entries(VIEWS).forEach(([page, own]) => {
+        it(`${page} mounts every view and renders the simulated vehicle`, async () => {
+            const { document, errors, close } = openPage(page);
+            try {
+                const { startVehicle } = await import('../js/ui/app.js');
+                await startVehicle();
+                await wait(HOST_WARMUP_MS);
+
+                // The other pages' views are mounted too, hidden
+                const sections = [...document.querySelectorAll('#main-content > section')];
+                assert.deepEqual(sections.map(s => s.id).sort(), Object.values(VIEWS).flat().sort());
+                sections.forEach(s => assert.equal(s.classList.contains('active-section'), own.includes(s.id), s.id));
+
+                assert.notEqual(document.getElementById('val-rpm').textContent, '0');
+                assert.notEqual(document.getElementById('gauge-rpm-val').textContent, '0');
+                assert.ok(document.querySelectorAll('#sim-scenario option').length > 0);
+
+                assert.match(document.getElementById('health-score-val').textContent, /^\d+$/);
+                assert.ok(document.querySelectorAll('#recs-list .rec-item').length > 0);
+                const monitor = document.querySelector('#anomaly-status-badge .status-text').textContent;
+                assert.ok(monitor && !monitor.startsWith('monitor.'), monitor);
+                const entries = [...document.querySelectorAll('#anomaly-list li')]
+                    .map(li => li.textContent.replace(li.querySelector('.material-icons').textContent, '').trim());
+                assert.ok(entries.length && entries.every(text => text && !/undefined|monitor\./.test(text)), entries.join(' | '));
+
+                assert.deepEqual(untranslated(document), []);
+                assert.deepEqual(errors, []);
+            } finally {
+                close();
+            }
+        });
+    });
+
+    it('shows the source status in the chosen language', async () => {
+        const { document, errors, close } = openPage('index.html');
+        const { display } = await import('../js/display-settings.js');
+        try {
+            const { startVehicle } = await import('../js/ui/app.js');
+            await startVehicle();
+            await wait(HOST_WARMUP_MS);
+            const status = () => document.getElementById('source-status').textContent;
+            assert.equal(status(), 'SIM: Mixed Driving');
+            display.update({ locale: 'de' });
+            assert.equal(status(), 'SIM: Gemischte Fahrt');
+            assert.deepEqual(errors, []);
+        } finally {
+            display.update({ locale: 'en' });
+            close();
+        }
+    });
+
+    it('shows a rule\'s own label as plain text', async () => {
+        const { window, document, errors, close } = openPage('ai-core.html');
+        try {
+            const { startVehicle } = await import('../js/ui/app.js');
+            await startVehicle();
+            const hostile = '"><img src=x onerror="window.pwned=1">';
+            const editor = document.getElementById('rules-editor');
+            editor.elements.rules.value = JSON.stringify({
+                rules: [{ id: hostile, label: hostile, channel: 'rpm', op: '>', value: 0, forSec: 0, severity: 'warning' }]
+            });
+            editor.dispatchEvent(new window.Event('submit', { cancelable: true }));
+            await wait(HOST_WARMUP_MS);
+            assert.equal(document.getElementById('rules-error').textContent, '');
+            assert.equal(document.querySelector('#alert-active .label-text').textContent, hostile);
+            assert.equal(document.querySelector('#alert-active [data-ack]').dataset.ack.startsWith(hostile), true);
+            assert.equal(document.querySelector('#alert-active img'), null);
+            assert.ok([...document.querySelectorAll('#anomaly-list li')].some(li => li.textContent.includes(hostile)));
+            assert.equal(document.querySelector('#anomaly-list img'), null);
+            assert.deepEqual(errors, []);
+        } finally {
+            close();
+        }
+    });
+
+    it('shows service notes as written', async () => {
+        const { window, document, errors, close } = openPage('ai-core.html');
+        try {
+            const { startVehicle } = await import('../js/ui/app.js');
+            await startVehicle();
+            await wait(HOST_WARMUP_MS);
+            const notes = 'Filter &amp; "5W-30" <img src=x>';
+            const form = document.getElementById('service-form');
+            form.elements.notes.value = notes;
+            form.dispatchEvent(new window.Event('submit', { cancelable: true }));
+            await wait(50);
+            assert.ok(document.querySelector('#maintenance-log .notes').textContent.endsWith(` · ${notes}`));
+            assert.equal(document.querySelector('#maintenance-log img'), null);
+            assert.deepEqual(errors, []);
+        } finally {
+            close();
+        }
+    });
+
+    it('shows a vehicle store failure next to the form that caused it', async () => {
+        const { window, document, errors, close } = openPage('ai-core.html');
+        try {
+            const { startVehicle } = await import('../js/ui/app.js');
+            await startVehicle();
+            await wait(HOST_WARMUP_MS);
+            window.Storage.prototype.setItem = () => { throw new Error('Storage quota exceeded'); };
+            const form = document.getElementById('service-form');
+            form.elements.notes.value = 'Oil and filter';
+            form.dispatchEvent(new window.Event('submit', { cancelable: true }));
+            await wait(50);
+            assert.equal(document.getElementById('service-form-error').textContent, 'Storage quota exceeded');
+            assert.equal(form.elements.notes.value, 'Oil and filter');
+            assert.deepEqual(errors, []);
+        } finally {
+            close();
+        }
+    });
+});
+
+describe('Fleet page', () => {
+    it('lists every roster vehicle', async () => {
+        const { document, errors, close } = openPage('fleet.html');
+        try {
+            const { startFleet } = await import('../js/ui/app.js');
+            startFleet();
+            await wait(HOST_WARMUP_MS);
+            assert.ok(document.querySelectorAll('#fleet-list .fleet-row').length > 0);
+            assert.deepEqual(untranslated(document), []);
+            assert.deepEqual(errors, []);
+        } finally {
+            close();
+        }
+    });
+
+    it('suggests the ingest server\'s vehicle ids as plain text', async () => {
+        const { window, document, errors, close } = openPage('fleet.html');
+        try {
+            const { startFleet } = await import('../js/ui/app.js');
+            startFleet();
+            const hostile = '"><img src=x onerror="window.pwned=1">';
+            globalThis.fetch = async () => new Response(JSON.stringify([{ vehicleId: hostile }, { vehicleId: 'van-2' }]));
+            const source = document.getElementById('fleet-source');
+            source.value = 'ingest';
+            source.dispatchEvent(new window.Event('change'));
+            await wait(50);
+            const options = [...document.querySelectorAll('#fleet-feed-ids option')];
+            assert.deepEqual(options.map(o => o.value), [hostile, 'van-2']);
+            assert.equal(document.querySelector('#fleet-feed-ids img'), null);
+            assert.deepEqual(errors, []);
+        } finally {
+            close();
+        }
+    });
+});
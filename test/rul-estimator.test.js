@@ -0,0 +1,49 @@
+import assert from 'assert/strict';
+import { describe, it } from 'node:test';
+import { RUL_MAX_GAP_MS, RulEstimator } from '../js/rul-estimator.js';
+import { drive, samples } from './drive.js';
+
+// 100 km/h with every stress factor below its limit.
+const cruise = (over) => () => ({ speed: 100, rpm: 2500, load: 40, coolant: 90, battery: 14, ...over });
+
+function oilAfter(list) {
+    const rul = new RulEstimator();
+    list.forEach(s => rul.update(s));
+    return rul.estimateAll().components.find(c => c.id === 'oil');
+}
+
+describe('RulEstimator', () => {
+    it('takes a kilometre of life per kilometre of unstressed driving', () => {
+        const fresh = new RulEstimator().estimate('oil');
+        assert.equal(fresh.val, 15000);
+        const oil = oilAfter(samples(360, cruise())); // 10 km
+        assert.ok(Math.abs(oil.val - 14990) <= 1, `oil at ${oil.val}`);
+        assert.deepEqual(oil.factors, []);
+    });
+
+    it('wears faster under stress and names the cause', () => {
+        const hot = oilAfter(samples(360, cruise({ coolant: 110 })));
+        assert.ok(hot.val < 14990 - 10, `oil at ${hot.val}`);
+        assert.ok(hot.stressRate > 1);
+        assert.equal(hot.factors[0].id, 'thermal');
+        assert.equal(hot.factors[0].limit, 100);
+    });
+
+    it('does not integrate across gaps in the feed', () => {
+        const oil = oilAfter(samples(600, cruise(), RUL_MAX_GAP_MS + 1000));
+        assert.equal(oil.val, 15000);
+    });
+
+    it('counts down over a seeded drive, faster for an aggressive driver', () => {
+        const normal = drive({ seed: 42 }, 600);
+        normal.slice(1).forEach((r, i) => {
+            r.rul.components.forEach((c, j) => assert.ok(c.usedPct >= normal[i].rul.components[j].usedPct));
+        });
+        assert.ok(normal[normal.length - 1].rul.val < normal[0].rul.val);
+
+        const aggressive = drive({ seed: 42, driver: 'aggressive' }, 600);
+        const oil = (results) => results[results.length - 1].rul.components.find(c => c.id === 'oil');
+        assert.ok(oil(aggressive).val < oil(normal).val);
+        assert.ok(oil(aggressive).factors.some(f => f.id === 'highRpm'));
+    });
+});
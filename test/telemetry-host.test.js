@@ -0,0 +1,37 @@
+import assert from 'assert/strict';
+import { describe, it } from 'node:test';
+import { openPage } from './page.js';
+
+describe('TelemetryHost', () => {
+    it('keeps vehicle data in a page\'s localStorage when it has no storage of its own', async () => {
+        const { window, errors, close } = openPage('index.html');
+        const { TelemetryHost } = await import('../js/telemetry-host.js');
+        const { TelemetryClient } = await import('../js/telemetry-client.js');
+        try {
+            // As in a worker: no IndexedDB, no localStorage
+            const pageStorage = globalThis.localStorage;
+            delete globalThis.localStorage;
+            const host = new TelemetryHost();
+            const store = await host.store;
+            globalThis.localStorage = pageStorage;
+            assert.equal(store.backend.constructor.name, 'PageStorageBackend');
+            await assert.rejects(store.getProfile('default'), /No open page/);
+
+            const channel = new MessageChannel();
+            host.connect(channel.port1);
+            const client = new TelemetryClient();
+            client.attach(channel.port2, 'worker');
+            const vehicle = client.vehicle('default');
+            const snapshot = await vehicle.subscribe({ sim: { seed: 1 } });
+            assert.equal(snapshot.session.storage, 'localstorage');
+
+            await vehicle.command('updateProfile', { make: 'Volvo', model: 'V70' });
+            const saved = JSON.parse(window.localStorage.getItem('nexus-ai.vehicles'));
+            assert.equal(saved.default.make, 'Volvo');
+            assert.equal(vehicle.session.profile.model, 'V70');
+            assert.deepEqual(errors, []);
+        } finally {
+            close();
+        }
+    });
+});
@@ -0,0 +1,60 @@
+import assert from 'assert/strict';
+import { describe, it } from 'node:test';
+import { MLInferenceEngine } from '../js/inference-engine.js';
+import { MockOBDSimulator, SIM_STEP_MS } from '../js/simulator.js';
+import { AI_INTERVAL_MS } from '../js/telemetry-host.js';
+import { ReplaySource, TripRecorder } from '../js/trip-recorder.js';
+
+/** A seeded drive with a misfire, recorded the way the page records one. */
+function recordDrive(seconds) {
+    const sim = new MockOBDSimulator({ seed: 42, startTime: 0, faults: [{ type: 'misfire', at: 20 }] });
+    const ml = new MLInferenceEngine(sim);
+    const recorder = new TripRecorder();
+    recorder.setSource(sim);
+    ml.onResult(result => recorder.recordInference(result));
+    recorder.start();
+    for (let i = 1; i <= seconds * 1000 / SIM_STEP_MS; i++) {
+        sim.tick();
+        if (i % (AI_INTERVAL_MS / SIM_STEP_MS) === 0) ml.runInference();
+    }
+    recorder.stop();
+    return recorder.toRecording();
+}
+
+async function replayAt(recording, ms) {
+    const replay = new ReplaySource(recording);
+    const ml = new MLInferenceEngine(replay);
+    await replay.start();
+    replay.seek(ms);
+    return ml.runInference();
+}
+
+describe('Replay', () => {
+    const recording = recordDrive(120);
+
+    it('shows the inference recorded at the cursor', async () => {
+        const result = await replayAt(recording, 90000);
+        const { recorded, ...shown } = result;
+        assert.equal(recorded, true);
+        const expected = recording.inferences.filter(r => r.t <= recording.samples[0].t + 90000).pop();
+        assert.deepEqual(shown, expected);
+        assert.ok(shown.anomalies.length || shown.alerts.length || shown.recommendations.length);
+    });
+
+    it('round-trips through NDJSON and JSON with every result intact', async () => {
+        for (const format of ['ndjson', 'json']) {
+            const parsed = TripRecorder.parse(TripRecorder.serialize(recording, format));
+            const result = await replayAt(parsed, 60000);
+            assert.equal(result.recorded, true, format);
+            assert.deepEqual(result.recommendations, recording.inferences.filter(r => r.t <= parsed.samples[0].t + 60000).pop().recommendations);
+        }
+    });
+
+    it('infers from the samples when the recording only has the CSV columns', async () => {
+        const parsed = TripRecorder.parse(TripRecorder.serialize(recording, 'csv'));
+        assert.equal(parsed.inferences.length, recording.inferences.length);
+        const result = await replayAt(parsed, 60000);
+        assert.equal(result.recorded, undefined);
+        assert.ok(result.rul.components.length && result.recommendations.length);
+    });
+});
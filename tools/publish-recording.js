@@ -0,0 +1,151 @@
+/**
+ * NEXUS AI - Recording Publisher
+ * Replays a recorded trip (the dashboard's NDJSON, JSON or CSV export) into the ingest
+ * server in real time, as if the car were out driving it now.
+ *
+ *   node tools/publish-recording.js <recording> [--vehicle replay-1] [--url ws://localhost:8080/ws]
+ *        [--speed 1] [--loop] [--http] [--token secret]
+ *
+ * Timestamps are moved to the present; --speed 4 plays four times as fast. --http posts
+ * one batch a second to /api/telemetry instead of streaming over the WebSocket.
+ */
+
+import fs from 'fs';
+import WebSocket from 'ws';
+import { CHANNELS } from '../js/telemetry-source.js';
+import { TripRecorder } from '../js/trip-recorder.js';
+
+const TICK_MS = 100;
+const HTTP_BATCH_MS = 1000;
+const PROGRESS_MS = 10000;
+
+function parseArgs(argv) {
+    const args = { file: null, vehicle: 'replay-1', url: 'ws://localhost:8080/ws', speed: 1, loop: false, http: false, token: process.env.INGEST_TOKEN || '' };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--loop') args.loop = true;
+        else if (arg === '--http') args.http = true;
+        else if (['--vehicle', '--url', '--speed', '--token'].includes(arg)) args[arg.slice(2)] = argv[++i];
+        else if (!arg.startsWith('--') && !args.file) args.file = arg;
+        else throw new Error(`Unknown option ${arg}`);
+    }
+    args.speed = Number(args.speed);
+    if (!args.file) throw new Error('Usage: node tools/publish-recording.js <recording> [--vehicle id] [--url ws://host:port/ws] [--speed n] [--loop] [--http] [--token t]');
+    if (!(args.speed > 0)) throw new Error('--speed must be a positive number');
+    return args;
+}
+
+function loadSamples(file) {
+    const recording = TripRecorder.parse(fs.readFileSync(file, 'utf8'));
+    const samples = recording.samples.filter(s => Number.isFinite(s.t)).sort((a, b) => a.t - b.t);
+    if (!samples.length) throw new Error(`${file} has no samples`);
+    return samples;
+}
+
+/** Streams over the WebSocket; close() waits for the server to answer every batch. */
+function wsPublisher(args) {
+    return new Promise((resolve, reject) => {
+        const headers = args.token ? { Authorization: `Bearer ${args.token}` } : {};
+        const socket = new WebSocket(args.url, { headers });
+        let unanswered = 0; // Batches the server has not acked or rejected yet
+        let drained = null;
+        socket.on('open', () => resolve({
+            send(frames) {
+                unanswered++;
+                socket.send(JSON.stringify({ type: 'frames', frames }));
+            },
+            close() {
+                return new Promise(done => {
+                    drained = () => {
+                        socket.close();
+                        done();
+                    };
+                    if (unanswered <= 0) drained();
+                });
+            }
+        }));
+        socket.on('message', data => {
+            const msg = JSON.parse(data);
+            if (msg.type === 'error') console.error('Server rejected frames:', msg.message);
+            if (msg.type === 'ack' || msg.type === 'error') unanswered--;
+            if (drained && unanswered <= 0) drained();
+        });
+        socket.on('error', reject);
+        socket.on('close', () => {
+            if (!drained) {
+                console.error('Ingest server closed the connection');
+                process.exit(1);
+            }
+        });
+    });
+}
+
+function httpPublisher(args) {
+    const url = new URL(args.url);
+    url.protocol = url.protocol === 'wss:' ? 'https:' : 'http:';
+    url.pathname = '/api/telemetry';
+    const headers = { 'Content-Type': 'application/json' };
+    if (args.token) headers.Authorization = `Bearer ${args.token}`;
+    let batch = [];
+    let sending = Promise.resolve();
+    const flush = () => {
+        if (!batch.length) return sending;
+        const frames = batch;
+        batch = [];
+        sending = sending.then(() => fetch(url, { method: 'POST', headers, body: JSON.stringify(frames) }))
+            .then(async res => {
+                if (!res.ok) console.error(`Server rejected frames (${res.status}):`, (await res.json()).error);
+            })
+            .catch(err => console.error('POST failed:', err.message));
+        return sending;
+    };
+    const timer = setInterval(flush, HTTP_BATCH_MS);
+    return Promise.resolve({
+        send(frames) { batch.push(...frames); },
+        close() {
+            clearInterval(timer);
+            return flush();
+        }
+    });
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const samples = loadSamples(args.file);
+    const duration = samples[samples.length - 1].t - samples[0].t;
+    const publisher = await (args.http ? httpPublisher(args) : wsPublisher(args));
+    console.log(`Publishing ${samples.length} samples (${Math.round(duration / 1000)} s) as "${args.vehicle}" at ${args.speed}x to ${args.url}${args.http ? ' over HTTP' : ''}`);
+
+    let sent = 0;
+    let lastProgress = Date.now();
+    do {
+        const wallStart = Date.now();
+        let i = 0;
+        while (i < samples.length) {
+            const elapsed = (Date.now() - wallStart) * args.speed;
+            const frames = [];
+            for (; i < samples.length && samples[i].t - samples[0].t <= elapsed; i++) {
+                const frame = { vehicleId: args.vehicle, t: wallStart + (samples[i].t - samples[0].t) / args.speed };
+                CHANNELS.forEach(ch => { if (Number.isFinite(samples[i][ch])) frame[ch] = samples[i][ch]; });
+                frames.push(frame);
+            }
+            if (frames.length) publisher.send(frames);
+            sent += frames.length;
+            if (Date.now() - lastProgress >= PROGRESS_MS) {
+                lastProgress = Date.now();
+                console.log(`  ${sent} frames sent, ${Math.round(elapsed / 1000)} / ${Math.round(duration / 1000)} s`);
+            }
+            if (i < samples.length) await sleep(TICK_MS);
+        }
+    } while (args.loop);
+
+    await publisher.close();
+    console.log(`Done: ${sent} frames sent`);
+}
+
+main().catch(err => {
+    console.error(err.message);
+    process.exit(1);
+});
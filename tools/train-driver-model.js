@@ -0,0 +1,174 @@
+/**
+ * NEXUS AI - Driver Model Trainer
+ * Drives every simulator scenario with each driver style, extracts the same windowed
+ * features the dashboard uses and fits a one-hidden-layer tanh network to them.
+ *
+ *   node tools/train-driver-model.js [out.json]
+ *
+ * Seeds 1-8 train, 9-10 are held out; the held-out accuracy is printed and stored.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { DRIVER_FEATURES, DriverFeatureExtractor } from '../js/driver-classifier.js';
+import { MockOBDSimulator, SCENARIOS } from '../js/simulator.js';
+
+const ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+const OUT = process.argv[2] || path.join(ROOT, 'models', 'driver-classifier.json');
+const CLASSES = ['ECO', 'NORMAL', 'AGGRESSIVE', 'ERRATIC'];
+const STYLE_FOR_CLASS = { ECO: 'eco', NORMAL: 'normal', AGGRESSIVE: 'aggressive', ERRATIC: 'erratic' };
+const TRAIN_SEEDS = [1, 2, 3, 4, 5, 6, 7, 8];
+const TEST_SEEDS = [9, 10];
+const DRIVE_MINUTES = 8;
+const HIDDEN = 12;
+const EPOCHS = 80;
+const BATCH = 32;
+const LEARNING_RATE = 0.05;
+const MOMENTUM = 0.9;
+const L2 = 0.0005;
+
+function collect(seeds) {
+    const rows = [];
+    Object.keys(SCENARIOS).forEach(scenario => {
+        CLASSES.forEach((cls, label) => {
+            seeds.forEach(seed => {
+                const sim = new MockOBDSimulator({ seed: seed * 1000 + label, scenario, driver: STYLE_FOR_CLASS[cls], startTime: 0 });
+                const features = new DriverFeatureExtractor();
+                sim.on('sample', s => features.update(s));
+                const ticks = DRIVE_MINUTES * 600;
+                for (let i = 1; i <= ticks; i++) {
+                    sim.tick();
+                    if (i % 20 !== 0) continue; // The dashboard classifies every 2 s
+                    const f = features.extract();
+                    if (f.ready) rows.push({ x: f.vector, y: label });
+                }
+            });
+        });
+    });
+    return rows;
+}
+
+function standardize(rows) {
+    const n = DRIVER_FEATURES.length;
+    const mean = new Array(n).fill(0);
+    const std = new Array(n).fill(0);
+    rows.forEach(r => r.x.forEach((v, i) => { mean[i] += v / rows.length; }));
+    rows.forEach(r => r.x.forEach((v, i) => { std[i] += (v - mean[i]) ** 2 / rows.length; }));
+    return { mean, std: std.map(v => Math.sqrt(v) || 1) };
+}
+
+// Deterministic initialisation and shuffling, so a retrain reproduces the shipped model.
+let rngState = 42;
+function rand() {
+    rngState = (rngState * 1664525 + 1013904223) >>> 0;
+    return rngState / 4294967296;
+}
+
+function layer(units, inputs, activation) {
+    const scale = Math.sqrt(1 / inputs);
+    return {
+        weights: Array.from({ length: units }, () => Array.from({ length: inputs }, () => (rand() * 2 - 1) * scale)),
+        bias: new Array(units).fill(0),
+        activation
+    };
+}
+
+function forward(net, x) {
+    const h = net[0].weights.map((w, u) => Math.tanh(w.reduce((a, wi, i) => a + wi * x[i], net[0].bias[u])));
+    const z = net[1].weights.map((w, c) => w.reduce((a, wi, i) => a + wi * h[i], net[1].bias[c]));
+    const max = Math.max(...z);
+    const exp = z.map(v => Math.exp(v - max));
+    const sum = exp.reduce((a, b) => a + b, 0);
+    return { h, p: exp.map(e => e / sum) };
+}
+
+function train(rows, scale) {
+    const n = DRIVER_FEATURES.length;
+    const k = CLASSES.length;
+    const net = [layer(HIDDEN, n, 'tanh'), layer(k, HIDDEN, 'softmax')];
+    const velocity = net.map(l => ({ weights: l.weights.map(w => w.map(() => 0)), bias: l.bias.map(() => 0) }));
+    const xs = rows.map(r => r.x.map((v, i) => (v - scale.mean[i]) / scale.std[i]));
+    // Classes are balanced by construction, but weight them anyway in case ready-windows are not.
+    const counts = new Array(k).fill(0);
+    rows.forEach(r => counts[r.y]++);
+    const classWeight = counts.map(c => rows.length / (k * c));
+    const order = xs.map((_, i) => i);
+
+    for (let epoch = 0; epoch < EPOCHS; epoch++) {
+        for (let i = order.length - 1; i > 0; i--) {
+            const j = Math.floor(rand() * (i + 1));
+            [order[i], order[j]] = [order[j], order[i]];
+        }
+        let loss = 0;
+        for (let start = 0; start < order.length; start += BATCH) {
+            const batch = order.slice(start, start + BATCH);
+            const grad = net.map(l => ({ weights: l.weights.map(w => w.map(() => 0)), bias: l.bias.map(() => 0) }));
+            batch.forEach(r => {
+                const x = xs[r];
+                const y = rows[r].y;
+                const cw = classWeight[y];
+                const { h, p } = forward(net, x);
+                loss -= cw * Math.log(p[y] + 1e-12);
+                const dz = p.map((pc, c) => cw * (pc - (c === y ? 1 : 0)));
+                const dh = h.map((hu, u) => dz.reduce((a, d, c) => a + d * net[1].weights[c][u], 0) * (1 - hu * hu));
+                dz.forEach((d, c) => {
+                    grad[1].bias[c] += d;
+                    h.forEach((hu, u) => { grad[1].weights[c][u] += d * hu; });
+                });
+                dh.forEach((d, u) => {
+                    grad[0].bias[u] += d;
+                    x.forEach((xi, i) => { grad[0].weights[u][i] += d * xi; });
+                });
+            });
+            net.forEach((l, li) => {
+                l.weights.forEach((w, u) => w.forEach((wi, i) => {
+                    const g = grad[li].weights[u][i] / batch.length + L2 * wi;
+                    velocity[li].weights[u][i] = MOMENTUM * velocity[li].weights[u][i] - LEARNING_RATE * g;
+                    w[i] += velocity[li].weights[u][i];
+                }));
+                l.bias.forEach((b, u) => {
+                    velocity[li].bias[u] = MOMENTUM * velocity[li].bias[u] - LEARNING_RATE * grad[li].bias[u] / batch.length;
+                    l.bias[u] += velocity[li].bias[u];
+                });
+            });
+        }
+        if (epoch % 10 === 0) console.log(`epoch ${epoch} loss ${(loss / xs.length).toFixed(4)}`);
+    }
+    return net;
+}
+
+function accuracy(rows, scale, net) {
+    const confusion = CLASSES.map(() => new Array(CLASSES.length).fill(0));
+    rows.forEach(r => {
+        const { p } = forward(net, r.x.map((v, i) => (v - scale.mean[i]) / scale.std[i]));
+        confusion[r.y][p.indexOf(Math.max(...p))]++;
+    });
+    const correct = confusion.reduce((a, row, i) => a + row[i], 0);
+    return { accuracy: correct / rows.length, confusion };
+}
+
+const trainRows = collect(TRAIN_SEEDS);
+const testRows = collect(TEST_SEEDS);
+console.log(`${trainRows.length} training windows, ${testRows.length} held out`);
+
+const scale = standardize(trainRows);
+const model = train(trainRows, scale);
+const test = accuracy(testRows, scale, model);
+console.log(`held-out accuracy ${(test.accuracy * 100).toFixed(1)}%`);
+console.log('confusion (rows = truth):');
+test.confusion.forEach((row, i) => console.log(`  ${CLASSES[i].padEnd(10)} ${row.join('\t')}`));
+
+const round = (v) => Math.round(v * 1e4) / 1e4;
+fs.writeFileSync(OUT, JSON.stringify({
+    type: 'mlp',
+    version: 1,
+    description: `${DRIVER_FEATURES.length}-${HIDDEN}-${CLASSES.length} tanh network over 30 s windows`,
+    classes: CLASSES,
+    features: DRIVER_FEATURES.map(f => f.id),
+    mean: scale.mean.map(round),
+    std: scale.std.map(round),
+    layers: model.map(l => ({ weights: l.weights.map(w => w.map(round)), bias: l.bias.map(round), activation: l.activation })),
+    heldOutAccuracy: round(test.accuracy)
+}, null, 2) + '\n');
+console.log(`wrote ${path.relative(ROOT, OUT)}`);
@@ -0,0 +1,85 @@
+/**
+ * NEXUS AI - Font Vendoring
+ * Copies Roboto (latin, the weights styles.css uses) and the Material Icons font out of
+ * node_modules into fonts/, with the @font-face rules in fonts/fonts.css, so the pages
+ * and the offline cache never reach for Google Fonts.
+ *
+ *   npm install && node tools/vendor-fonts.js
+ *
+ * Re-run after upgrading @fontsource/roboto or material-icons and commit fonts/.
+ */
+
+import fs from 'fs';
+import { createRequire } from 'module';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+const require = createRequire(import.meta.url);
+const OUT = path.join(ROOT, 'fonts');
+const ROBOTO_WEIGHTS = [300, 400, 500, 700];
+
+function packageDir(name) {
+    return path.dirname(require.resolve(`${name}/package.json`, { paths: [ROOT] }));
+}
+
+function copy(from, name) {
+    fs.copyFileSync(from, path.join(OUT, name));
+    console.log(`fonts/${name}`);
+    return name;
+}
+
+function main() {
+    fs.mkdirSync(OUT, { recursive: true });
+    const roboto = packageDir('@fontsource/roboto');
+    const icons = packageDir('material-icons');
+
+    const faces = ROBOTO_WEIGHTS.map(weight => {
+        const file = copy(path.join(roboto, 'files', `roboto-latin-${weight}-normal.woff2`), `roboto-latin-${weight}.woff2`);
+        return `@font-face {
+    font-family: 'Roboto';
+    font-style: normal;
+    font-weight: ${weight};
+    font-display: swap;
+    src: url(${file}) format('woff2');
+}`;
+    });
+    const iconFile = copy(path.join(icons, 'iconfont', 'material-icons.woff2'), 'material-icons.woff2');
+
+    const versions = ['@fontsource/roboto', 'material-icons']
+        .map(name => `${name} ${require(path.join(packageDir(name), 'package.json')).version}`).join(', ');
+    const css = `/* Generated by tools/vendor-fonts.js from ${versions}; do not edit. */
+
+${faces.join('\n\n')}
+
+@font-face {
+    font-family: 'Material Icons';
+    font-style: normal;
+    font-weight: 400;
+    font-display: block;
+    src: url(${iconFile}) format('woff2');
+}
+
+.material-icons {
+    font-family: 'Material Icons';
+    font-weight: normal;
+    font-style: normal;
+    font-size: 24px;
+    line-height: 1;
+    letter-spacing: normal;
+    text-transform: none;
+    display: inline-block;
+    white-space: nowrap;
+    word-wrap: normal;
+    direction: ltr;
+    -webkit-font-smoothing: antialiased;
+    -moz-osx-font-smoothing: grayscale;
+    text-rendering: optimizeLegibility;
+    font-feature-settings: 'liga';
+}
+`;
+    fs.writeFileSync(path.join(OUT, 'fonts.css'), css);
+    console.log('fonts/fonts.css');
+}
+
+main();